@@ -0,0 +1,363 @@
+/**
+ * GIFEncoder.js
+ * Encodes RGBA frames to an animated GIF89a in the browser
+ * Median-cut palette (global or per frame), optional Floyd-Steinberg dithering,
+ * 1-bit transparency and NETSCAPE loop count
+ */
+
+class GIFEncoder {
+    /**
+     * Encode frames
+     * @param {Array<Uint8ClampedArray>} frames - RGBA pixels, each width x height
+     * @param {number} width
+     * @param {number} height
+     * @param {Object} options - {delays, palette, dither, loopCount, transparent}
+     *   delays: per-frame delay in centiseconds
+     *   palette: 'global' (one palette for all frames) | 'frame' (one per frame)
+     *   loopCount: 0 = forever, N = play N times
+     *   transparent: pixels with alpha < 128 become the transparent index
+     * @returns {Uint8Array} GIF file bytes
+     */
+    static encode(frames, width, height, options = {}) {
+        const { delays = [], palette = 'global', dither = true, loopCount = 0, transparent = false } = options;
+        const maxColors = transparent ? 255 : 256;
+        const out = this.createWriter(width * height * frames.length / 4 + 1024);
+
+        let globalPalette = null;
+        if (palette === 'global') {
+            const histogram = new Uint32Array(32768);
+            frames.forEach(pixels => this.addToHistogram(pixels, histogram));
+            globalPalette = this.createPalette(histogram, maxColors, transparent);
+        }
+
+        // Header + logical screen descriptor
+        out.writeString('GIF89a');
+        out.writeShort(width);
+        out.writeShort(height);
+        if (globalPalette) {
+            out.writeByte(0xF0 | (globalPalette.bits - 1));
+        } else {
+            out.writeByte(0x70);
+        }
+        out.writeByte(0);   // Background colour index
+        out.writeByte(0);   // Pixel aspect ratio
+        if (globalPalette) this.writeColorTable(out, globalPalette);
+
+        // NETSCAPE2.0 application extension (the value is the number of repeats)
+        if (loopCount !== 1) {
+            out.writeBytes([0x21, 0xFF, 0x0B]);
+            out.writeString('NETSCAPE2.0');
+            out.writeBytes([0x03, 0x01]);
+            out.writeShort(loopCount === 0 ? 0 : Math.min(65535, loopCount - 1));
+            out.writeByte(0);
+        }
+
+        frames.forEach((pixels, index) => {
+            let framePalette = globalPalette;
+            if (!framePalette) {
+                const histogram = new Uint32Array(32768);
+                this.addToHistogram(pixels, histogram);
+                framePalette = this.createPalette(histogram, maxColors, transparent);
+            }
+
+            const indices = this.indexPixels(pixels, width, height, framePalette, dither);
+
+            // Graphic control extension: delay, disposal, transparency
+            const disposal = transparent ? 2 : 1;
+            out.writeBytes([0x21, 0xF9, 0x04, (disposal << 2) | (transparent ? 1 : 0)]);
+            out.writeShort(Math.max(2, Math.round(delays[index] || 10)));
+            out.writeByte(transparent ? framePalette.transparentIndex : 0);
+            out.writeByte(0);
+
+            // Image descriptor (+ local colour table)
+            out.writeByte(0x2C);
+            out.writeShort(0);
+            out.writeShort(0);
+            out.writeShort(width);
+            out.writeShort(height);
+            if (globalPalette) {
+                out.writeByte(0);
+            } else {
+                out.writeByte(0x80 | (framePalette.bits - 1));
+                this.writeColorTable(out, framePalette);
+            }
+
+            this.writeImageData(out, indices, Math.max(2, framePalette.bits));
+        });
+
+        out.writeByte(0x3B);
+        return out.getBytes();
+    }
+
+    // ============ QUANTIZATION ============
+    // Count opaque pixels in 5-bit-per-channel bins
+    static addToHistogram(pixels, histogram) {
+        for (let i = 0; i < pixels.length; i += 4) {
+            if (pixels[i + 3] < 128) continue;
+            histogram[((pixels[i] >> 3) << 10) | ((pixels[i + 1] >> 3) << 5) | (pixels[i + 2] >> 3)]++;
+        }
+    }
+
+    /**
+     * Median cut: split the box with the widest (count-weighted) channel range at its median
+     * @returns {{colors: Array<[r, g, b]>, bits, transparentIndex, lookup}}
+     */
+    static createPalette(histogram, maxColors, transparent) {
+        const channel = (bin, c) => (bin >> (10 - c * 5)) & 31;
+        const bins = [];
+        for (let i = 0; i < histogram.length; i++) {
+            if (histogram[i] > 0) bins.push(i);
+        }
+
+        const boxes = bins.length > 0 ? [bins] : [];
+        while (boxes.length < maxColors) {
+            let best = -1, bestScore = 0, bestChannel = 0;
+
+            boxes.forEach((box, index) => {
+                if (box.length < 2) return;
+                const count = box.reduce((sum, bin) => sum + histogram[bin], 0);
+                for (let c = 0; c < 3; c++) {
+                    let min = 31, max = 0;
+                    box.forEach(bin => {
+                        const v = channel(bin, c);
+                        if (v < min) min = v;
+                        if (v > max) max = v;
+                    });
+                    const score = (max - min) * count;
+                    if (score > bestScore) {
+                        bestScore = score;
+                        best = index;
+                        bestChannel = c;
+                    }
+                }
+            });
+
+            if (best === -1) break;
+
+            const box = boxes[best];
+            box.sort((a, b) => channel(a, bestChannel) - channel(b, bestChannel));
+            const total = box.reduce((sum, bin) => sum + histogram[bin], 0);
+            let running = 0;
+            let split = 1;
+            for (let i = 0; i < box.length - 1; i++) {
+                running += histogram[box[i]];
+                if (running >= total / 2) {
+                    split = i + 1;
+                    break;
+                }
+            }
+            boxes.splice(best, 1, box.slice(0, split), box.slice(split));
+        }
+
+        // Count-weighted average colour per box (bin centres)
+        const colors = boxes.map(box => {
+            let r = 0, g = 0, b = 0, count = 0;
+            box.forEach(bin => {
+                const weight = histogram[bin];
+                r += (channel(bin, 0) * 8 + 4) * weight;
+                g += (channel(bin, 1) * 8 + 4) * weight;
+                b += (channel(bin, 2) * 8 + 4) * weight;
+                count += weight;
+            });
+            return [Math.round(r / count), Math.round(g / count), Math.round(b / count)];
+        });
+        if (colors.length === 0) colors.push([0, 0, 0]);
+
+        const transparentIndex = transparent ? colors.length : -1;
+        if (transparent) colors.push([0, 0, 0]);
+
+        // Table size must be a power of two (at least 2 entries)
+        const bits = Math.max(1, Math.ceil(Math.log2(colors.length)));
+        while (colors.length < (1 << bits)) colors.push([0, 0, 0]);
+
+        return { colors, bits, transparentIndex, lookup: new Int16Array(32768).fill(-1) };
+    }
+
+    // Nearest palette entry, cached per 5-bit bin
+    static findNearest(palette, r, g, b) {
+        const bin = ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+        const cached = palette.lookup[bin];
+        if (cached !== -1) return cached;
+
+        let best = 0;
+        let bestDistance = Infinity;
+        palette.colors.forEach((color, index) => {
+            if (index === palette.transparentIndex) return;
+            const dr = color[0] - r;
+            const dg = color[1] - g;
+            const db = color[2] - b;
+            const distance = dr * dr * 2 + dg * dg * 4 + db * db * 3;
+            if (distance < bestDistance) {
+                bestDistance = distance;
+                best = index;
+            }
+        });
+
+        palette.lookup[bin] = best;
+        return best;
+    }
+
+    // Map pixels to palette indices, diffusing the error (Floyd-Steinberg) when dithering
+    static indexPixels(pixels, width, height, palette, dither) {
+        const indices = new Uint8Array(width * height);
+        const errors = dither ? [new Float32Array((width + 2) * 3), new Float32Array((width + 2) * 3)] : null;
+        const clamp = v => (v < 0 ? 0 : v > 255 ? 255 : Math.round(v));
+
+        for (let y = 0; y < height; y++) {
+            if (errors) {
+                // Next row starts clean; current row carries what the previous row pushed down
+                const swap = errors[0];
+                errors[0] = errors[1];
+                errors[1] = swap;
+                errors[1].fill(0);
+            }
+
+            for (let x = 0; x < width; x++) {
+                const i = y * width + x;
+                const p = i * 4;
+
+                if (palette.transparentIndex !== -1 && pixels[p + 3] < 128) {
+                    indices[i] = palette.transparentIndex;
+                    continue;
+                }
+
+                if (!errors) {
+                    indices[i] = this.findNearest(palette, pixels[p], pixels[p + 1], pixels[p + 2]);
+                    continue;
+                }
+
+                const e = (x + 1) * 3;
+                const r = clamp(pixels[p] + errors[0][e]);
+                const g = clamp(pixels[p + 1] + errors[0][e + 1]);
+                const b = clamp(pixels[p + 2] + errors[0][e + 2]);
+                const index = this.findNearest(palette, r, g, b);
+                indices[i] = index;
+
+                const color = palette.colors[index];
+                const diff = [r - color[0], g - color[1], b - color[2]];
+                for (let c = 0; c < 3; c++) {
+                    errors[0][e + 3 + c] += diff[c] * 7 / 16;
+                    errors[1][e - 3 + c] += diff[c] * 3 / 16;
+                    errors[1][e + c] += diff[c] * 5 / 16;
+                    errors[1][e + 3 + c] += diff[c] * 1 / 16;
+                }
+            }
+        }
+
+        return indices;
+    }
+
+    // ============ LZW ============
+    // Variable-length LZW codes packed LSB-first into 255-byte sub-blocks
+    static writeImageData(out, indices, minCodeSize) {
+        const clearCode = 1 << minCodeSize;
+        const endCode = clearCode + 1;
+        const block = new Uint8Array(255);
+        let blockLength = 0;
+        let bitBuffer = 0;
+        let bitCount = 0;
+
+        const flushBlock = () => {
+            if (blockLength === 0) return;
+            out.writeByte(blockLength);
+            out.writeBytes(block.subarray(0, blockLength));
+            blockLength = 0;
+        };
+        const emit = (code, size) => {
+            bitBuffer |= code << bitCount;
+            bitCount += size;
+            while (bitCount >= 8) {
+                block[blockLength++] = bitBuffer & 0xFF;
+                if (blockLength === 255) flushBlock();
+                bitBuffer >>>= 8;
+                bitCount -= 8;
+            }
+        };
+
+        out.writeByte(minCodeSize);
+
+        let codeSize = minCodeSize + 1;
+        let nextCode = endCode + 1;
+        let table = new Map();
+        emit(clearCode, codeSize);
+
+        let prefix = indices[0];
+        for (let i = 1; i < indices.length; i++) {
+            const k = indices[i];
+            const key = (prefix << 8) | k;
+            const code = table.get(key);
+            if (code !== undefined) {
+                prefix = code;
+                continue;
+            }
+
+            emit(prefix, codeSize);
+            if (nextCode === 4096) {
+                // Table full: start over
+                emit(clearCode, codeSize);
+                table = new Map();
+                codeSize = minCodeSize + 1;
+                nextCode = endCode + 1;
+            } else {
+                if (nextCode >= (1 << codeSize)) codeSize++;
+                table.set(key, nextCode++);
+            }
+            prefix = k;
+        }
+
+        emit(prefix, codeSize);
+        emit(endCode, codeSize);
+        if (bitCount > 0) {
+            block[blockLength++] = bitBuffer & 0xFF;
+            if (blockLength === 255) flushBlock();
+        }
+        flushBlock();
+        out.writeByte(0);
+    }
+
+    // ============ HELPERS ============
+    static writeColorTable(out, palette) {
+        palette.colors.forEach(color => out.writeBytes(color));
+    }
+
+    // Growable little-endian byte buffer
+    static createWriter(initialSize) {
+        let buffer = new Uint8Array(Math.max(1024, Math.floor(initialSize)));
+        let length = 0;
+
+        const ensure = (extra) => {
+            if (length + extra <= buffer.length) return;
+            const next = new Uint8Array(Math.max(buffer.length * 2, length + extra));
+            next.set(buffer.subarray(0, length));
+            buffer = next;
+        };
+
+        return {
+            writeByte(value) {
+                ensure(1);
+                buffer[length++] = value;
+            },
+            writeShort(value) {
+                ensure(2);
+                buffer[length++] = value & 0xFF;
+                buffer[length++] = (value >> 8) & 0xFF;
+            },
+            writeBytes(bytes) {
+                ensure(bytes.length);
+                buffer.set(bytes, length);
+                length += bytes.length;
+            },
+            writeString(text) {
+                for (let i = 0; i < text.length; i++) this.writeByte(text.charCodeAt(i));
+            },
+            getBytes() {
+                return buffer.slice(0, length);
+            }
+        };
+    }
+}
+
+// Export for use in main.js
+if (typeof window !== 'undefined') {
+    window.GIFEncoder = GIFEncoder;
+}
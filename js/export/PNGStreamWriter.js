@@ -0,0 +1,129 @@
+/**
+ * PNGStreamWriter.js
+ * Encodes an RGBA image into a PNG one band of rows at a time,
+ * so images larger than any canvas never have to sit in memory uncompressed
+ * Scanlines go through fflate's streaming zlib; a pHYs chunk records the print DPI
+ */
+
+class PNGStreamWriter {
+    /**
+     * @param {number} width
+     * @param {number} height
+     * @param {Object} options - {dpi, level}
+     *   dpi: stored as pixels per metre so print software picks up the physical size (0 = omit)
+     *   level: zlib compression level 0-9
+     */
+    constructor(width, height, options = {}) {
+        const { dpi = 0, level = 6 } = options;
+        if (!window.fflate) throw new Error('fflate not loaded');
+
+        this.width = width;
+        this.height = height;
+        this.rowsWritten = 0;
+        this.crcTable = PNGStreamWriter.createCRCTable();
+        this.parts = [new Uint8Array([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])];
+
+        const header = new Uint8Array(13);
+        const headerView = new DataView(header.buffer);
+        headerView.setUint32(0, width);
+        headerView.setUint32(4, height);
+        header[8] = 8;      // Bit depth
+        header[9] = 6;      // Colour type: RGBA (compression, filter and interlace stay 0)
+        this.writeChunk('IHDR', header);
+
+        if (dpi > 0) {
+            const physical = new Uint8Array(9);
+            const physicalView = new DataView(physical.buffer);
+            const pixelsPerMetre = Math.round(dpi / 0.0254);
+            physicalView.setUint32(0, pixelsPerMetre);
+            physicalView.setUint32(4, pixelsPerMetre);
+            physical[8] = 1;    // Unit: metre
+            this.writeChunk('pHYs', physical);
+        }
+
+        this.zlib = new window.fflate.Zlib({ level }, (data) => {
+            if (data.length > 0) this.writeChunk('IDAT', data);
+        });
+    }
+
+    /**
+     * Append rows of unpremultiplied RGBA pixels (ImageData.data layout)
+     * @param {Uint8ClampedArray|Uint8Array} rgba - At least rowCount * width * 4 bytes
+     * @param {number} rowCount
+     */
+    addRows(rgba, rowCount) {
+        if (this.rowsWritten + rowCount > this.height) {
+            throw new Error(`PNG has ${this.height} rows, got ${this.rowsWritten + rowCount}`);
+        }
+
+        const stride = this.width * 4;
+        const filtered = new Uint8Array(rowCount * (stride + 1));
+
+        for (let row = 0; row < rowCount; row++) {
+            const src = row * stride;
+            const dst = row * (stride + 1);
+            // Sub filter: each byte minus the same channel of the pixel to its left
+            filtered[dst] = 1;
+            for (let i = 0; i < stride; i++) {
+                const left = i >= 4 ? rgba[src + i - 4] : 0;
+                filtered[dst + 1 + i] = (rgba[src + i] - left) & 0xFF;
+            }
+        }
+
+        this.rowsWritten += rowCount;
+        this.zlib.push(filtered, false);
+    }
+
+    /**
+     * Flush the compressor and close the file
+     * @returns {Blob}
+     */
+    finish() {
+        if (this.rowsWritten !== this.height) {
+            throw new Error(`PNG has ${this.height} rows, only ${this.rowsWritten} written`);
+        }
+
+        this.zlib.push(new Uint8Array(0), true);
+        this.writeChunk('IEND', new Uint8Array(0));
+        return new Blob(this.parts, { type: 'image/png' });
+    }
+
+    // ============ CHUNKS ============
+    // Length, type, data, then CRC-32 of type + data
+    writeChunk(type, data) {
+        const chunk = new Uint8Array(12 + data.length);
+        const view = new DataView(chunk.buffer);
+        view.setUint32(0, data.length);
+        for (let i = 0; i < 4; i++) {
+            chunk[4 + i] = type.charCodeAt(i);
+        }
+        chunk.set(data, 8);
+        view.setUint32(8 + data.length, this.crc32(chunk.subarray(4, 8 + data.length)));
+        this.parts.push(chunk);
+    }
+
+    crc32(bytes) {
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = this.crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    static createCRCTable() {
+        const table = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            table[n] = c >>> 0;
+        }
+        return table;
+    }
+}
+
+// Export for use in main.js
+if (typeof window !== 'undefined') {
+    window.PNGStreamWriter = PNGStreamWriter;
+}
@@ -0,0 +1,111 @@
+/**
+ * PointExporter.js
+ * Serialises sampled instance records to JSON, CSV and PLY (ASCII or binary)
+ * Records: {x, y, z, scale, rx, ry, rz, qx, qy, qz, qw, r, g, b, letterIndex, lineIndex, charIndex}
+ * Rotations are Euler XYZ in degrees plus the same rotation as a quaternion; colours are sRGB 0-1
+ * scale is a unitless multiplier of the instance size (meta.shapeSize)
+ */
+
+class PointExporter {
+    /**
+     * @param {Array<Object>} records
+     * @param {Object} meta - Written alongside the points (units, centering, source...)
+     * @returns {string}
+     */
+    static toJSON(records, meta = {}) {
+        return JSON.stringify({ ...meta, count: records.length, points: records }, null, 2);
+    }
+
+    static toCSV(records) {
+        const FIELDS = ['x', 'y', 'z', 'scale', 'rx', 'ry', 'rz', 'qx', 'qy', 'qz', 'qw', 'r', 'g', 'b', 'letterIndex', 'lineIndex', 'charIndex'];
+        const lines = [FIELDS.join(',')];
+        records.forEach(record => {
+            lines.push(FIELDS.map(field => this.formatNumber(record[field])).join(','));
+        });
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * @param {Array<Object>} records
+     * @param {Object} options - {binary, comment}
+     * @returns {string|ArrayBuffer} ASCII text or little-endian binary PLY
+     */
+    static toPLY(records, options = {}) {
+        const { binary = false, comment = '' } = options;
+
+        const header = [
+            'ply',
+            binary ? 'format binary_little_endian 1.0' : 'format ascii 1.0',
+            ...(comment ? comment.split('\n').map(line => `comment ${line}`) : []),
+            `element vertex ${records.length}`,
+            'property float x',
+            'property float y',
+            'property float z',
+            'property float scale',
+            'property float rx',
+            'property float ry',
+            'property float rz',
+            'property float qx',
+            'property float qy',
+            'property float qz',
+            'property float qw',
+            'property uchar red',
+            'property uchar green',
+            'property uchar blue',
+            'property int letter_index',
+            'property int line_index',
+            'property int char_index',
+            'end_header'
+        ].join('\n') + '\n';
+
+        const FLOAT_FIELDS = ['x', 'y', 'z', 'scale', 'rx', 'ry', 'rz', 'qx', 'qy', 'qz', 'qw'];
+        const toByte = v => Math.max(0, Math.min(255, Math.round(v * 255)));
+
+        if (!binary) {
+            const lines = records.map(record => [
+                ...FLOAT_FIELDS.map(field => this.formatNumber(record[field])),
+                toByte(record.r), toByte(record.g), toByte(record.b),
+                record.letterIndex, record.lineIndex, record.charIndex
+            ].join(' '));
+            return header + lines.join('\n') + '\n';
+        }
+
+        // 11 floats + 3 bytes + 3 ints per vertex
+        const stride = FLOAT_FIELDS.length * 4 + 3 + 3 * 4;
+        const headerBytes = new TextEncoder().encode(header);
+        const buffer = new ArrayBuffer(headerBytes.length + records.length * stride);
+        new Uint8Array(buffer).set(headerBytes);
+        const view = new DataView(buffer);
+
+        let offset = headerBytes.length;
+        records.forEach(record => {
+            FLOAT_FIELDS.forEach(field => {
+                view.setFloat32(offset, record[field], true);
+                offset += 4;
+            });
+            view.setUint8(offset++, toByte(record.r));
+            view.setUint8(offset++, toByte(record.g));
+            view.setUint8(offset++, toByte(record.b));
+            view.setInt32(offset, record.letterIndex, true);
+            view.setInt32(offset + 4, record.lineIndex, true);
+            view.setInt32(offset + 8, record.charIndex, true);
+            offset += 12;
+        });
+
+        return buffer;
+    }
+
+    // ============ HELPERS ============
+    // Compact fixed precision (no trailing zeros, no -0)
+    static formatNumber(value) {
+        if (!Number.isFinite(value)) return '0';
+        if (Number.isInteger(value)) return String(value);
+        const rounded = parseFloat(value.toFixed(6));
+        return String(rounded === 0 ? 0 : rounded);
+    }
+}
+
+// Export for use in main.js
+if (typeof window !== 'undefined') {
+    window.PointExporter = PointExporter;
+}
@@ -21,20 +21,40 @@ let instancedMesh = null;
 let currentGeometry = null;
 let currentMaterial = null;
 let glbGeometry = null;
+let svgCommands = null;  // Parsed path commands of the uploaded SVG
+let sourceImage = null;  // Loaded image for the 'image' source mode
+let letterGlyphs = [];   // Letters of the current text: {key, lineIndex, charIndex, char, bounds, count}
+const assetSourceFiles = new WeakMap();  // Loaded asset (GLB geometry, SVG, image, matcap) -> its file, for preset bundles
+const uploadedFontFiles = new Map();     // Uploaded font family -> its file
 let dummy = null;
 let cachedPoints = null;
+const MAX_EXTRUDED_POINTS = 200000;  // Instance budget for volumetric extrusion
 let particlePositions = [];
 
 // ========== STATE MANAGEMENT ==========
 let textData = {
     // Source mode settings
-    sourceMode: 'text',              // 'text' | 'shape'
+    sourceMode: 'text',              // 'text' | 'shape' | 'svg' | 'image'
     // Predefined shapes
     spawnShapeType: 'circle',        // 'circle' | 'square' | 'triangle' | 'star' | 'heart' | 'hexagon'
     spawnShapeSize: 200,             // Size in pixels (50-500)
     shapeFillMode: 'outline',        // 'outline' | 'fill'
     shapeOffsetX: 0,                 // Position offset X (-50 to 50)
     shapeOffsetY: 0,                 // Position offset Y (-50 to 50)
+    // SVG import
+    svgSize: 400,                    // Longest side in pixels (50-2000)
+    svgFillMode: 'fill',             // 'outline' | 'fill'
+    svgOffsetX: 0,                   // Position offset X (-50 to 50)
+    svgOffsetY: 0,                   // Position offset Y (-50 to 50)
+    // Image (halftone) source
+    imageSize: 600,                  // Longest side in pixels (50-2000)
+    imageMapping: 'none',            // 'none' | 'scale' (luminance -> size) | 'threshold' (keep/drop)
+    imageThreshold: 0.5,             // Keep threshold for 'threshold' mapping (0-1)
+    imageMinScale: 0.1,              // Smallest instance scale for 'scale' mapping (0-1)
+    imageInvert: false,              // false = dark pixels are kept/large, true = bright pixels
+    imageUseColor: true,             // Read pixel colour into instanceColor
+    imageOffsetX: 0,                 // Position offset X (-50 to 50)
+    imageOffsetY: 0,                 // Position offset Y (-50 to 50)
 
     // Text settings
     text: '3D Type Shaper',
@@ -45,11 +65,38 @@ let textData = {
     textAlign: 'center',    // 'left', 'center', 'right'
     textOffsetX: 0,
     textOffsetY: 0,
+    samplingEngine: 'raster',   // 'raster' (pixel alpha scan) | 'vector' (glyph outlines)
+    textFillMode: 'fill',       // 'fill' | 'outline'
+    strokeWidth: 10,            // Outline band thickness in pixels, measured inward (0-100)
+    outlineRings: 1,            // Number of inset rings across the stroke (vector engine, 1-5)
 
     // 3D Shape settings (the objects that spawn at each point)
     shapeType: 'sphere',  // 'sphere', 'cube', 'glb'
     shapeSize: 5,
     spacing: 1.0,
+    distribution: 'auto',            // 'auto' (source default) | 'grid' | 'honeycomb' | 'jittered' | 'poisson' | 'phyllotaxis'
+    seed: 1,                         // Seed for every random choice (distribution layouts, facing, tumble, build, auto path)
+    // Volumetric extrusion through Z
+    extrudeDepth: 0,                 // Total Z thickness in pixels (0-1000)
+    extrudeLayers: 1,                // Number of Z layers (1 = flat)
+    extrudeMode: 'filled',           // 'filled' | 'shell' (front/back caps + side walls)
+    extrudeBevel: 0,                 // Inset of layers behind the front face (0-1)
+    // Per-letter transforms keyed by 'lineIndex:charIndex'
+    // {offsetX, offsetY, rotation (degrees), scale, color (hex or null)}
+    letterTransforms: {},
+    // Camera pose (pan is a fraction of canvas height so it survives resizes and high-res export)
+    camera: {
+        projection: 'orthographic',  // 'orthographic' | 'perspective'
+        fov: 50,                     // Vertical field of view in degrees (perspective)
+        azimuth: 0,                  // Orbit around Y in degrees (-180 to 180)
+        elevation: 0,                // Orbit above/below in degrees (-89 to 89)
+        zoom: 1,                     // 1 = canvas fits exactly (0.1-10)
+        panX: 0,
+        panY: 0,
+        panZ: 0,
+        locked: true,                // Disable mouse orbit/pan/zoom (on by default so hover clicks don't move the view)
+        savedPose: null              // Stored pose for "Restore View"
+    },
 
     // Material settings
     materialType: 'solid',  // 'solid', 'matcapUpload', 'gradient'
@@ -143,6 +190,58 @@ let textData = {
     autoDebug: false,
     autoTime: 0,
 
+    // Build (intro/outro) animation
+    buildStyle: 'scatter',           // 'scatter' | 'explode' | 'point' | 'offscreen'
+    buildOffscreenSide: 'bottom',    // 'top' | 'bottom' | 'left' | 'right' (offscreen style)
+    buildStagger: 'letter',          // 'none' | 'letter' | 'line'
+    buildStaggerDelay: 0.08,         // Seconds between staggered letters/lines (0-1)
+    buildDuration: 1.2,              // Seconds per particle flight (0.1-5)
+    buildEasing: 'easeOutCubic',     // Key of BUILD_EASINGS
+    buildAutoplay: true,             // Play the intro when the page loads
+
+    // Morph transitions between texts/shapes
+    morphEnabled: false,             // Animate from the old points when the content changes
+    morphDuration: 1.0,              // Seconds (0.1-5)
+    morphEasing: 'easeInOutCubic',   // Key of BUILD_EASINGS
+    playlistItems: ['HELLO', 'WORLD'], // One entry per line, 'shape:heart' switches to a shape
+    playlistEnabled: false,          // Cycle through playlistItems automatically
+    playlistInterval: 3,             // Seconds each entry is shown (1-20)
+
+    // Animation export (video, PNG sequence)
+    exportDuration: 5,               // Seconds (1-60)
+    exportFps: 30,                   // 24, 30 or 60
+    exportScale: 1,                  // Resolution multiplier of the canvas size (1, 2 or 4)
+    exportPlayIntro: false,          // Start the capture with the build intro
+    videoFormat: 'webm-vp9',         // 'webm-vp9' | 'webm-vp8' | 'mp4' (alpha needs WebM)
+    exportSpriteSheet: false,        // Add a sprite-sheet atlas + JSON manifest to the PNG ZIP
+
+    // GIF export
+    gifFps: 15,                      // 10, 15, 20, 25 or 50 (GIF delays are in 1/100 s)
+    gifScale: 0.5,                   // Resolution multiplier of the canvas size
+    gifPalette: 'global',            // 'global' | 'frame'
+    gifDither: true,                 // Floyd-Steinberg dithering
+    gifLoopCount: 0,                 // 0 = forever, N = play N times
+    gifTrimStart: 0,                 // Seconds into the animation where the GIF starts
+    gifTrimEnd: 3,                   // Seconds into the animation where the GIF ends
+    gifSeamless: false,              // Use the rotation/auto-pattern loop period instead of the trim end
+
+    // 3D export
+    gltfFormat: 'glb',               // 'glb' | 'gltf'
+    gltfMode: 'instanced',           // 'instanced' (EXT_mesh_gpu_instancing) | 'merged' (one baked mesh)
+
+    // Point data export
+    pointFormat: 'json',             // 'json' | 'csv' | 'ply-ascii' | 'ply-binary'
+    pointUnits: 'px',                // 'px' | 'mm' | 'cm' | 'm' | 'in' (96 px per inch)
+    pointCentering: 'canvas',        // 'canvas' (canvas centre = 0) | 'bounds' (points centred) | 'min' (min corner = 0)
+
+    // Large image export (tiled rendering)
+    tiledSizeMode: 'print',          // 'print' (paper size at a DPI) | 'pixels'
+    tiledPaper: 'A0',                // Key of PRINT_PAPER_SIZES
+    tiledOrientation: 'portrait',    // 'portrait' | 'landscape'
+    tiledDpi: 300,                   // 72, 150, 300 or 600
+    tiledWidth: 7680,                // Pixel mode output size
+    tiledHeight: 4320,
+
     // Canvas size tracking
     previousCanvasSize: { width: 0, height: 0 }
 };
@@ -150,12 +249,6 @@ let textData = {
 let animationFrameId = null;
 let hoverAnimationFrameId = null;
 
-// Random pattern state
-let randomTarget = { x: 0, y: 0 };
-let randomCurrent = { x: 0, y: 0 };
-let randomLastTime = 0;
-let randomInitialized = false;
-
 // Trace pattern state
 let traceIndex = 0;
 
@@ -187,6 +280,23 @@ let particleRotations = [];
 // GLB animation frame ID
 let glbAnimationFrameId = null;
 
+// Intro/outro build animation state (null when idle)
+let buildAnimation = null;
+let buildAnimationFrameId = null;
+
+// Morph transition state (null when idle) and request flag for the next rebuild
+let morphAnimation = null;
+let morphAnimationFrameId = null;
+let pendingMorph = false;
+
+// Playlist timer
+let playlistTimer = null;
+let playlistIndex = 0;
+
+// Animation capture (live animation loops pause while frames are stepped manually)
+let isCapturingAnimation = false;
+let captureStopRequested = false;
+
 // Clock for delta time
 let clock = null;
 
@@ -206,18 +316,8 @@ function init() {
     // Create scene
     scene = new THREE.Scene();
 
-    // Create orthographic camera for 2D-like view
-    const aspect = canvas.width / canvas.height;
-    const frustumSize = canvas.height;
-    camera = new THREE.OrthographicCamera(
-        -frustumSize * aspect / 2,
-        frustumSize * aspect / 2,
-        frustumSize / 2,
-        -frustumSize / 2,
-        0.1,
-        2000
-    );
-    camera.position.z = 1000;
+    // Create camera (orthographic by default for 2D-like view)
+    updateCamera(canvas.width, canvas.height);
 
     // Create renderer
     renderer = new THREE.WebGLRenderer({
@@ -260,8 +360,18 @@ function init() {
     // Initialize background manager
     initBackgroundManager();
 
+    // Settings shared through a link
+    applyURLState();
+
     // Initial render
     rebuildParticleSystem();
+
+    // Intro build animation on load
+    if (textData.buildAutoplay) {
+        playBuildAnimation('in');
+    }
+
+    resolveTypeShaperReady(window.TypeShaper);
 }
 
 // ========== MATCAP TEXTURE GENERATION ==========
@@ -292,6 +402,7 @@ function createDefaultMatcap() {
 
 // ========== BACKGROUND SYSTEM ==========
 let backgroundTexture = null;
+let backgroundImage = null;         // Loaded background image, redrawn at full size by tiled exports
 
 function initBackgroundManager() {
     const canvas = document.getElementById('chatooly-canvas');
@@ -337,13 +448,7 @@ function initBackgroundManager() {
     if (bgImage) {
         bgImage.addEventListener('change', async (e) => {
             const file = e.target.files[0];
-            if (file && window.Chatooly && window.Chatooly.backgroundManager) {
-                await Chatooly.backgroundManager.setBackgroundImage(file);
-                if (clearBgImage) clearBgImage.style.display = 'block';
-                const bgFitGroup = document.getElementById('bg-fit-group');
-                if (bgFitGroup) bgFitGroup.style.display = 'block';
-                updateBackground();
-            }
+            if (file) await applyBackgroundImage(file);
         });
     }
 
@@ -373,6 +478,18 @@ function initBackgroundManager() {
     updateBackground();
 }
 
+// Background image from a file (upload control or preset bundle)
+async function applyBackgroundImage(file) {
+    if (!window.Chatooly || !window.Chatooly.backgroundManager) return;
+
+    await Chatooly.backgroundManager.setBackgroundImage(file);
+    const clearBgImage = document.getElementById('clear-bg-image');
+    const bgFitGroup = document.getElementById('bg-fit-group');
+    if (clearBgImage) clearBgImage.style.display = 'block';
+    if (bgFitGroup) bgFitGroup.style.display = 'block';
+    updateBackground();
+}
+
 function updateBackground() {
     if (!renderer) return;
 
@@ -420,6 +537,7 @@ function updateBackground() {
         // Draw image
         const img = new Image();
         img.onload = () => {
+            backgroundImage = img;
             ctx.drawImage(img, dims.offsetX, dims.offsetY, dims.drawWidth, dims.drawHeight);
             backgroundTexture = new THREE.CanvasTexture(tempCanvas);
             backgroundTexture.needsUpdate = true;
@@ -431,6 +549,7 @@ function updateBackground() {
             render();
         };
         img.onerror = () => {
+            backgroundImage = null;
             const color = new THREE.Color(bg.bgColor);
             renderer.setClearColor(color, 1);
             renderer.setClearAlpha(1);
@@ -491,6 +610,8 @@ function getTextPoints(text, fontSize, spacing) {
     const baseCenterX = (canvas.width / 2) + offsetX;
 
     // Draw each line with alignment
+    const drawnLines = [];
+    const lineLayouts = [];
     lines.forEach((line, index) => {
         const y = startY + (index * leadingPixels);
         const lineWidth = lineWidths[index];
@@ -517,12 +638,57 @@ function getTextPoints(text, fontSize, spacing) {
         }
 
         tempCtx.fillText(line, lineX, y);
+        drawnLines.push({ line, x: lineX, y, align: tempCtx.textAlign });
+
+        // Character extents along the line (prefix widths include letter spacing)
+        const chars = Array.from(line);
+        const left = tempCtx.textAlign === 'center' ? lineX - lineWidth / 2
+            : tempCtx.textAlign === 'right' ? lineX - lineWidth
+            : lineX;
+        let prefix = '';
+        lineLayouts.push({
+            y,
+            chars: chars.map(char => {
+                const x0 = left + tempCtx.measureText(prefix).width;
+                prefix += char;
+                return { char, x0, x1: left + tempCtx.measureText(prefix).width };
+            })
+        });
     });
 
+    // Outline mode: keep only a band of strokeWidth inside the glyph edges
+    // (stroke at double width centered on the edge, intersected with the fill)
+    if (textData.textFillMode === 'outline') {
+        tempCtx.globalCompositeOperation = 'destination-in';
+        tempCtx.lineWidth = Math.max(1, textData.strokeWidth * 2);
+        tempCtx.lineJoin = 'round';
+        tempCtx.strokeStyle = '#FFFFFF';
+        drawnLines.forEach(({ line, x, y, align }) => {
+            tempCtx.textAlign = align;
+            tempCtx.strokeText(line, x, y);
+        });
+        tempCtx.globalCompositeOperation = 'source-over';
+    }
+
     // Sample pixels from the filled text
     const imageData = tempCtx.getImageData(0, 0, tempCanvas.width, tempCanvas.height);
     const data = imageData.data;
 
+    // Selected distribution: place points inside the text mask instead of scanning the grid
+    const distribution = getPointDistribution();
+    if (distribution) {
+        const mask = PointDistribution.createAlphaMask(data, tempCanvas.width, tempCanvas.height);
+        return PointDistribution.generate(distribution.type, mask.bounds, spacing, {
+            seed: distribution.seed,
+            isInside: mask.isInside
+        }).map(p => ({
+            x: p.x - canvas.width / 2,
+            y: canvas.height / 2 - p.y,
+            z: 0,
+            ...findRasterGlyph(lineLayouts, p.x, p.y)
+        }));
+    }
+
     // Sample points based on spacing
     const step = spacing;
 
@@ -543,7 +709,8 @@ function getTextPoints(text, fontSize, spacing) {
                     points.push({
                         x: px - canvas.width / 2,
                         y: canvas.height / 2 - py,
-                        z: 0
+                        z: 0,
+                        ...findRasterGlyph(lineLayouts, px, py)
                     });
                 }
             }
@@ -553,6 +720,338 @@ function getTextPoints(text, fontSize, spacing) {
     return points;
 }
 
+// Which character a raster sample belongs to: nearest line, then the character whose
+// advance box contains x (nearest box for overhanging glyph parts)
+function findRasterGlyph(lineLayouts, x, y) {
+    let lineIndex = 0;
+    for (let i = 1; i < lineLayouts.length; i++) {
+        if (Math.abs(lineLayouts[i].y - y) < Math.abs(lineLayouts[lineIndex].y - y)) {
+            lineIndex = i;
+        }
+    }
+
+    const chars = lineLayouts[lineIndex] ? lineLayouts[lineIndex].chars : [];
+    let charIndex = 0;
+    let bestDistance = Infinity;
+    for (let i = 0; i < chars.length; i++) {
+        const { x0, x1 } = chars[i];
+        if (x >= x0 && x < x1 && chars[i].char.trim()) {
+            charIndex = i;
+            break;
+        }
+        const distance = Math.abs((x0 + x1) / 2 - x);
+        if (distance < bestDistance && chars[i].char.trim()) {
+            bestDistance = distance;
+            charIndex = i;
+        }
+    }
+
+    return { lineIndex, charIndex, char: chars[charIndex] ? chars[charIndex].char : '' };
+}
+
+// ========== TEXT TO 3D POINTS (VECTOR OUTLINES) ==========
+function getTextPointsVector(text, fontSize, spacing) {
+    const font = window.FontOutlines ? FontOutlines.get(textData.fontFamily) : null;
+
+    // Fall back to raster sampling until the font outlines are available
+    // (built-in fonts are looked up from user gestures, see requestVectorFont)
+    if (!font || !window.ContourSampler) {
+        const reason = window.FontOutlines
+            ? FontOutlines.getError(textData.fontFamily) || (FontOutlines.loading.has(textData.fontFamily) ? null : 'Font outlines not loaded')
+            : 'Font outline parser not loaded';
+        setVectorFontStatus(reason ? `Using raster sampling: ${reason}` : 'Loading font outlines...', !!reason);
+        return getTextPoints(text, fontSize, spacing);
+    }
+
+    setVectorFontStatus(null);
+
+    const canvas = document.getElementById('chatooly-canvas');
+    const offsetX = (textData.textOffsetX / 100) * canvas.width;
+    const offsetY = (textData.textOffsetY / 100) * canvas.height;
+
+    const glyphs = FontOutlines.layoutText(font, text, {
+        fontSize: fontSize,
+        leading: textData.leading,
+        letterSpacing: textData.letterSpacing,
+        textAlign: textData.textAlign,
+        centerX: (canvas.width / 2) + offsetX,
+        centerY: (canvas.height / 2) + offsetY
+    });
+
+    const contours = [];
+    const glyphContours = [];
+    glyphs.forEach(glyph => {
+        const flattened = ContourSampler.flattenCommands(glyph.commands, Math.max(1, spacing / 4));
+        contours.push(...flattened);
+        if (flattened.length > 0) {
+            glyphContours.push({
+                lineIndex: glyph.lineIndex,
+                charIndex: glyph.charIndex,
+                char: glyph.char,
+                contours: flattened,
+                bounds: ContourSampler.getBounds(flattened)
+            });
+        }
+    });
+
+    // Outline: beads along (inset) contours. Fill: same grid as the raster scan
+    // A selected distribution fills the glyphs (or the outline band) instead
+    const step = Math.max(1, spacing);
+    const distribution = getPointDistribution();
+    let samples;
+    if (distribution) {
+        const mask = PointDistribution.createContourMask(contours, {
+            fillRule: 'nonzero',
+            strokeWidth: textData.textFillMode === 'outline' ? textData.strokeWidth : 0
+        });
+        samples = PointDistribution.generate(distribution.type, mask.bounds, step, {
+            seed: distribution.seed,
+            isInside: mask.isInside
+        });
+    } else if (textData.textFillMode === 'outline') {
+        samples = ContourSampler.sampleOutlineRings(contours, step, {
+            rings: textData.outlineRings,
+            strokeWidth: textData.strokeWidth,
+            fillRule: 'nonzero'
+        });
+    } else {
+        samples = ContourSampler.sampleFill(contours, step, 'nonzero');
+    }
+
+    // Convert canvas coords to 3D scene coords (center at origin, flip Y), tagged with their glyph
+    return samples.map(p => ({
+        x: p.x - canvas.width / 2,
+        y: canvas.height / 2 - p.y,
+        z: 0,
+        ...findVectorGlyph(glyphContours, p.x, p.y)
+    }));
+}
+
+// Which glyph a vector sample belongs to: the glyph containing it, else the nearest glyph box
+function findVectorGlyph(glyphContours, x, y) {
+    let nearest = null;
+    let bestDistance = Infinity;
+
+    for (let i = 0; i < glyphContours.length; i++) {
+        const g = glyphContours[i];
+        const b = g.bounds;
+        const inBox = x >= b.minX && x <= b.maxX && y >= b.minY && y <= b.maxY;
+        if (inBox && ContourSampler.isInside(g.contours, x, y, 'nonzero')) {
+            nearest = g;
+            break;
+        }
+        const distance = Math.hypot((b.minX + b.maxX) / 2 - x, (b.minY + b.maxY) / 2 - y);
+        if (distance < bestDistance) {
+            bestDistance = distance;
+            nearest = g;
+        }
+    }
+
+    return nearest
+        ? { lineIndex: nearest.lineIndex, charIndex: nearest.charIndex, char: nearest.char }
+        : { lineIndex: 0, charIndex: 0, char: '' };
+}
+
+// Selected point distribution for the samplers ({type, seed}), null = each source's own grid
+function getPointDistribution() {
+    if (!window.PointDistribution || textData.distribution === 'auto') return null;
+    return { type: textData.distribution, seed: getStreamSeed('distribution') };
+}
+
+/**
+ * Load outlines for a built-in font, then rebuild if it is still the active font
+ * Call from a user gesture (choosing the engine or font, Retry): the browser asks for local font access only then
+ */
+function requestVectorFont(family) {
+    if (!window.FontOutlines || FontOutlines.get(family)) return;
+
+    setVectorFontStatus('Loading font outlines...');
+    FontOutlines.load(family).then(() => {
+        if (textData.samplingEngine === 'vector' && textData.fontFamily === family) {
+            rebuildParticleSystem();
+        }
+    });
+}
+
+// Status under the sampling select (null hides it); canRetry shows the Retry button
+function setVectorFontStatus(message, canRetry = false) {
+    const status = document.getElementById('vector-font-status');
+    const retryBtn = document.getElementById('vector-font-retry-btn');
+    if (status) {
+        status.textContent = message || '';
+        status.style.display = message ? 'block' : 'none';
+    }
+    if (retryBtn) retryBtn.style.display = message && canRetry ? 'block' : 'none';
+}
+
+// ========== SEEDED RANDOMNESS ==========
+/**
+ * Seed of one kind of decision, derived from textData.seed
+ * Each purpose gets its own stream, so changing e.g. the tumble amount never shifts the facing rotations
+ * @param {string} stream - Purpose name mixed into the seed
+ * @returns {number}
+ */
+function getStreamSeed(stream) {
+    // FNV-1a over the purpose name, starting from the seed
+    let hash = (0x811C9DC5 ^ (Math.floor(textData.seed) || 0)) >>> 0;
+    for (let i = 0; i < stream.length; i++) {
+        hash = Math.imul(hash ^ stream.charCodeAt(i), 0x01000193) >>> 0;
+    }
+    return hash;
+}
+
+/**
+ * Seeded random stream for one kind of decision (same mulberry32 generator as the distributions)
+ * @param {string} stream - Purpose name, see getStreamSeed
+ * @returns {Function} () => float in [0, 1)
+ */
+function createSeededRandom(stream) {
+    return PointDistribution.createRandom(getStreamSeed(stream));
+}
+
+// New angular velocities for the current amount/speed (same directions for the same seed)
+function resetTumbleVelocities() {
+    const random = createSeededRandom('tumble');
+    const strength = textData.tumbleAmount * textData.tumbleSpeed * 0.5;
+    particleRotations.forEach(rot => {
+        rot.angularVelocityX = (random() - 0.5) * strength;
+        rot.angularVelocityY = (random() - 0.5) * strength;
+        rot.angularVelocityZ = (random() - 0.5) * strength;
+    });
+}
+
+// ========== PER-LETTER GROUPS ==========
+// Group points tagged with lineIndex/charIndex into letters and attach glyph bounds (scene coords)
+function groupLetterGlyphs(points) {
+    const glyphs = new Map();
+
+    points.forEach(p => {
+        if (p.lineIndex === undefined) return;
+
+        const key = `${p.lineIndex}:${p.charIndex}`;
+        let glyph = glyphs.get(key);
+        if (!glyph) {
+            glyph = {
+                key,
+                lineIndex: p.lineIndex,
+                charIndex: p.charIndex,
+                char: p.char,
+                bounds: { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity, centerX: 0, centerY: 0 },
+                count: 0
+            };
+            glyphs.set(key, glyph);
+        }
+
+        const b = glyph.bounds;
+        b.minX = Math.min(b.minX, p.x);
+        b.minY = Math.min(b.minY, p.y);
+        b.maxX = Math.max(b.maxX, p.x);
+        b.maxY = Math.max(b.maxY, p.y);
+        glyph.count++;
+        p.glyphBounds = b;
+    });
+
+    const sorted = Array.from(glyphs.values()).sort((a, b) =>
+        a.lineIndex - b.lineIndex || a.charIndex - b.charIndex
+    );
+    sorted.forEach((glyph, index) => {
+        glyph.bounds.centerX = (glyph.bounds.minX + glyph.bounds.maxX) / 2;
+        glyph.bounds.centerY = (glyph.bounds.minY + glyph.bounds.maxY) / 2;
+        glyph.index = index;
+    });
+
+    points.forEach(p => {
+        if (p.lineIndex !== undefined) p.glyphIndex = glyphs.get(`${p.lineIndex}:${p.charIndex}`).index;
+    });
+
+    return sorted;
+}
+
+function getLetterTransform(p) {
+    if (p.lineIndex === undefined || !textData.letterTransforms) return null;
+    return textData.letterTransforms[`${p.lineIndex}:${p.charIndex}`] || null;
+}
+
+// Scale and rotate a point about its glyph centre, then offset it
+function applyLetterTransform(source, particle) {
+    const letter = getLetterTransform(source);
+    if (!letter || !source.glyphBounds) return particle;
+
+    const scale = letter.scale !== undefined ? letter.scale : 1;
+    const angle = (letter.rotation || 0) * Math.PI / 180;
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    const dx = (particle.x - source.glyphBounds.centerX) * scale;
+    const dy = (particle.y - source.glyphBounds.centerY) * scale;
+
+    return {
+        ...particle,
+        x: source.glyphBounds.centerX + dx * cos - dy * sin + (letter.offsetX || 0),
+        y: source.glyphBounds.centerY + dx * sin + dy * cos + (letter.offsetY || 0),
+        baseScale: particle.baseScale * scale
+    };
+}
+
+/**
+ * Set (merge) the transform of one letter and rebuild
+ * @param {number} lineIndex
+ * @param {number} charIndex
+ * @param {Object|null} transform - {offsetX, offsetY, rotation, scale, color}, null clears it
+ */
+function setLetterTransform(lineIndex, charIndex, transform) {
+    const key = `${lineIndex}:${charIndex}`;
+    if (transform === null) {
+        delete textData.letterTransforms[key];
+    } else {
+        textData.letterTransforms[key] = {
+            offsetX: 0,
+            offsetY: 0,
+            rotation: 0,
+            scale: 1,
+            color: null,
+            ...textData.letterTransforms[key],
+            ...transform
+        };
+    }
+    rebuildParticleSystem();
+}
+
+function clearLetterTransforms() {
+    textData.letterTransforms = {};
+    rebuildParticleSystem();
+}
+
+// Letters of the current text with their bounds (copies, safe to keep)
+function getLetterGlyphs() {
+    return letterGlyphs.map(({ key, index, lineIndex, charIndex, char, bounds, count }) => ({
+        key, index, lineIndex, charIndex, char, count, bounds: { ...bounds }
+    }));
+}
+
+window.setLetterTransform = setLetterTransform;
+window.clearLetterTransforms = clearLetterTransforms;
+window.getLetterGlyphs = getLetterGlyphs;
+
+// Refill the letter picker after a rebuild, keeping the current selection when it still exists
+function updateLetterSelect() {
+    const select = document.getElementById('letter-select');
+    if (!select) return;
+
+    const previous = select.value;
+    select.innerHTML = '';
+    letterGlyphs.forEach(glyph => {
+        const option = document.createElement('option');
+        option.value = glyph.key;
+        option.textContent = `${glyph.char} (line ${glyph.lineIndex + 1}, #${glyph.charIndex + 1})`;
+        select.appendChild(option);
+    });
+
+    if (letterGlyphs.some(glyph => glyph.key === previous)) {
+        select.value = previous;
+    }
+    select.dispatchEvent(new CustomEvent('letters-updated'));
+}
+
 // ========== GEOMETRY CREATION ==========
 function createShapeGeometry(shapeType) {
     const THREE = window.THREE;
@@ -895,6 +1394,7 @@ function initLerpMeshes() {
     if (!lerpMaterialsReady || !currentGeometry || cachedPoints.length === 0) return;
 
     const THREE = window.THREE;
+    const count = particlePositions.length || cachedPoints.length;  // Includes morph ghosts
 
     // Clean up existing lerp meshes
     cleanupLerpMeshes();
@@ -905,7 +1405,7 @@ function initLerpMeshes() {
         const mesh = new THREE.InstancedMesh(
             currentGeometry,
             lerpData.material,
-            cachedPoints.length
+            count
         );
         mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
         mesh.visible = index === 0;  // Only base material visible initially
@@ -914,7 +1414,7 @@ function initLerpMeshes() {
         const tempDummy = new THREE.Object3D();
         tempDummy.scale.set(0, 0, 0);
         tempDummy.updateMatrix();
-        for (let i = 0; i < cachedPoints.length; i++) {
+        for (let i = 0; i < count; i++) {
             mesh.setMatrixAt(i, tempDummy.matrix);
         }
         mesh.instanceMatrix.needsUpdate = true;
@@ -924,7 +1424,7 @@ function initLerpMeshes() {
     });
 
     // Initialize particle lerp indices (all start at 0 = base material)
-    particleLerpIndices = new Array(cachedPoints.length).fill(0);
+    particleLerpIndices = new Array(count).fill(0);
 
     console.log('3D Type Shaper: Lerp meshes initialized:', lerpMeshes.length);
 }
@@ -964,7 +1464,7 @@ function updateLerpMeshes(deltaTime = 0) {
         const rot = particleRotations[i] || { x: 0, y: 0, z: 0, spinOffsetX: 0, spinOffsetY: 0, spinOffsetZ: 0 };
 
         // Get hover progress for this particle
-        const hoverProgress = getHoverProgress(p.x, p.y);
+        const hoverProgress = getHoverProgress(p.x, p.y, p.z);
         const newLerpIndex = getLerpMaterialIndex(hoverProgress);
         const oldLerpIndex = particleLerpIndices[i];
 
@@ -973,11 +1473,13 @@ function updateLerpMeshes(deltaTime = 0) {
 
         // Apply magnification if enabled
         if (textData.hoverEffects.magnification.enabled) {
-            scale *= getHoverScale3D(p.x, p.y);
+            scale *= getHoverScale3D(p.x, p.y, p.z);
         }
 
         // Update particle in the correct lerp mesh
         dummy.position.set(p.x, p.y, p.z);
+        scale *= applyMorphAnimation(i, dummy.position);
+        scale *= applyBuildAnimation(i, dummy.position);
 
         // Apply rotation
         let finalRotX = rot.x + rot.spinOffsetX;
@@ -1035,30 +1537,60 @@ function updateLerpMeshes(deltaTime = 0) {
 }
 
 // ========== CUSTOM MATCAP UPLOAD HANDLER ==========
+/**
+ * @returns {Promise<THREE.Texture>} Resolves once the new matcap is in use
+ */
 function handleMatcapUpload(file) {
     const THREE = window.THREE;
 
-    const reader = new FileReader();
-    reader.onload = (event) => {
-        const image = new Image();
-        image.onload = () => {
-            // Dispose old texture
-            if (uploadedMatcapTexture) {
-                uploadedMatcapTexture.dispose();
-            }
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = (event) => {
+            const image = new Image();
+            image.onload = () => {
+                // Dispose old texture (history may still hold it; three.js re-uploads it if reused)
+                if (uploadedMatcapTexture) {
+                    uploadedMatcapTexture.dispose();
+                }
 
-            // Create new texture
-            uploadedMatcapTexture = new THREE.Texture(image);
-            uploadedMatcapTexture.needsUpdate = true;
+                // Create new texture
+                uploadedMatcapTexture = new THREE.Texture(image);
+                uploadedMatcapTexture.needsUpdate = true;
+                assetSourceFiles.set(uploadedMatcapTexture, file);
 
-            // Rebuild if matcapUpload is active
-            if (textData.materialType === 'matcapUpload') {
-                rebuildParticleSystem();
-            }
+                // Rebuild if matcapUpload is active
+                if (textData.materialType === 'matcapUpload') {
+                    rebuildParticleSystem();
+                }
+                resolve(uploadedMatcapTexture);
+            };
+            image.onerror = () => reject(new Error('Could not decode image'));
+            image.src = event.target.result;
         };
-        image.src = event.target.result;
-    };
-    reader.readAsDataURL(file);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(file);
+    });
+}
+
+// Round preview of the uploaded matcap, hidden when there is none
+function updateMatcapPreview() {
+    const container = document.getElementById('matcap-preview-container');
+    const previewCanvas = document.getElementById('matcap-preview');
+    if (!container || !previewCanvas) return;
+
+    const image = uploadedMatcapTexture && uploadedMatcapTexture.image;
+    container.style.display = image ? 'block' : 'none';
+    if (!image) return;
+
+    const ctx = previewCanvas.getContext('2d');
+    ctx.save();
+    ctx.clearRect(0, 0, 80, 80);
+    ctx.beginPath();
+    ctx.arc(40, 40, 39, 0, Math.PI * 2);
+    ctx.closePath();
+    ctx.clip();
+    ctx.drawImage(image, 0, 0, 80, 80);
+    ctx.restore();
 }
 
 // ========== GENERATE MATCAP PREVIEW ==========
@@ -1071,11 +1603,28 @@ function generateMatcapPreview(stops, type) {
 }
 
 // ========== PARTICLE SYSTEM ==========
+// Shift source points by a percentage of the canvas size
+function applySourceOffset(points, offsetXPercent, offsetYPercent, canvasSize) {
+    if (offsetXPercent === 0 && offsetYPercent === 0) return points;
+
+    const offsetX = (offsetXPercent / 100) * canvasSize.width;
+    const offsetY = (offsetYPercent / 100) * canvasSize.height;
+    return points.map(p => ({
+        ...p,
+        x: p.x + offsetX,
+        y: p.y - offsetY, // Negative because Y is flipped in 3D
+        z: p.z || 0
+    }));
+}
+
 function rebuildParticleSystem() {
     if (!scene || !window.THREE) return;
 
     const THREE = window.THREE;
     const canvas = document.getElementById('chatooly-canvas');
+
+    // Morph: where the current particles are drawn, before they are replaced
+    const morphSource = takeMorphSource();
     const canvasSize = { width: canvas.width, height: canvas.height };
     const spacing = textData.shapeSize * textData.spacing;
 
@@ -1089,45 +1638,94 @@ function rebuildParticleSystem() {
                     textData.spawnShapeSize,
                     spacing,
                     textData.shapeFillMode,
-                    canvasSize
+                    canvasSize,
+                    getPointDistribution()
                 );
-                // Apply position offset
-                if (textData.shapeOffsetX !== 0 || textData.shapeOffsetY !== 0) {
-                    const offsetX = (textData.shapeOffsetX / 100) * canvasSize.width;
-                    const offsetY = (textData.shapeOffsetY / 100) * canvasSize.height;
-                    cachedPoints = cachedPoints.map(p => ({
-                        x: p.x + offsetX,
-                        y: p.y - offsetY, // Negative because Y is flipped in 3D
-                        z: p.z || 0
-                    }));
-                }
+                cachedPoints = applySourceOffset(cachedPoints, textData.shapeOffsetX, textData.shapeOffsetY, canvasSize);
             } else {
                 console.warn('ParametricShapes not loaded');
                 cachedPoints = [];
             }
             break;
 
+        case 'svg':
+            // Use uploaded SVG paths
+            if (window.SVGPathParser && svgCommands) {
+                cachedPoints = SVGPathParser.getSVGPoints(
+                    svgCommands,
+                    textData.svgSize,
+                    spacing,
+                    textData.svgFillMode,
+                    getPointDistribution()
+                );
+                cachedPoints = applySourceOffset(cachedPoints, textData.svgOffsetX, textData.svgOffsetY, canvasSize);
+            } else {
+                cachedPoints = [];
+            }
+            break;
+
+        case 'image':
+            // Use uploaded raster image (luminance-driven halftone)
+            if (window.ImageSampler && sourceImage) {
+                cachedPoints = ImageSampler.getImagePoints(
+                    sourceImage,
+                    textData.imageSize,
+                    spacing,
+                    {
+                        mapping: textData.imageMapping,
+                        threshold: textData.imageThreshold,
+                        minScale: textData.imageMinScale,
+                        invert: textData.imageInvert,
+                        distribution: getPointDistribution()
+                    }
+                );
+                cachedPoints = applySourceOffset(cachedPoints, textData.imageOffsetX, textData.imageOffsetY, canvasSize);
+            } else {
+                cachedPoints = [];
+            }
+            break;
+
         case 'text':
         default:
-            // Use text (original behavior)
-            cachedPoints = getTextPoints(
-                textData.text,
-                textData.fontSize,
-                spacing
-            );
+            // Use text (raster alpha scan or vector glyph outlines)
+            cachedPoints = textData.samplingEngine === 'vector'
+                ? getTextPointsVector(textData.text, textData.fontSize, spacing)
+                : getTextPoints(textData.text, textData.fontSize, spacing);
             break;
     }
 
+    // Stack the flat points through Z (layers only spread out with some depth)
+    if (window.PointExtruder && textData.extrudeLayers > 1 && textData.extrudeDepth > 0) {
+        cachedPoints = PointExtruder.extrude(cachedPoints, {
+            depth: textData.extrudeDepth,
+            layers: textData.extrudeLayers,
+            mode: textData.extrudeMode,
+            bevel: textData.extrudeBevel,
+            spacing: spacing,
+            maxPoints: MAX_EXTRUDED_POINTS
+        });
+    }
+
+    // Group tagged points into letters and attach shared glyph bounds
+    letterGlyphs = groupLetterGlyphs(cachedPoints);
+    updateLetterSelect();
+
     if (cachedPoints.length === 0) {
         // Clear existing mesh if no points
         if (instancedMesh) {
             scene.remove(instancedMesh);
             instancedMesh = null;
         }
+        stopMorphAnimation();
         render();
+        emitTypeShaperEvent('rebuild', { pointCount: 0 });
         return;
     }
 
+    // Match old points to new ones; surplus old points become shrinking ghost instances
+    const morph = morphSource ? matchMorphPoints(morphSource, cachedPoints) : null;
+    const instancePoints = morph ? cachedPoints.concat(morph.ghosts) : cachedPoints;
+
     // Clean up existing lerp meshes first
     cleanupLerpMeshes();
     cleanupLerpMaterials();
@@ -1147,42 +1745,68 @@ function rebuildParticleSystem() {
     instancedMesh = new THREE.InstancedMesh(
         currentGeometry,
         currentMaterial,
-        cachedPoints.length
+        instancePoints.length
     );
     instancedMesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
 
     // Initialize instance colors for material crossfade effect
     // Only use non-white colors for solid material type with crossfade enabled
     // For gradient/matcap materials, use white (1,1,1) so colors don't interfere
-    const colors = new Float32Array(cachedPoints.length * 3);
+    // Image sources can supply per-point colours (sRGB, converted to working space)
+    // Per-letter colours override image colours
+    const colors = new Float32Array(instancePoints.length * 3);
     const useBaseColor = textData.materialType === 'solid';
     const baseColor = useBaseColor ? new THREE.Color(textData.shapeColor) : new THREE.Color(0xffffff);
-    for (let i = 0; i < cachedPoints.length; i++) {
-        colors[i * 3] = baseColor.r;
-        colors[i * 3 + 1] = baseColor.g;
-        colors[i * 3 + 2] = baseColor.b;
+    const usePointColors = textData.sourceMode === 'image' && textData.imageUseColor;
+    const pointColors = instancePoints.map(p => {
+        const letter = getLetterTransform(p);
+        if (letter && letter.color) return new THREE.Color(letter.color);
+        if (usePointColors && p.color) return new THREE.Color().setRGB(p.color.r, p.color.g, p.color.b, THREE.SRGBColorSpace);
+        return null;
+    });
+    const hasPointColors = pointColors.some(Boolean);
+
+    // Solid material colour multiplies instanceColor: move it into the instances so
+    // point colours show exactly while the other instances keep their look
+    if (hasPointColors && useBaseColor) {
+        baseColor.multiply(currentMaterial.color);
+        currentMaterial.color.set(0xffffff);
+    }
+
+    for (let i = 0; i < instancePoints.length; i++) {
+        const color = pointColors[i] || baseColor;
+        colors[i * 3] = color.r;
+        colors[i * 3 + 1] = color.g;
+        colors[i * 3 + 2] = color.b;
     }
     instancedMesh.instanceColor = new THREE.InstancedBufferAttribute(colors, 3);
     instancedMesh.instanceColor.setUsage(THREE.DynamicDrawUsage);
 
     // Store particle positions and initialize rotations
-    particlePositions = cachedPoints.map(p => ({
-        x: p.x,
-        y: p.y,
-        z: p.z,
-        baseScale: 1.0
+    particlePositions = instancePoints.map((p, i) => ({
+        ...applyLetterTransform(p, {
+            x: p.x,
+            y: p.y,
+            z: p.z,
+            baseScale: p.scale !== undefined ? p.scale : 1.0
+        }),
+        // Per-instance base colour (working space) when point colours are in use
+        color: hasPointColors
+            ? { r: colors[i * 3], g: colors[i * 3 + 1], b: colors[i * 3 + 2] }
+            : null
     }));
 
     // Initialize per-particle rotation data (for facing/animation)
-    particleRotations = cachedPoints.map(() => {
+    const facingRandom = createSeededRandom('facing');
+    particleRotations = instancePoints.map(() => {
         const rot = {
             x: 0,
             y: 0,
             z: 0,
-            // Angular velocity for tumble animation (tumbleAmount controls intensity)
-            angularVelocityX: (Math.random() - 0.5) * textData.tumbleAmount * textData.tumbleSpeed * 0.5,
-            angularVelocityY: (Math.random() - 0.5) * textData.tumbleAmount * textData.tumbleSpeed * 0.5,
-            angularVelocityZ: (Math.random() - 0.5) * textData.tumbleAmount * textData.tumbleSpeed * 0.5,
+            // Angular velocity for tumble animation, set by resetTumbleVelocities below
+            angularVelocityX: 0,
+            angularVelocityY: 0,
+            angularVelocityZ: 0,
             // Accumulated spin offset
             spinOffsetX: 0,
             spinOffsetY: 0,
@@ -1193,9 +1817,9 @@ function rebuildParticleSystem() {
         if (textData.shapeType === 'glb') {
             switch (textData.facingMode) {
                 case 'random':
-                    rot.x = Math.random() * Math.PI * 2;
-                    rot.y = Math.random() * Math.PI * 2;
-                    rot.z = Math.random() * Math.PI * 2;
+                    rot.x = facingRandom() * Math.PI * 2;
+                    rot.y = facingRandom() * Math.PI * 2;
+                    rot.z = facingRandom() * Math.PI * 2;
                     break;
                 case 'fixed':
                     rot.x = THREE.MathUtils.degToRad(textData.fixedAngleX);
@@ -1209,8 +1833,31 @@ function rebuildParticleSystem() {
             }
         }
 
+        // Facing before look-at lag moves it (captures start from here)
+        rot.baseX = rot.x;
+        rot.baseY = rot.y;
+        rot.baseZ = rot.z;
+
         return rot;
     });
+    resetTumbleVelocities();
+
+    // Start (or continue) the morph with the new particles
+    if (morph) {
+        startMorphAnimation(morphSource, morph.from, cachedPoints.length);
+    }
+
+    // A finished outro only holds until the content changes; the new content shows at rest
+    if (buildAnimation && buildAnimation.held) {
+        buildAnimation = null;
+    }
+
+    // Keep a running intro/outro going with the new particles
+    if (buildAnimation) {
+        const { direction, elapsed, lastTime, resolve } = buildAnimation;
+        prepareBuildAnimation(direction, elapsed);
+        Object.assign(buildAnimation, { lastTime, resolve });
+    }
 
     // Update and add to scene
     updateInstancedMesh();
@@ -1233,6 +1880,7 @@ function rebuildParticleSystem() {
     }
 
     render();
+    emitTypeShaperEvent('rebuild', { pointCount: cachedPoints.length });
 }
 
 // Reusable color objects for crossfade (avoid creating in loop)
@@ -1273,11 +1921,13 @@ function updateInstancedMesh(rotationAngle = 0, deltaTime = 0) {
         let scale = p.baseScale;
         const hoverEnabled = textData.hoverEffectEnabled || textData.hoverEffects.enabled;
         if (hoverEnabled && textData.mouseX !== null) {
-            scale *= getHoverScale3D(p.x, p.y);
+            scale *= getHoverScale3D(p.x, p.y, p.z);
         }
 
-        // Set position
+        // Set position (offset by the intro/outro build animation while it plays)
         dummy.position.set(p.x, p.y, p.z);
+        scale *= applyMorphAnimation(i, dummy.position);
+        scale *= applyBuildAnimation(i, dummy.position);
 
         // Apply rotation based on animation type (works for all shapes now)
         let finalRotX = rot.x;
@@ -1309,7 +1959,7 @@ function updateInstancedMesh(rotationAngle = 0, deltaTime = 0) {
 
         // Apply hover rotation effect (stackable)
         if (textData.hoverEffects.enabled && textData.hoverEffects.rotation.enabled) {
-            const hoverProgress = getHoverProgress(p.x, p.y);
+            const hoverProgress = getHoverProgress(p.x, p.y, p.z);
             if (hoverProgress > 0) {
                 const rotEffect = textData.hoverEffects.rotation;
 
@@ -1349,10 +1999,14 @@ function updateInstancedMesh(rotationAngle = 0, deltaTime = 0) {
 
         // Apply material crossfade effect (color blending)
         if (crossfadeActive) {
-            const hoverProgress = getHoverProgress(p.x, p.y);
+            const hoverProgress = getHoverProgress(p.x, p.y, p.z);
 
             // Lerp between base and hover color based on progress
-            _blendedColor.copy(_baseColor).lerp(_hoverColor, hoverProgress);
+            if (p.color) {
+                _blendedColor.setRGB(p.color.r, p.color.g, p.color.b).lerp(_hoverColor, hoverProgress);
+            } else {
+                _blendedColor.copy(_baseColor).lerp(_hoverColor, hoverProgress);
+            }
 
             // Set the instance color
             instancedMesh.instanceColor.setXYZ(i, _blendedColor.r, _blendedColor.g, _blendedColor.b);
@@ -1373,6 +2027,9 @@ function startShapeAnimation() {
 
     if (textData.animationType === 'none') return;
 
+    // Video recording steps the animation itself with a fixed timestep
+    if (isCapturingAnimation) return;
+
     function shapeAnimationLoop() {
         if (textData.animationType === 'none') {
             glbAnimationFrameId = null;
@@ -1381,34 +2038,11 @@ function startShapeAnimation() {
 
         const delta = clock ? clock.getDelta() : 0.016;
 
-        // Update per-particle animation
-        for (let i = 0; i < particleRotations.length; i++) {
-            const rot = particleRotations[i];
-
-            switch (textData.animationType) {
-                case 'rotate':
-                    // Multi-axis rotation based on direction vector
-                    rot.spinOffsetX += textData.rotationAxis.x * textData.rotateSpeed * delta;
-                    rot.spinOffsetY += textData.rotationAxis.y * textData.rotateSpeed * delta;
-                    rot.spinOffsetZ += textData.rotationAxis.z * textData.rotateSpeed * delta;
-                    break;
-
-                case 'tumble':
-                    // Random tumbling on all axes
-                    rot.spinOffsetX += rot.angularVelocityX * delta;
-                    rot.spinOffsetY += rot.angularVelocityY * delta;
-                    rot.spinOffsetZ += rot.angularVelocityZ * delta;
-                    break;
-
-                case 'lookAtMouse':
-                    // Look at mouse with pitch/yaw
-                    updateLookAtMouse(i, rot, delta);
-                    break;
-            }
-        }
+        stepShapeAnimation(delta);
 
         updateInstancedMesh(0, delta);
         renderer.render(scene, camera);
+        emitTypeShaperEvent('frame', { canvas: renderer.domElement });
 
         glbAnimationFrameId = requestAnimationFrame(shapeAnimationLoop);
     }
@@ -1419,6 +2053,34 @@ function startShapeAnimation() {
     glbAnimationFrameId = requestAnimationFrame(shapeAnimationLoop);
 }
 
+// Advance per-particle spin/tumble/look-at by delta seconds
+function stepShapeAnimation(delta) {
+    for (let i = 0; i < particleRotations.length; i++) {
+        const rot = particleRotations[i];
+
+        switch (textData.animationType) {
+            case 'rotate':
+                // Multi-axis rotation based on direction vector
+                rot.spinOffsetX += textData.rotationAxis.x * textData.rotateSpeed * delta;
+                rot.spinOffsetY += textData.rotationAxis.y * textData.rotateSpeed * delta;
+                rot.spinOffsetZ += textData.rotationAxis.z * textData.rotateSpeed * delta;
+                break;
+
+            case 'tumble':
+                // Random tumbling on all axes
+                rot.spinOffsetX += rot.angularVelocityX * delta;
+                rot.spinOffsetY += rot.angularVelocityY * delta;
+                rot.spinOffsetZ += rot.angularVelocityZ * delta;
+                break;
+
+            case 'lookAtMouse':
+                // Look at mouse with pitch/yaw
+                updateLookAtMouse(i, rot, delta);
+                break;
+        }
+    }
+}
+
 function stopShapeAnimation() {
     if (glbAnimationFrameId) {
         cancelAnimationFrame(glbAnimationFrameId);
@@ -1434,17 +2096,10 @@ function updateLookAtMouse(index, rot, delta) {
     if (!mouseWorldPos || textData.mouseX === null || textData.mouseY === null) return;
 
     const THREE = window.THREE;
-    const canvas = document.getElementById('chatooly-canvas');
     const p = particlePositions[index];
 
-    // Convert mouse screen position to world coordinates
-    const mouseNDC = new THREE.Vector3(
-        (textData.mouseX / canvas.width) * 2 - 1,
-        -(textData.mouseY / canvas.height) * 2 + 1,
-        0
-    );
-    mouseNDC.unproject(camera);
-    mouseWorldPos.set(mouseNDC.x, mouseNDC.y, 0);
+    // Convert mouse screen position to world coordinates (on the z=0 plane)
+    if (!getMouseWorldPosition(mouseWorldPos)) return;
 
     // Calculate direction to mouse
     const toMouse = new THREE.Vector3(
@@ -1489,16 +2144,11 @@ function calculateHoverLookAt(particlePos, hoverProgress, rot, rotEffect) {
     }
 
     const THREE = window.THREE;
-    const canvas = document.getElementById('chatooly-canvas');
 
-    // Convert mouse screen position to world coordinates
-    const mouseNDC = new THREE.Vector3(
-        (textData.mouseX / canvas.width) * 2 - 1,
-        -(textData.mouseY / canvas.height) * 2 + 1,
-        0
-    );
-    mouseNDC.unproject(camera);
-    mouseWorldPos.set(mouseNDC.x, mouseNDC.y, 0);
+    // Convert mouse screen position to world coordinates (on the z=0 plane)
+    if (!getMouseWorldPosition(mouseWorldPos)) {
+        return { x: 0, y: 0, z: 0 };
+    }
 
     // Calculate direction from particle to mouse
     const toMouse = new THREE.Vector3(
@@ -1549,8 +2199,30 @@ function calculateHoverLookAt(particlePos, hoverProgress, rot, rotEffect) {
     };
 }
 
+// Reusable objects for mouse ray casting (called per particle)
+let _mouseRaycaster = null;
+let _mouseNDC = null;
+let _groundPlane = null;
+
+// Intersect the ray through the mouse with the z=0 plane
+function getMouseWorldPosition(target) {
+    const THREE = window.THREE;
+    const canvas = document.getElementById('chatooly-canvas');
+
+    if (!_mouseRaycaster) _mouseRaycaster = new THREE.Raycaster();
+    if (!_mouseNDC) _mouseNDC = new THREE.Vector2();
+    if (!_groundPlane) _groundPlane = new THREE.Plane(new THREE.Vector3(0, 0, 1), 0);
+
+    _mouseNDC.set(
+        (textData.mouseX / canvas.width) * 2 - 1,
+        -(textData.mouseY / canvas.height) * 2 + 1
+    );
+    _mouseRaycaster.setFromCamera(_mouseNDC, camera);
+    return _mouseRaycaster.ray.intersectPlane(_groundPlane, target);
+}
+
 // ========== HOVER EFFECT ==========
-function getHoverScale3D(pointX, pointY) {
+function getHoverScale3D(pointX, pointY, pointZ = 0) {
     // Check both old and new hover state for backwards compatibility
     const hoverEnabled = textData.hoverEffectEnabled || textData.hoverEffects.enabled;
     if (!hoverEnabled || textData.mouseX === null || textData.mouseY === null) {
@@ -1560,8 +2232,8 @@ function getHoverScale3D(pointX, pointY) {
     const THREE = window.THREE;
     const canvas = document.getElementById('chatooly-canvas');
 
-    // Convert 3D position to screen coordinates
-    const vec = new THREE.Vector3(pointX, pointY, 0);
+    // Convert 3D position to screen coordinates (works for both projections)
+    const vec = new THREE.Vector3(pointX, pointY, pointZ);
     vec.project(camera);
 
     const screenX = (vec.x + 1) / 2 * canvas.width;
@@ -1607,7 +2279,7 @@ function getHoverScale3D(pointX, pointY) {
  * Calculate hover progress (0-1) for a point
  * Used for rotation and material crossfade effects
  */
-function getHoverProgress(pointX, pointY) {
+function getHoverProgress(pointX, pointY, pointZ = 0) {
     const hoverEnabled = textData.hoverEffectEnabled || textData.hoverEffects.enabled;
     if (!hoverEnabled || textData.mouseX === null || textData.mouseY === null) {
         return 0;
@@ -1616,7 +2288,7 @@ function getHoverProgress(pointX, pointY) {
     const THREE = window.THREE;
     const canvas = document.getElementById('chatooly-canvas');
 
-    const vec = new THREE.Vector3(pointX, pointY, 0);
+    const vec = new THREE.Vector3(pointX, pointY, pointZ);
     vec.project(camera);
 
     const screenX = (vec.x + 1) / 2 * canvas.width;
@@ -1668,34 +2340,42 @@ function getAutoPosition(time, pattern) {
             };
             break;
 
-        case 'random':
+        case 'random': {
+            // Targets are drawn per interval from the seed, so a given time always gives the same position
             const rangeX = canvas.width * 0.4 * sizeMultiplier;
             const rangeY = canvas.height * 0.35 * sizeMultiplier;
-
-            if (!randomInitialized) {
-                randomCurrent.x = centerX;
-                randomCurrent.y = centerY;
-                randomTarget.x = centerX + (Math.random() * 2 - 1) * rangeX;
-                randomTarget.y = centerY + (Math.random() * 2 - 1) * rangeY;
-                randomInitialized = true;
-            }
-
             const interval = 3000 / textData.autoSpeed;
-            if (time - randomLastTime > interval) {
-                randomTarget.x = centerX + (Math.random() * 2 - 1) * rangeX;
-                randomTarget.y = centerY + (Math.random() * 2 - 1) * rangeY;
-                randomLastTime = time;
-            }
+            const segment = Math.floor(time / interval);
+            const getTarget = (index) => {
+                const random = createSeededRandom(`auto-${index}`);
+                return {
+                    x: centerX + (random() * 2 - 1) * rangeX,
+                    y: centerY + (random() * 2 - 1) * rangeY
+                };
+            };
 
+            // Ease towards the target by the same fraction every 60 fps frame, in closed form;
+            // the start point replays a few earlier segments (older ones have settled)
             const easeSpeed = 0.02 + (textData.autoSpeed * 0.008);
-            randomCurrent.x += (randomTarget.x - randomCurrent.x) * easeSpeed;
-            randomCurrent.y += (randomTarget.y - randomCurrent.y) * easeSpeed;
+            const frameTime = 1000 / 60;
+            const settled = 1 - Math.pow(1 - easeSpeed, interval / frameTime);
+            let start = { x: centerX, y: centerY };
+            for (let k = Math.max(0, segment - 8); k < segment; k++) {
+                const target = getTarget(k);
+                start = {
+                    x: start.x + (target.x - start.x) * settled,
+                    y: start.y + (target.y - start.y) * settled
+                };
+            }
 
+            const target = getTarget(segment);
+            const progress = 1 - Math.pow(1 - easeSpeed, (time - segment * interval) / frameTime);
             position = {
-                x: randomCurrent.x,
-                y: randomCurrent.y
+                x: start.x + (target.x - start.x) * progress,
+                y: start.y + (target.y - start.y) * progress
             };
             break;
+        }
 
         case 'trace':
             if (cachedPoints && cachedPoints.length > 0) {
@@ -1715,14 +2395,61 @@ function getAutoPosition(time, pattern) {
     return position;
 }
 
-// ========== GLB LOADING ==========
-async function loadGLBModel(file) {
-    return new Promise((resolve, reject) => {
-        const THREE = window.THREE;
-        const LoaderClass = window.GLTFLoader;
+// ========== CUSTOM FONTS ==========
+/**
+ * Register an uploaded font under a family name: CSS @font-face for raster sampling,
+ * glyph outlines for the vector engine, and an entry in the font selector
+ * Used by the upload control and by preset bundles (which keep the original family name)
+ */
+async function registerCustomFont(file, fontName) {
+    if (uploadedFontFiles.has(fontName)) return;
+
+    const fontDataUrl = await new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = (event) => resolve(event.target.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(file);
+    });
 
-        if (!LoaderClass) {
-            reject(new Error('GLTFLoader not available'));
+    const newStyle = document.createElement('style');
+    newStyle.textContent = `@font-face { font-family: '${fontName}'; src: url(${fontDataUrl}); }`;
+    document.head.appendChild(newStyle);
+    uploadedFontFiles.set(fontName, file);
+
+    // Parse glyph outlines for the vector sampling engine
+    if (window.FontOutlines) {
+        try {
+            FontOutlines.register(fontName, await file.arrayBuffer());
+        } catch (err) {
+            console.warn('Vector outlines unavailable for this font:', err);
+        }
+    }
+
+    // Insert new option before the "Upload Custom Font..." option
+    const fontSelector = document.getElementById('font-selector');
+    if (fontSelector) {
+        const uploadOption = fontSelector.querySelector('option[value="upload-custom"]');
+        const option = document.createElement('option');
+        option.value = fontName;
+        option.textContent = file.name;
+        fontSelector.insertBefore(option, uploadOption);
+    }
+
+    try {
+        await document.fonts.load(`bold ${textData.fontSize}px ${fontName}`);
+    } catch (err) {
+        console.warn('Font load warning:', err);
+    }
+}
+
+// ========== GLB LOADING ==========
+async function loadGLBModel(file) {
+    return new Promise((resolve, reject) => {
+        const THREE = window.THREE;
+        const LoaderClass = window.GLTFLoader;
+
+        if (!LoaderClass) {
+            reject(new Error('GLTFLoader not available'));
             return;
         }
 
@@ -1762,6 +2489,7 @@ async function loadGLBModel(file) {
                 }
 
                 URL.revokeObjectURL(url);
+                assetSourceFiles.set(glbGeometry, file);
 
                 // Rebuild particle system with new geometry
                 rebuildParticleSystem();
@@ -1784,6 +2512,59 @@ function clearGLBModel() {
     }
 }
 
+// ========== SVG LOADING ==========
+async function loadSVGFile(file) {
+    if (!window.SVGPathParser) {
+        throw new Error('SVG parser not available');
+    }
+
+    const svgText = await file.text();
+    svgCommands = SVGPathParser.parse(svgText);
+    assetSourceFiles.set(svgCommands, file);
+
+    traceIndex = 0;
+    if (textData.sourceMode === 'svg') requestMorph();
+    rebuildParticleSystem();
+    return svgCommands;
+}
+
+function clearSVGFile() {
+    svgCommands = null;
+    if (textData.sourceMode === 'svg') {
+        rebuildParticleSystem();
+    }
+}
+
+// ========== IMAGE LOADING ==========
+async function loadImageSource(file) {
+    return new Promise((resolve, reject) => {
+        const url = URL.createObjectURL(file);
+        const image = new Image();
+
+        image.onload = () => {
+            URL.revokeObjectURL(url);
+            sourceImage = image;
+            assetSourceFiles.set(sourceImage, file);
+            traceIndex = 0;
+            if (textData.sourceMode === 'image') requestMorph();
+            rebuildParticleSystem();
+            resolve(image);
+        };
+        image.onerror = () => {
+            URL.revokeObjectURL(url);
+            reject(new Error('Could not decode image'));
+        };
+        image.src = url;
+    });
+}
+
+function clearImageSource() {
+    sourceImage = null;
+    if (textData.sourceMode === 'image') {
+        rebuildParticleSystem();
+    }
+}
+
 // ========== CLEAR CANVAS ==========
 function clearCanvas() {
     // Stop any running animations
@@ -1820,6 +2601,87 @@ function clearCanvas() {
     render();
 }
 
+// ========== CAMERA ==========
+/**
+ * Create or update the camera from textData.camera for a canvas size
+ * At zoom 1 with no orbit, both projections frame the z=0 plane at 1 world unit per pixel
+ */
+function updateCamera(width, height) {
+    const THREE = window.THREE;
+    const pose = textData.camera;
+    const wantsPerspective = pose.projection === 'perspective';
+
+    if (!camera || !!camera.isPerspectiveCamera !== wantsPerspective) {
+        camera = wantsPerspective
+            ? new THREE.PerspectiveCamera(pose.fov, width / height, 1, 10000)
+            : new THREE.OrthographicCamera(-width / 2, width / 2, height / 2, -height / 2, 0.1, 2000);
+    }
+
+    // Everything (including extrusion depth) fits inside this radius
+    const sceneRadius = Math.hypot(width, height) / 2 + 1000;
+    let distance;
+
+    if (wantsPerspective) {
+        distance = (height / 2) / Math.tan(THREE.MathUtils.degToRad(pose.fov) / 2) / pose.zoom;
+        camera.fov = pose.fov;
+        camera.aspect = width / height;
+        camera.zoom = 1;
+        camera.near = Math.max(0.1, distance * 0.01);
+        camera.far = distance + sceneRadius * 2;
+    } else {
+        distance = Math.max(1000, sceneRadius);
+        camera.left = -width / 2;
+        camera.right = width / 2;
+        camera.top = height / 2;
+        camera.bottom = -height / 2;
+        camera.zoom = pose.zoom;
+        camera.near = 0.1;
+        camera.far = distance + sceneRadius;
+    }
+
+    const azimuth = THREE.MathUtils.degToRad(pose.azimuth);
+    const elevation = THREE.MathUtils.degToRad(pose.elevation);
+    const target = new THREE.Vector3(pose.panX * height, pose.panY * height, pose.panZ * height);
+
+    camera.position.set(
+        target.x + distance * Math.cos(elevation) * Math.sin(azimuth),
+        target.y + distance * Math.sin(elevation),
+        target.z + distance * Math.cos(elevation) * Math.cos(azimuth)
+    );
+    camera.up.set(0, 1, 0);
+    camera.lookAt(target);
+    camera.updateProjectionMatrix();
+    // Hover maths projects points before the next render updates the matrices
+    camera.updateMatrixWorld();
+}
+
+function getCameraPose() {
+    const { azimuth, elevation, zoom, panX, panY, panZ } = textData.camera;
+    return { azimuth, elevation, zoom, panX, panY, panZ };
+}
+
+function applyCameraPose(pose) {
+    Object.assign(textData.camera, pose);
+    const canvas = document.getElementById('chatooly-canvas');
+    updateCamera(canvas.width, canvas.height);
+    syncCameraControls();
+    render();
+}
+
+// Reflect mouse-driven pose changes in the camera sliders (without re-dispatching input)
+function syncCameraControls() {
+    const setValue = (id, value, text) => {
+        const el = document.getElementById(id);
+        const valueEl = document.getElementById(id + '-value');
+        if (el) el.value = value;
+        if (valueEl) valueEl.textContent = text;
+    };
+
+    setValue('camera-azimuth', textData.camera.azimuth, Math.round(textData.camera.azimuth));
+    setValue('camera-elevation', textData.camera.elevation, Math.round(textData.camera.elevation));
+    setValue('camera-zoom', textData.camera.zoom, textData.camera.zoom.toFixed(2));
+}
+
 // ========== RENDER ==========
 function render(rotationAngle = 0, deltaTime = 0.016) {
     if (!renderer || !scene || !camera) return;
@@ -1847,8 +2709,475 @@ function render(rotationAngle = 0, deltaTime = 0.016) {
 
     // Render scene
     renderer.render(scene, camera);
+    emitTypeShaperEvent('frame', { canvas: renderer.domElement });
+}
+
+// ========== BUILD (INTRO/OUTRO) ANIMATION ==========
+const BUILD_EASINGS = {
+    linear: t => t,
+    easeInCubic: t => t * t * t,
+    easeOutCubic: t => 1 - Math.pow(1 - t, 3),
+    easeInOutCubic: t => t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2,
+    easeOutBack: t => {
+        const c1 = 1.70158;
+        const c3 = c1 + 1;
+        return 1 + c3 * Math.pow(t - 1, 3) + c1 * Math.pow(t - 1, 2);
+    },
+    easeOutElastic: t => {
+        if (t === 0 || t === 1) return t;
+        return Math.pow(2, -10 * t) * Math.sin((t * 10 - 0.75) * (2 * Math.PI) / 3) + 1;
+    }
+};
+
+/**
+ * Compute start positions and stagger delays for the current particles
+ * Keeps direction and elapsed time so a rebuild mid-animation continues seamlessly
+ */
+function prepareBuildAnimation(direction, elapsed = 0) {
+    const canvas = document.getElementById('chatooly-canvas');
+    const width = canvas.width;
+    const height = canvas.height;
+    const count = particlePositions.length;
+    const from = new Array(count);
+    const delays = new Float32Array(count);
+    const random = createSeededRandom('build');
+
+    // Centre of the current particles (explode / point origin)
+    let centerX = 0, centerY = 0;
+    particlePositions.forEach(p => {
+        centerX += p.x / count;
+        centerY += p.y / count;
+    });
+
+    const radius = Math.hypot(width, height) / 2;
+    const stagger = textData.buildStagger;
+
+    for (let i = 0; i < count; i++) {
+        const p = particlePositions[i];
+        const source = cachedPoints[i] || {};
+
+        switch (textData.buildStyle) {
+            case 'explode': {
+                let dx = p.x - centerX;
+                let dy = p.y - centerY;
+                let length = Math.hypot(dx, dy);
+                // Points at the centre fly out in a random direction
+                if (length < 0.001) {
+                    const angle = random() * Math.PI * 2;
+                    dx = Math.cos(angle);
+                    dy = Math.sin(angle);
+                    length = 1;
+                }
+                const distance = radius * (0.75 + random());
+                from[i] = {
+                    x: p.x + (dx / length) * distance,
+                    y: p.y + (dy / length) * distance,
+                    z: p.z + (random() - 0.5) * radius
+                };
+                break;
+            }
+            case 'point':
+                from[i] = { x: centerX, y: centerY, z: p.z };
+                break;
+            case 'offscreen': {
+                const side = textData.buildOffscreenSide;
+                const jitter = random() * height * 0.5;
+                from[i] = {
+                    x: side === 'left' ? p.x - width - jitter : side === 'right' ? p.x + width + jitter : p.x,
+                    y: side === 'top' ? p.y + height + jitter : side === 'bottom' ? p.y - height - jitter : p.y,
+                    z: p.z
+                };
+                break;
+            }
+            case 'scatter':
+            default:
+                from[i] = {
+                    x: (random() - 0.5) * width * 1.5,
+                    y: (random() - 0.5) * height * 1.5,
+                    z: (random() - 0.5) * radius
+                };
+                break;
+        }
+
+        // Untagged sources (shapes, SVG, images) play as one group
+        let group = 0;
+        if (stagger === 'letter' && source.glyphIndex !== undefined) group = source.glyphIndex;
+        if (stagger === 'line' && source.lineIndex !== undefined) group = source.lineIndex;
+        delays[i] = group * textData.buildStaggerDelay;
+    }
+
+    const maxDelay = delays.reduce((max, d) => Math.max(max, d), 0);
+    buildAnimation = {
+        direction,
+        elapsed,
+        from,
+        delays,
+        total: maxDelay + textData.buildDuration
+    };
+}
+
+/**
+ * Offset a particle position for the build animation
+ * @returns {number} Scale multiplier (the 'point' style grows particles from nothing)
+ */
+function applyBuildAnimation(index, position) {
+    if (!buildAnimation || !buildAnimation.from[index]) return 1;
+
+    const from = buildAnimation.from[index];
+    const local = Math.max(0, Math.min(1,
+        (buildAnimation.elapsed - buildAnimation.delays[index]) / Math.max(0.001, textData.buildDuration)
+    ));
+    const easing = BUILD_EASINGS[textData.buildEasing] || BUILD_EASINGS.linear;
+    // Intro: from -> rest, outro: rest -> from
+    const t = buildAnimation.direction === 'in' ? easing(local) : 1 - easing(local);
+
+    position.set(
+        from.x + (position.x - from.x) * t,
+        from.y + (position.y - from.y) * t,
+        from.z + (position.z - from.z) * t
+    );
+
+    return textData.buildStyle === 'point' ? Math.max(0, t) : 1;
+}
+
+function buildAnimationLoop() {
+    if (!buildAnimation) {
+        buildAnimationFrameId = null;
+        return;
+    }
+
+    const now = performance.now();
+    const finished = stepBuildAnimation((now - buildAnimation.lastTime) / 1000);
+    buildAnimation.lastTime = now;
+
+    render(textData.isAnimating ? textData.animationTime : 0);
+
+    if (finished) {
+        buildAnimationFrameId = null;
+        finishBuildAnimation();
+        return;
+    }
+
+    buildAnimationFrameId = requestAnimationFrame(buildAnimationLoop);
+}
+
+// Advance the build animation by delta seconds, returns true once it reaches the end
+function stepBuildAnimation(delta) {
+    buildAnimation.elapsed = Math.min(buildAnimation.total, buildAnimation.elapsed + delta);
+    return buildAnimation.elapsed >= buildAnimation.total;
+}
+
+// Intro ends at rest; an outro holds its final (dispersed) state until replayed or the next rebuild
+function finishBuildAnimation() {
+    const resolve = buildAnimation.resolve;
+    buildAnimation.resolve = null;
+    if (buildAnimation.direction === 'in') {
+        buildAnimation = null;
+    } else {
+        buildAnimation.held = true;
+    }
+    if (resolve) resolve();
+}
+
+/**
+ * Play the intro ('in') or outro ('out') build animation
+ * @returns {Promise} Resolves when the animation finishes
+ */
+function playBuildAnimation(direction = 'in') {
+    stopBuildAnimation();
+    if (particlePositions.length === 0) return Promise.resolve();
+
+    prepareBuildAnimation(direction);
+    buildAnimation.lastTime = performance.now();
+
+    return new Promise(resolve => {
+        buildAnimation.resolve = resolve;
+        if (!isCapturingAnimation) {
+            buildAnimationFrameId = requestAnimationFrame(buildAnimationLoop);
+        }
+    });
+}
+
+function stopBuildAnimation() {
+    if (buildAnimationFrameId) {
+        cancelAnimationFrame(buildAnimationFrameId);
+        buildAnimationFrameId = null;
+    }
+    if (buildAnimation && buildAnimation.resolve) {
+        buildAnimation.resolve();
+    }
+    buildAnimation = null;
+}
+
+window.playBuildAnimation = playBuildAnimation;
+window.stopBuildAnimation = stopBuildAnimation;
+
+// ========== MORPH TRANSITIONS ==========
+// Morph the next rebuild from the current particles (content changes: text, source, shape)
+function requestMorph() {
+    pendingMorph = textData.morphEnabled;
+}
+
+// Displayed positions/scales of the current particles, or the running morph's source
+function takeMorphSource() {
+    const THREE = window.THREE;
+    const requested = pendingMorph;
+    pendingMorph = false;
+
+    if (requested && instancedMesh && particlePositions.length > 0) {
+        const realCount = morphAnimation ? morphAnimation.realCount : particlePositions.length;
+        const position = new THREE.Vector3();
+        const source = [];
+        for (let i = 0; i < realCount; i++) {
+            const p = particlePositions[i];
+            position.set(p.x, p.y, p.z);
+            const scale = applyMorphAnimation(i, position) * applyBuildAnimation(i, position);
+            source.push({ x: position.x, y: position.y, z: position.z, scale: p.baseScale * scale });
+        }
+        stopMorphAnimation();
+        return source;
+    }
+
+    // A settings change mid-morph re-targets the same source and keeps the timing
+    return morphAnimation ? morphAnimation.source : null;
+}
+
+/**
+ * Pair old points with new points along a Hilbert curve (keeps neighbours together)
+ * New points beyond the old count spawn from shared old points; unused old points become
+ * ghosts that travel to their nearest new rank and shrink away
+ * @returns {{from: Array, ghosts: Array}} from[i] for every instance (new points, then ghosts)
+ */
+function matchMorphPoints(source, targets) {
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    source.concat(targets).forEach(p => {
+        minX = Math.min(minX, p.x);
+        minY = Math.min(minY, p.y);
+        maxX = Math.max(maxX, p.x);
+        maxY = Math.max(maxY, p.y);
+    });
+    const extent = Math.max(maxX - minX, maxY - minY, 1);
+    const order = (points) => points
+        .map((p, i) => ({ i, d: getHilbertIndex((p.x - minX) / extent, (p.y - minY) / extent) }))
+        .sort((a, b) => a.d - b.d)
+        .map(entry => entry.i);
+
+    const sourceOrder = order(source);
+    const targetOrder = order(targets);
+    const n = source.length;
+    const m = targets.length;
+    const from = new Array(m);
+    const used = new Uint8Array(n);
+
+    targetOrder.forEach((targetIndex, rank) => {
+        const sourceRank = Math.min(n - 1, Math.floor(rank * n / m));
+        used[sourceRank] = 1;
+        from[targetIndex] = source[sourceOrder[sourceRank]];
+    });
+
+    const ghosts = [];
+    sourceOrder.forEach((sourceIndex, rank) => {
+        if (used[rank]) return;
+        const target = targets[targetOrder[Math.min(m - 1, Math.floor(rank * m / n))]];
+        const origin = source[sourceIndex];
+        ghosts.push({ x: target.x, y: target.y, z: target.z, scale: origin.scale, ghost: true });
+        from.push(origin);
+    });
+
+    return { from, ghosts };
+}
+
+// Position along a Hilbert curve for coordinates in [0, 1]
+function getHilbertIndex(x, y) {
+    const n = 1024;
+    let px = Math.max(0, Math.min(n - 1, Math.floor(x * n)));
+    let py = Math.max(0, Math.min(n - 1, Math.floor(y * n)));
+    let d = 0;
+    for (let s = n / 2; s > 0; s = Math.floor(s / 2)) {
+        const rx = (px & s) > 0 ? 1 : 0;
+        const ry = (py & s) > 0 ? 1 : 0;
+        d += s * s * ((3 * rx) ^ ry);
+        if (ry === 0) {
+            if (rx === 1) {
+                px = s - 1 - px;
+                py = s - 1 - py;
+            }
+            const t = px;
+            px = py;
+            py = t;
+        }
+    }
+    return d;
+}
+
+function startMorphAnimation(source, from, realCount) {
+    const elapsed = morphAnimation && morphAnimation.source === source ? morphAnimation.elapsed : 0;
+    morphAnimation = {
+        source,
+        from,
+        realCount,
+        elapsed,
+        lastTime: performance.now()
+    };
+
+    if (!morphAnimationFrameId && !isCapturingAnimation) {
+        morphAnimationFrameId = requestAnimationFrame(morphAnimationLoop);
+    }
+}
+
+/**
+ * Move a particle from its matched old position
+ * @returns {number} Scale multiplier (ghosts shrink to nothing)
+ */
+function applyMorphAnimation(index, position) {
+    if (!morphAnimation || !morphAnimation.from[index]) return 1;
+
+    const from = morphAnimation.from[index];
+    const local = Math.min(1, morphAnimation.elapsed / Math.max(0.001, textData.morphDuration));
+    const easing = BUILD_EASINGS[textData.morphEasing] || BUILD_EASINGS.linear;
+    const t = easing(local);
+
+    position.set(
+        from.x + (position.x - from.x) * t,
+        from.y + (position.y - from.y) * t,
+        from.z + (position.z - from.z) * t
+    );
+
+    if (index >= morphAnimation.realCount) return 1 - t;
+
+    const baseScale = particlePositions[index] ? particlePositions[index].baseScale : 1;
+    const fromRatio = baseScale > 0 ? from.scale / baseScale : 1;
+    return fromRatio + (1 - fromRatio) * t;
+}
+
+function morphAnimationLoop() {
+    if (!morphAnimation) {
+        morphAnimationFrameId = null;
+        return;
+    }
+
+    const now = performance.now();
+    const finished = stepMorphAnimation((now - morphAnimation.lastTime) / 1000);
+    morphAnimation.lastTime = now;
+
+    if (finished) {
+        morphAnimationFrameId = null;
+        stopMorphAnimation();
+        render(textData.isAnimating ? textData.animationTime : 0);
+        return;
+    }
+
+    render(textData.isAnimating ? textData.animationTime : 0);
+    morphAnimationFrameId = requestAnimationFrame(morphAnimationLoop);
+}
+
+// Advance the morph by delta seconds, returns true once it reaches the end
+function stepMorphAnimation(delta) {
+    morphAnimation.elapsed += delta;
+    return morphAnimation.elapsed >= textData.morphDuration;
+}
+
+// End the morph: drop ghost instances so only the new points remain
+function stopMorphAnimation() {
+    if (morphAnimationFrameId) {
+        cancelAnimationFrame(morphAnimationFrameId);
+        morphAnimationFrameId = null;
+    }
+    if (!morphAnimation) return;
+
+    const realCount = morphAnimation.realCount;
+    morphAnimation = null;
+
+    particlePositions.length = Math.min(particlePositions.length, realCount);
+    particleRotations.length = Math.min(particleRotations.length, realCount);
+    if (instancedMesh) instancedMesh.count = Math.min(instancedMesh.count, realCount);
+    lerpMeshes.forEach(mesh => {
+        mesh.count = Math.min(mesh.count, realCount);
+    });
+}
+
+// ========== PLAYLIST ==========
+// Show one playlist entry through the regular controls (so the UI stays in sync and morphs)
+// Playlist ticks are playback, not edits: they stay out of undo history and the link
+function showPlaylistEntry(entry) {
+    const wasPaused = historyPaused;
+    historyPaused = true;
+    try {
+        applyPlaylistEntry(entry);
+    } finally {
+        historyPaused = wasPaused;
+    }
 }
 
+// Drive the source controls so their handlers (morph, visibility) run as for a user change
+function applyPlaylistEntry(entry) {
+    const shapeMatch = entry.match(/^shape:\s*(\w+)$/i);
+    const sourceModeSelect = document.getElementById('source-mode');
+
+    if (shapeMatch) {
+        const shapeSelect = document.getElementById('spawn-shape-type');
+        if (shapeSelect) {
+            shapeSelect.value = shapeMatch[1].toLowerCase();
+            textData.spawnShapeType = shapeSelect.value || textData.spawnShapeType;
+        }
+        if (sourceModeSelect && textData.sourceMode !== 'shape') {
+            sourceModeSelect.value = 'shape';
+            sourceModeSelect.dispatchEvent(new Event('change', { bubbles: true }));
+        } else if (shapeSelect) {
+            shapeSelect.dispatchEvent(new Event('change', { bubbles: true }));
+        }
+        return;
+    }
+
+    const textInput = document.getElementById('text-input');
+    textData.text = entry;
+    if (textInput) textInput.value = entry;
+
+    if (sourceModeSelect && textData.sourceMode !== 'text') {
+        sourceModeSelect.value = 'text';
+        sourceModeSelect.dispatchEvent(new Event('change', { bubbles: true }));
+    } else if (textInput) {
+        textInput.dispatchEvent(new Event('input', { bubbles: true }));
+    }
+}
+
+function startPlaylist() {
+    stopPlaylist();
+    const items = textData.playlistItems.filter(item => item.trim());
+    if (items.length === 0) return;
+
+    const step = () => {
+        if (!textData.playlistEnabled || !showNextPlaylistEntry()) {
+            playlistTimer = null;
+            return;
+        }
+        playlistTimer = setTimeout(step, textData.playlistInterval * 1000);
+    };
+    step();
+}
+
+// Show the entry after the current one, returns false when the playlist is empty
+function showNextPlaylistEntry() {
+    const entries = textData.playlistItems.filter(item => item.trim());
+    if (entries.length === 0) return false;
+
+    playlistIndex = playlistIndex % entries.length;
+    showPlaylistEntry(entries[playlistIndex]);
+    playlistIndex++;
+    return true;
+}
+
+function stopPlaylist() {
+    if (playlistTimer) {
+        clearTimeout(playlistTimer);
+        playlistTimer = null;
+    }
+}
+
+window.showPlaylistEntry = showPlaylistEntry;
+window.startPlaylist = startPlaylist;
+window.stopPlaylist = stopPlaylist;
+
 // ========== ANIMATION ==========
 function animate() {
     if (!textData.isAnimating) {
@@ -1977,6 +3306,8 @@ function setupEventListeners() {
     const sourceModeSelect = document.getElementById('source-mode');
     const shapeSourceControls = document.getElementById('shape-source-controls');
     const textSourceControls = document.getElementById('text-source-controls');
+    const svgSourceControls = document.getElementById('svg-source-controls');
+    const imageSourceControls = document.getElementById('image-source-controls');
 
     if (sourceModeSelect) {
         sourceModeSelect.addEventListener('change', (e) => {
@@ -1985,8 +3316,11 @@ function setupEventListeners() {
             // Show/hide relevant controls inside SOURCE section
             if (shapeSourceControls) shapeSourceControls.style.display = textData.sourceMode === 'shape' ? 'block' : 'none';
             if (textSourceControls) textSourceControls.style.display = textData.sourceMode === 'text' ? 'block' : 'none';
+            if (svgSourceControls) svgSourceControls.style.display = textData.sourceMode === 'svg' ? 'block' : 'none';
+            if (imageSourceControls) imageSourceControls.style.display = textData.sourceMode === 'image' ? 'block' : 'none';
 
             traceIndex = 0;
+            requestMorph();
             rebuildParticleSystem();
         });
     }
@@ -1997,6 +3331,7 @@ function setupEventListeners() {
         spawnShapeTypeSelect.addEventListener('change', (e) => {
             textData.spawnShapeType = e.target.value;
             traceIndex = 0;
+            requestMorph();
             rebuildParticleSystem();
         });
     }
@@ -2056,74 +3391,344 @@ function setupEventListeners() {
         });
     }
 
-    // ========== TEXT INPUT ==========
-    // Text input
-    document.getElementById('text-input').addEventListener('input', (e) => {
-        textData.text = e.target.value || ' ';
-        traceIndex = 0;
-        rebuildParticleSystem();
-    });
+    // ========== SVG SOURCE CONTROLS ==========
+    const svgUploadInput = document.getElementById('svg-upload');
+    const svgInfo = document.getElementById('svg-info');
+    const svgNameEl = document.getElementById('svg-name');
 
-    // Font selector
-    const fontSelector = document.getElementById('font-selector');
-    const customFontInput = document.getElementById('custom-font-input');
-    let previousFontValue = 'Arial';  // Track previous selection
+    if (svgUploadInput) {
+        svgUploadInput.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
 
-    if (fontSelector) {
-        fontSelector.addEventListener('change', (e) => {
-            if (e.target.value === 'upload-custom') {
-                // Trigger file input when "Upload Custom Font..." is selected
-                if (customFontInput) {
-                    customFontInput.click();
-                }
-                // Reset to previous value (will be updated after upload)
-                fontSelector.value = previousFontValue;
-            } else {
-                previousFontValue = e.target.value;
-                textData.fontFamily = e.target.value;
-                traceIndex = 0;
-                rebuildParticleSystem();
+            const historyBefore = takeHistorySnapshot();
+            try {
+                if (svgNameEl) svgNameEl.textContent = 'Loading...';
+                if (svgInfo) svgInfo.style.display = 'block';
+
+                await loadSVGFile(file);
+
+                if (svgNameEl) svgNameEl.textContent = file.name;
+                recordHistory('SVG', historyBefore);
+            } catch (error) {
+                alert('Failed to load SVG: ' + error.message);
+                if (svgInfo) svgInfo.style.display = 'none';
+                svgUploadInput.value = '';
             }
         });
     }
 
-    // Custom font upload
-    if (customFontInput) {
-        customFontInput.addEventListener('change', async (e) => {
-            const file = e.target.files[0];
-            if (!file) return;
-
-            const reader = new FileReader();
-            reader.onload = async (event) => {
-                const fontDataUrl = event.target.result;
-                const fontName = 'UploadedFont_' + Date.now();
-
-                const newStyle = document.createElement('style');
-                newStyle.textContent = `@font-face { font-family: '${fontName}'; src: url(${fontDataUrl}); }`;
-                document.head.appendChild(newStyle);
-
-                if (fontSelector) {
-                    // Insert new option before the "Upload Custom Font..." option
-                    const uploadOption = fontSelector.querySelector('option[value="upload-custom"]');
-                    const option = document.createElement('option');
-                    option.value = fontName;
-                    option.textContent = file.name;
-                    fontSelector.insertBefore(option, uploadOption);
-                    fontSelector.value = fontName;
-                    previousFontValue = fontName;
-                    textData.fontFamily = fontName;
+    const clearSvgBtn = document.getElementById('clear-svg');
+    if (clearSvgBtn) {
+        clearSvgBtn.addEventListener('click', () => {
+            clearSVGFile();
+            if (svgInfo) svgInfo.style.display = 'none';
+            if (svgUploadInput) svgUploadInput.value = '';
+        });
+    }
 
-                    try {
-                        await document.fonts.load(`bold ${textData.fontSize}px ${fontName}`);
-                    } catch (err) {
-                        console.warn('Font load warning:', err);
-                    }
+    // SVG size slider
+    const svgSizeInput = document.getElementById('svg-size');
+    const svgSizeValue = document.getElementById('svg-size-value');
+    if (svgSizeInput) {
+        svgSizeInput.addEventListener('input', (e) => {
+            textData.svgSize = parseInt(e.target.value);
+            if (svgSizeValue) svgSizeValue.textContent = textData.svgSize;
+            traceIndex = 0;
+            rebuildParticleSystem();
+        });
+    }
 
-                    traceIndex = 0;
-                    rebuildParticleSystem();
+    // SVG fill mode buttons
+    const svgFillModeOutline = document.getElementById('svg-fill-mode-outline');
+    const svgFillModeFill = document.getElementById('svg-fill-mode-fill');
+    if (svgFillModeOutline && svgFillModeFill) {
+        svgFillModeOutline.addEventListener('click', () => {
+            textData.svgFillMode = 'outline';
+            svgFillModeOutline.classList.add('active');
+            svgFillModeFill.classList.remove('active');
+            traceIndex = 0;
+            rebuildParticleSystem();
+        });
+        svgFillModeFill.addEventListener('click', () => {
+            textData.svgFillMode = 'fill';
+            svgFillModeFill.classList.add('active');
+            svgFillModeOutline.classList.remove('active');
+            traceIndex = 0;
+            rebuildParticleSystem();
+        });
+    }
+
+    // SVG position offsets
+    const svgOffsetXInput = document.getElementById('svg-offset-x');
+    const svgOffsetXValue = document.getElementById('svg-offset-x-value');
+    if (svgOffsetXInput) {
+        svgOffsetXInput.addEventListener('input', (e) => {
+            textData.svgOffsetX = parseInt(e.target.value);
+            if (svgOffsetXValue) svgOffsetXValue.textContent = textData.svgOffsetX;
+            traceIndex = 0;
+            rebuildParticleSystem();
+        });
+    }
+
+    const svgOffsetYInput = document.getElementById('svg-offset-y');
+    const svgOffsetYValue = document.getElementById('svg-offset-y-value');
+    if (svgOffsetYInput) {
+        svgOffsetYInput.addEventListener('input', (e) => {
+            textData.svgOffsetY = parseInt(e.target.value);
+            if (svgOffsetYValue) svgOffsetYValue.textContent = textData.svgOffsetY;
+            traceIndex = 0;
+            rebuildParticleSystem();
+        });
+    }
+
+    // ========== IMAGE SOURCE CONTROLS ==========
+    const imageUploadInput = document.getElementById('image-upload');
+    const imageInfo = document.getElementById('image-info');
+    const imageNameEl = document.getElementById('image-name');
+
+    if (imageUploadInput) {
+        imageUploadInput.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+
+            const historyBefore = takeHistorySnapshot();
+            try {
+                if (imageNameEl) imageNameEl.textContent = 'Loading...';
+                if (imageInfo) imageInfo.style.display = 'block';
+
+                await loadImageSource(file);
+
+                if (imageNameEl) imageNameEl.textContent = file.name;
+                recordHistory('Image', historyBefore);
+            } catch (error) {
+                alert('Failed to load image: ' + error.message);
+                if (imageInfo) imageInfo.style.display = 'none';
+                imageUploadInput.value = '';
+            }
+        });
+    }
+
+    const clearImageBtn = document.getElementById('clear-image');
+    if (clearImageBtn) {
+        clearImageBtn.addEventListener('click', () => {
+            clearImageSource();
+            if (imageInfo) imageInfo.style.display = 'none';
+            if (imageUploadInput) imageUploadInput.value = '';
+        });
+    }
+
+    // Image size slider
+    const imageSizeInput = document.getElementById('image-size');
+    const imageSizeValue = document.getElementById('image-size-value');
+    if (imageSizeInput) {
+        imageSizeInput.addEventListener('input', (e) => {
+            textData.imageSize = parseInt(e.target.value);
+            if (imageSizeValue) imageSizeValue.textContent = textData.imageSize;
+            traceIndex = 0;
+            rebuildParticleSystem();
+        });
+    }
+
+    // Luminance mapping
+    const imageMappingSelect = document.getElementById('image-mapping');
+    const imageThresholdGroup = document.getElementById('image-threshold-group');
+    const imageMinScaleGroup = document.getElementById('image-min-scale-group');
+    if (imageMappingSelect) {
+        imageMappingSelect.addEventListener('change', (e) => {
+            textData.imageMapping = e.target.value;
+            if (imageThresholdGroup) imageThresholdGroup.style.display = textData.imageMapping === 'threshold' ? 'block' : 'none';
+            if (imageMinScaleGroup) imageMinScaleGroup.style.display = textData.imageMapping === 'scale' ? 'block' : 'none';
+            traceIndex = 0;
+            rebuildParticleSystem();
+        });
+    }
+
+    // Threshold
+    const imageThresholdInput = document.getElementById('image-threshold');
+    const imageThresholdValue = document.getElementById('image-threshold-value');
+    if (imageThresholdInput) {
+        imageThresholdInput.addEventListener('input', (e) => {
+            textData.imageThreshold = parseFloat(e.target.value);
+            if (imageThresholdValue) imageThresholdValue.textContent = textData.imageThreshold.toFixed(2);
+            traceIndex = 0;
+            rebuildParticleSystem();
+        });
+    }
+
+    // Minimum scale
+    const imageMinScaleInput = document.getElementById('image-min-scale');
+    const imageMinScaleValue = document.getElementById('image-min-scale-value');
+    if (imageMinScaleInput) {
+        imageMinScaleInput.addEventListener('input', (e) => {
+            textData.imageMinScale = parseFloat(e.target.value);
+            if (imageMinScaleValue) imageMinScaleValue.textContent = textData.imageMinScale.toFixed(2);
+            rebuildParticleSystem();
+        });
+    }
+
+    // Invert luminance
+    const imageInvertToggle = document.getElementById('image-invert');
+    if (imageInvertToggle) {
+        imageInvertToggle.addEventListener('toggle-change', (e) => {
+            textData.imageInvert = e.detail.checked;
+            traceIndex = 0;
+            rebuildParticleSystem();
+        });
+    }
+
+    // Use pixel colours
+    const imageUseColorToggle = document.getElementById('image-use-color');
+    if (imageUseColorToggle) {
+        imageUseColorToggle.addEventListener('toggle-change', (e) => {
+            textData.imageUseColor = e.detail.checked;
+            rebuildParticleSystem();
+        });
+    }
+
+    // Image position offsets
+    const imageOffsetXInput = document.getElementById('image-offset-x');
+    const imageOffsetXValue = document.getElementById('image-offset-x-value');
+    if (imageOffsetXInput) {
+        imageOffsetXInput.addEventListener('input', (e) => {
+            textData.imageOffsetX = parseInt(e.target.value);
+            if (imageOffsetXValue) imageOffsetXValue.textContent = textData.imageOffsetX;
+            traceIndex = 0;
+            rebuildParticleSystem();
+        });
+    }
+
+    const imageOffsetYInput = document.getElementById('image-offset-y');
+    const imageOffsetYValue = document.getElementById('image-offset-y-value');
+    if (imageOffsetYInput) {
+        imageOffsetYInput.addEventListener('input', (e) => {
+            textData.imageOffsetY = parseInt(e.target.value);
+            if (imageOffsetYValue) imageOffsetYValue.textContent = textData.imageOffsetY;
+            traceIndex = 0;
+            rebuildParticleSystem();
+        });
+    }
+
+    // ========== TEXT INPUT ==========
+    // Text input
+    document.getElementById('text-input').addEventListener('input', (e) => {
+        textData.text = e.target.value || ' ';
+        traceIndex = 0;
+        requestMorph();
+        rebuildParticleSystem();
+    });
+
+    // Font selector
+    const fontSelector = document.getElementById('font-selector');
+    const customFontInput = document.getElementById('custom-font-input');
+    let previousFontValue = 'Arial';  // Track previous selection
+
+    if (fontSelector) {
+        fontSelector.addEventListener('change', (e) => {
+            if (e.target.value === 'upload-custom') {
+                // Trigger file input when "Upload Custom Font..." is selected
+                if (customFontInput) {
+                    customFontInput.click();
                 }
-            };
-            reader.readAsDataURL(file);
+                // Reset to previous value (will be updated after upload)
+                fontSelector.value = previousFontValue;
+            } else {
+                previousFontValue = e.target.value;
+                textData.fontFamily = e.target.value;
+                traceIndex = 0;
+                if (textData.samplingEngine === 'vector') requestVectorFont(textData.fontFamily);
+                rebuildParticleSystem();
+            }
+        });
+    }
+
+    // Custom font upload
+    if (customFontInput) {
+        customFontInput.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+
+            const historyBefore = takeHistorySnapshot();
+            const fontName = 'UploadedFont_' + Date.now();
+            try {
+                await registerCustomFont(file, fontName);
+            } catch (error) {
+                alert('Failed to load font: ' + error.message);
+                return;
+            }
+
+            if (fontSelector) {
+                fontSelector.value = fontName;
+                previousFontValue = fontName;
+            }
+            textData.fontFamily = fontName;
+            traceIndex = 0;
+            rebuildParticleSystem();
+            recordHistory('Custom Font', historyBefore);
+        });
+    }
+
+    // Sampling engine (raster alpha scan vs vector glyph outlines)
+    const samplingEngineSelect = document.getElementById('sampling-engine');
+    if (samplingEngineSelect) {
+        samplingEngineSelect.addEventListener('change', (e) => {
+            textData.samplingEngine = e.target.value;
+            traceIndex = 0;
+            if (textData.samplingEngine === 'vector') requestVectorFont(textData.fontFamily);
+            else setVectorFontStatus(null);
+            rebuildParticleSystem();
+        });
+    }
+
+    const vectorFontRetryBtn = document.getElementById('vector-font-retry-btn');
+    if (vectorFontRetryBtn) {
+        vectorFontRetryBtn.addEventListener('click', () => requestVectorFont(textData.fontFamily));
+    }
+
+    // Text fill mode buttons (outline vs fill)
+    const textFillModeOutline = document.getElementById('text-fill-mode-outline');
+    const textFillModeFill = document.getElementById('text-fill-mode-fill');
+    const textOutlineControls = document.getElementById('text-outline-controls');
+    if (textFillModeOutline && textFillModeFill) {
+        textFillModeOutline.addEventListener('click', () => {
+            textData.textFillMode = 'outline';
+            textFillModeOutline.classList.add('active');
+            textFillModeFill.classList.remove('active');
+            if (textOutlineControls) textOutlineControls.style.display = 'block';
+            traceIndex = 0;
+            rebuildParticleSystem();
+        });
+        textFillModeFill.addEventListener('click', () => {
+            textData.textFillMode = 'fill';
+            textFillModeFill.classList.add('active');
+            textFillModeOutline.classList.remove('active');
+            if (textOutlineControls) textOutlineControls.style.display = 'none';
+            traceIndex = 0;
+            rebuildParticleSystem();
+        });
+    }
+
+    // Stroke width (outline mode)
+    const strokeWidthInput = document.getElementById('text-stroke-width');
+    const strokeWidthValue = document.getElementById('text-stroke-width-value');
+    if (strokeWidthInput) {
+        strokeWidthInput.addEventListener('input', (e) => {
+            textData.strokeWidth = parseInt(e.target.value);
+            if (strokeWidthValue) strokeWidthValue.textContent = textData.strokeWidth;
+            traceIndex = 0;
+            rebuildParticleSystem();
+        });
+    }
+
+    // Outline rings (outline mode, vector engine)
+    const outlineRingsInput = document.getElementById('text-outline-rings');
+    const outlineRingsValue = document.getElementById('text-outline-rings-value');
+    if (outlineRingsInput) {
+        outlineRingsInput.addEventListener('input', (e) => {
+            textData.outlineRings = parseInt(e.target.value);
+            if (outlineRingsValue) outlineRingsValue.textContent = textData.outlineRings;
+            traceIndex = 0;
+            rebuildParticleSystem();
         });
     }
 
@@ -2231,34 +3836,18 @@ function setupEventListeners() {
 
     // Custom matcap upload
     const matcapUploadInput = document.getElementById('matcap-upload');
-    const matcapPreviewContainer = document.getElementById('matcap-preview-container');
-    const matcapPreviewCanvas = document.getElementById('matcap-preview');
-
     if (matcapUploadInput) {
-        matcapUploadInput.addEventListener('change', (e) => {
+        matcapUploadInput.addEventListener('change', async (e) => {
             const file = e.target.files[0];
             if (!file) return;
 
-            handleMatcapUpload(file);
-
-            // Show preview
-            if (matcapPreviewContainer && matcapPreviewCanvas) {
-                const reader = new FileReader();
-                reader.onload = (event) => {
-                    const img = new Image();
-                    img.onload = () => {
-                        const ctx = matcapPreviewCanvas.getContext('2d');
-                        ctx.clearRect(0, 0, 80, 80);
-                        ctx.beginPath();
-                        ctx.arc(40, 40, 39, 0, Math.PI * 2);
-                        ctx.closePath();
-                        ctx.clip();
-                        ctx.drawImage(img, 0, 0, 80, 80);
-                    };
-                    img.src = event.target.result;
-                };
-                reader.readAsDataURL(file);
-                matcapPreviewContainer.style.display = 'block';
+            try {
+                const historyBefore = takeHistorySnapshot();
+                await handleMatcapUpload(file);
+                updateMatcapPreview();
+                recordHistory('Matcap Upload', historyBefore);
+            } catch (error) {
+                alert('Failed to load matcap: ' + error.message);
             }
         });
     }
@@ -2425,819 +4014,3497 @@ function setupEventListeners() {
         });
     }
 
-    // ========== ANIMATION CONTROLS (Unified for all shapes) ==========
-
-    // Animation Mode Toggle (Static / Animated)
-    const animationModeStatic = document.getElementById('animation-mode-static');
-    const animationModeAnimated = document.getElementById('animation-mode-animated');
-    const animatedModeControls = document.getElementById('animated-mode-controls');
+    // ========== EXTRUSION CONTROLS ==========
+    const extrudeDepthInput = document.getElementById('extrude-depth');
+    const extrudeDepthValue = document.getElementById('extrude-depth-value');
+    if (extrudeDepthInput) {
+        extrudeDepthInput.addEventListener('input', (e) => {
+            textData.extrudeDepth = parseInt(e.target.value);
+            if (extrudeDepthValue) extrudeDepthValue.textContent = textData.extrudeDepth;
+            rebuildParticleSystem();
+        });
+    }
 
-    if (animationModeStatic && animationModeAnimated) {
-        animationModeStatic.addEventListener('click', () => {
-            animationModeStatic.classList.add('active');
-            animationModeAnimated.classList.remove('active');
-            if (animatedModeControls) animatedModeControls.style.display = 'none';
-            textData.animationType = 'none';
-            stopShapeAnimation();
+    const extrudeLayersInput = document.getElementById('extrude-layers');
+    const extrudeLayersValue = document.getElementById('extrude-layers-value');
+    if (extrudeLayersInput) {
+        extrudeLayersInput.addEventListener('input', (e) => {
+            textData.extrudeLayers = parseInt(e.target.value);
+            if (extrudeLayersValue) extrudeLayersValue.textContent = textData.extrudeLayers;
+            traceIndex = 0;
+            rebuildParticleSystem();
         });
+    }
 
-        animationModeAnimated.addEventListener('click', () => {
-            animationModeAnimated.classList.add('active');
-            animationModeStatic.classList.remove('active');
-            if (animatedModeControls) animatedModeControls.style.display = 'block';
-            // Default to rotate when switching to animated
-            const animationTypeSelect = document.getElementById('animation-type');
-            if (animationTypeSelect) {
-                textData.animationType = animationTypeSelect.value;
-            }
-            startShapeAnimation();
+    const extrudeModeFilled = document.getElementById('extrude-mode-filled');
+    const extrudeModeShell = document.getElementById('extrude-mode-shell');
+    if (extrudeModeFilled && extrudeModeShell) {
+        extrudeModeFilled.addEventListener('click', () => {
+            textData.extrudeMode = 'filled';
+            extrudeModeFilled.classList.add('active');
+            extrudeModeShell.classList.remove('active');
+            traceIndex = 0;
+            rebuildParticleSystem();
+        });
+        extrudeModeShell.addEventListener('click', () => {
+            textData.extrudeMode = 'shell';
+            extrudeModeShell.classList.add('active');
+            extrudeModeFilled.classList.remove('active');
+            traceIndex = 0;
+            rebuildParticleSystem();
         });
     }
 
-    const animationTypeSelect = document.getElementById('animation-type');
-    const rotateSpeedGroup = document.getElementById('rotate-speed-group');
-    const tumbleControlsGroup = document.getElementById('tumble-controls-group');
+    const extrudeBevelInput = document.getElementById('extrude-bevel');
+    const extrudeBevelValue = document.getElementById('extrude-bevel-value');
+    if (extrudeBevelInput) {
+        extrudeBevelInput.addEventListener('input', (e) => {
+            textData.extrudeBevel = parseFloat(e.target.value);
+            if (extrudeBevelValue) extrudeBevelValue.textContent = textData.extrudeBevel.toFixed(2);
+            traceIndex = 0;
+            rebuildParticleSystem();
+        });
+    }
 
-    if (animationTypeSelect) {
-        animationTypeSelect.addEventListener('change', (e) => {
-            textData.animationType = e.target.value;
+    // ========== CAMERA CONTROLS ==========
+    const cameraProjectionSelect = document.getElementById('camera-projection');
+    const cameraFovGroup = document.getElementById('camera-fov-group');
+    if (cameraProjectionSelect) {
+        cameraProjectionSelect.addEventListener('change', (e) => {
+            textData.camera.projection = e.target.value;
+            if (cameraFovGroup) cameraFovGroup.style.display = textData.camera.projection === 'perspective' ? 'block' : 'none';
+            applyCameraPose({});
+        });
+    }
 
-            // Show/hide animation-specific controls
-            if (rotateSpeedGroup) rotateSpeedGroup.style.display = textData.animationType === 'rotate' ? 'block' : 'none';
-            if (tumbleControlsGroup) tumbleControlsGroup.style.display = textData.animationType === 'tumble' ? 'block' : 'none';
+    const cameraFovInput = document.getElementById('camera-fov');
+    const cameraFovValue = document.getElementById('camera-fov-value');
+    if (cameraFovInput) {
+        cameraFovInput.addEventListener('input', (e) => {
+            textData.camera.fov = parseInt(e.target.value);
+            if (cameraFovValue) cameraFovValue.textContent = textData.camera.fov;
+            applyCameraPose({});
+        });
+    }
 
-            // Restart animation with new type
-            startShapeAnimation();
+    const cameraZoomInput = document.getElementById('camera-zoom');
+    if (cameraZoomInput) {
+        cameraZoomInput.addEventListener('input', (e) => {
+            applyCameraPose({ zoom: parseFloat(e.target.value) });
         });
     }
 
-    // Rotate speed
-    const rotateSpeedInput = document.getElementById('rotate-speed');
-    const rotateSpeedValue = document.getElementById('rotate-speed-value');
-    if (rotateSpeedInput) {
-        rotateSpeedInput.addEventListener('input', (e) => {
-            textData.rotateSpeed = parseFloat(e.target.value);
-            if (rotateSpeedValue) rotateSpeedValue.textContent = textData.rotateSpeed.toFixed(1);
+    const cameraAzimuthInput = document.getElementById('camera-azimuth');
+    if (cameraAzimuthInput) {
+        cameraAzimuthInput.addEventListener('input', (e) => {
+            applyCameraPose({ azimuth: parseInt(e.target.value) });
         });
     }
 
-    // Rotation axis controls
-    const rotationAxisXInput = document.getElementById('rotation-axis-x');
-    const rotationAxisXValue = document.getElementById('rotation-axis-x-value');
-    if (rotationAxisXInput) {
-        rotationAxisXInput.addEventListener('input', (e) => {
-            textData.rotationAxis.x = parseFloat(e.target.value);
-            if (rotationAxisXValue) rotationAxisXValue.textContent = textData.rotationAxis.x.toFixed(1);
+    const cameraElevationInput = document.getElementById('camera-elevation');
+    if (cameraElevationInput) {
+        cameraElevationInput.addEventListener('input', (e) => {
+            applyCameraPose({ elevation: parseInt(e.target.value) });
         });
     }
 
-    const rotationAxisYInput = document.getElementById('rotation-axis-y');
-    const rotationAxisYValue = document.getElementById('rotation-axis-y-value');
-    if (rotationAxisYInput) {
-        rotationAxisYInput.addEventListener('input', (e) => {
-            textData.rotationAxis.y = parseFloat(e.target.value);
-            if (rotationAxisYValue) rotationAxisYValue.textContent = textData.rotationAxis.y.toFixed(1);
+    const cameraLockedToggle = document.getElementById('camera-locked');
+    if (cameraLockedToggle) {
+        cameraLockedToggle.addEventListener('toggle-change', (e) => {
+            textData.camera.locked = e.detail.checked;
         });
     }
 
-    const rotationAxisZInput = document.getElementById('rotation-axis-z');
-    const rotationAxisZValue = document.getElementById('rotation-axis-z-value');
-    if (rotationAxisZInput) {
-        rotationAxisZInput.addEventListener('input', (e) => {
-            textData.rotationAxis.z = parseFloat(e.target.value);
-            if (rotationAxisZValue) rotationAxisZValue.textContent = textData.rotationAxis.z.toFixed(1);
+    const cameraSaveBtn = document.getElementById('camera-save-view');
+    if (cameraSaveBtn) {
+        cameraSaveBtn.addEventListener('click', () => {
+            textData.camera.savedPose = getCameraPose();
         });
     }
 
-    // Tumble amount
-    const tumbleAmountInput = document.getElementById('tumble-amount');
-    const tumbleAmountValue = document.getElementById('tumble-amount-value');
-    if (tumbleAmountInput) {
-        tumbleAmountInput.addEventListener('input', (e) => {
-            textData.tumbleAmount = parseInt(e.target.value);
-            if (tumbleAmountValue) tumbleAmountValue.textContent = textData.tumbleAmount;
-            // Regenerate angular velocities with new amount
-            if (textData.animationType === 'tumble') {
-                for (let i = 0; i < particleRotations.length; i++) {
-                    const rot = particleRotations[i];
-                    rot.angularVelocityX = (Math.random() - 0.5) * textData.tumbleAmount * textData.tumbleSpeed * 0.5;
-                    rot.angularVelocityY = (Math.random() - 0.5) * textData.tumbleAmount * textData.tumbleSpeed * 0.5;
-                    rot.angularVelocityZ = (Math.random() - 0.5) * textData.tumbleAmount * textData.tumbleSpeed * 0.5;
-                }
+    const cameraRestoreBtn = document.getElementById('camera-restore-view');
+    if (cameraRestoreBtn) {
+        cameraRestoreBtn.addEventListener('click', () => {
+            if (textData.camera.savedPose) {
+                applyCameraPose(textData.camera.savedPose);
             }
         });
     }
 
-    // Tumble speed
-    const tumbleSpeedInput = document.getElementById('tumble-speed');
-    const tumbleSpeedValue = document.getElementById('tumble-speed-value');
-    if (tumbleSpeedInput) {
-        tumbleSpeedInput.addEventListener('input', (e) => {
-            textData.tumbleSpeed = parseFloat(e.target.value);
-            if (tumbleSpeedValue) tumbleSpeedValue.textContent = textData.tumbleSpeed.toFixed(1);
-            // Regenerate angular velocities with new speed
-            if (textData.animationType === 'tumble') {
-                for (let i = 0; i < particleRotations.length; i++) {
-                    const rot = particleRotations[i];
-                    rot.angularVelocityX = (Math.random() - 0.5) * textData.tumbleAmount * textData.tumbleSpeed * 0.5;
-                    rot.angularVelocityY = (Math.random() - 0.5) * textData.tumbleAmount * textData.tumbleSpeed * 0.5;
-                    rot.angularVelocityZ = (Math.random() - 0.5) * textData.tumbleAmount * textData.tumbleSpeed * 0.5;
-                }
-            }
+    const cameraResetBtn = document.getElementById('camera-reset-view');
+    if (cameraResetBtn) {
+        cameraResetBtn.addEventListener('click', () => {
+            applyCameraPose({ azimuth: 0, elevation: 0, zoom: 1, panX: 0, panY: 0, panZ: 0 });
         });
     }
 
-    // GLB upload
-    const glbModelInput = document.getElementById('glb-model');
-    const glbInfo = document.getElementById('glb-info');
-    const glbNameEl = document.getElementById('glb-name');
+    // ========== LETTER CONTROLS ==========
+    const letterSelect = document.getElementById('letter-select');
+    const letterColorToggle = document.getElementById('letter-color-enabled');
+    const letterColorInput = document.getElementById('letter-color');
 
-    if (glbModelInput) {
-        glbModelInput.addEventListener('change', async (e) => {
-            const file = e.target.files[0];
-            if (!file) return;
+    const getSelectedLetter = () => {
+        if (!letterSelect || !letterSelect.value) return null;
+        const [lineIndex, charIndex] = letterSelect.value.split(':').map(Number);
+        return { lineIndex, charIndex, key: letterSelect.value };
+    };
 
-            try {
-                if (glbNameEl) glbNameEl.textContent = 'Loading...';
-                if (glbInfo) glbInfo.style.display = 'block';
+    // Show the selected letter's transform without triggering rebuilds
+    const showLetterTransform = () => {
+        const letter = getSelectedLetter();
+        const transform = (letter && textData.letterTransforms[letter.key]) || {};
+        const setValue = (id, value, text) => {
+            const el = document.getElementById(id);
+            const valueEl = document.getElementById(id + '-value');
+            if (el) el.value = value;
+            if (valueEl) valueEl.textContent = text;
+        };
 
-                await loadGLBModel(file);
+        setValue('letter-offset-x', transform.offsetX || 0, transform.offsetX || 0);
+        setValue('letter-offset-y', transform.offsetY || 0, transform.offsetY || 0);
+        setValue('letter-rotation', transform.rotation || 0, transform.rotation || 0);
+        const scale = transform.scale !== undefined ? transform.scale : 1;
+        setValue('letter-scale', scale, scale.toFixed(2));
 
-                if (glbNameEl) glbNameEl.textContent = file.name;
-            } catch (error) {
-                alert('Failed to load GLB: ' + error.message);
-                if (glbInfo) glbInfo.style.display = 'none';
-                glbModelInput.value = '';
-            }
-        });
+        if (letterColorToggle) {
+            const hasColor = !!transform.color;
+            letterColorToggle.setAttribute('aria-pressed', hasColor ? 'true' : 'false');
+        }
+        if (letterColorInput && transform.color) letterColorInput.value = transform.color;
+    };
+
+    if (letterSelect) {
+        letterSelect.addEventListener('change', showLetterTransform);
+        letterSelect.addEventListener('letters-updated', showLetterTransform);
     }
 
-    // Clear GLB
-    const clearGlbBtn = document.getElementById('clear-glb');
-    if (clearGlbBtn) {
-        clearGlbBtn.addEventListener('click', () => {
-            clearGLBModel();
-            if (glbInfo) glbInfo.style.display = 'none';
-            if (glbModelInput) glbModelInput.value = '';
+    const bindLetterSlider = (id, key, parse, format) => {
+        const input = document.getElementById(id);
+        const valueEl = document.getElementById(id + '-value');
+        if (!input) return;
+        input.addEventListener('input', (e) => {
+            const letter = getSelectedLetter();
+            const value = parse(e.target.value);
+            if (valueEl) valueEl.textContent = format(value);
+            if (letter) setLetterTransform(letter.lineIndex, letter.charIndex, { [key]: value });
         });
-    }
+    };
 
-    // Shape size
-    const shapeSizeInput = document.getElementById('shape-size');
-    const shapeSizeValue = document.getElementById('shape-size-value');
-    if (shapeSizeInput) {
-        shapeSizeInput.addEventListener('input', (e) => {
-            textData.shapeSize = parseInt(e.target.value);
-            if (shapeSizeValue) shapeSizeValue.textContent = textData.shapeSize;
-            rebuildParticleSystem();
+    bindLetterSlider('letter-offset-x', 'offsetX', parseInt, v => v);
+    bindLetterSlider('letter-offset-y', 'offsetY', parseInt, v => v);
+    bindLetterSlider('letter-rotation', 'rotation', parseInt, v => v);
+    bindLetterSlider('letter-scale', 'scale', parseFloat, v => v.toFixed(2));
+
+    if (letterColorToggle) {
+        letterColorToggle.addEventListener('toggle-change', (e) => {
+            const letter = getSelectedLetter();
+            if (!letter) return;
+            setLetterTransform(letter.lineIndex, letter.charIndex, {
+                color: e.detail.checked && letterColorInput ? letterColorInput.value : null
+            });
         });
     }
 
-    // Spacing
-    const spacingInput = document.getElementById('spacing');
-    const spacingValue = document.getElementById('spacing-value');
-    if (spacingInput) {
-        spacingInput.addEventListener('input', (e) => {
-            textData.spacing = parseFloat(e.target.value);
-            if (spacingValue) spacingValue.textContent = textData.spacing.toFixed(1);
-            rebuildParticleSystem();
+    if (letterColorInput) {
+        letterColorInput.addEventListener('input', (e) => {
+            const letter = getSelectedLetter();
+            const transform = letter && textData.letterTransforms[letter.key];
+            if (transform && transform.color) {
+                setLetterTransform(letter.lineIndex, letter.charIndex, { color: e.target.value });
+            }
         });
     }
 
-    // Font size
-    const fontSizeInput = document.getElementById('font-size');
-    const fontSizeValue = document.getElementById('font-size-value');
-    if (fontSizeInput) {
-        fontSizeInput.addEventListener('input', (e) => {
-            textData.fontSize = parseInt(e.target.value);
-            if (fontSizeValue) fontSizeValue.textContent = textData.fontSize;
-            rebuildParticleSystem();
+    const letterResetBtn = document.getElementById('letter-reset');
+    if (letterResetBtn) {
+        letterResetBtn.addEventListener('click', () => {
+            const letter = getSelectedLetter();
+            if (letter) setLetterTransform(letter.lineIndex, letter.charIndex, null);
         });
     }
 
-    // Shape color
-    const shapeColorInput = document.getElementById('shape-color');
-    if (shapeColorInput) {
-        shapeColorInput.addEventListener('input', (e) => {
-            textData.shapeColor = e.target.value;
-            rebuildParticleSystem();
+    const letterResetAllBtn = document.getElementById('letter-reset-all');
+    if (letterResetAllBtn) {
+        letterResetAllBtn.addEventListener('click', () => {
+            clearLetterTransforms();
         });
     }
 
-    // Hover effect toggle (master toggle)
-    const hoverEffectToggle = document.getElementById('hover-effect');
-    const hoverControlsGroup = document.getElementById('hover-controls-group');
+    // ========== BUILD ANIMATION CONTROLS ==========
+    const buildPlayInBtn = document.getElementById('build-play-in');
+    if (buildPlayInBtn) {
+        buildPlayInBtn.addEventListener('click', () => {
+            playBuildAnimation('in');
+        });
+    }
 
-    if (hoverEffectToggle) {
-        hoverEffectToggle.addEventListener('toggle-change', (e) => {
-            textData.hoverEffectEnabled = e.detail.checked;
-            textData.hoverEffects.enabled = e.detail.checked;
+    const buildPlayOutBtn = document.getElementById('build-play-out');
+    if (buildPlayOutBtn) {
+        buildPlayOutBtn.addEventListener('click', () => {
+            playBuildAnimation('out');
+        });
+    }
 
-            if (textData.hoverEffects.enabled) {
-                if (hoverControlsGroup) hoverControlsGroup.style.display = 'block';
-                if (window.startHoverRendering) {
-                    window.startHoverRendering();
-                }
-            } else {
-                if (hoverControlsGroup) hoverControlsGroup.style.display = 'none';
-                if (window.stopHoverRendering) {
-                    window.stopHoverRendering();
-                }
-                textData.mouseX = null;
-                textData.mouseY = null;
-                render(textData.isAnimating ? textData.animationTime : 0);
+    const buildStyleSelect = document.getElementById('build-style');
+    const buildOffscreenSideGroup = document.getElementById('build-offscreen-side-group');
+    if (buildStyleSelect) {
+        buildStyleSelect.addEventListener('change', (e) => {
+            textData.buildStyle = e.target.value;
+            if (buildOffscreenSideGroup) {
+                buildOffscreenSideGroup.style.display = textData.buildStyle === 'offscreen' ? 'block' : 'none';
             }
         });
     }
 
-    // Interaction mode buttons
-    const modeMouseBtn = document.getElementById('mode-mouse');
-    const modeAutoBtn = document.getElementById('mode-auto');
-    const autoModeControls = document.getElementById('auto-mode-controls');
+    const buildOffscreenSideSelect = document.getElementById('build-offscreen-side');
+    if (buildOffscreenSideSelect) {
+        buildOffscreenSideSelect.addEventListener('change', (e) => {
+            textData.buildOffscreenSide = e.target.value;
+        });
+    }
 
-    if (modeMouseBtn && modeAutoBtn) {
-        modeMouseBtn.addEventListener('click', () => {
-            textData.interactionMode = 'mouse';
-            modeMouseBtn.classList.add('active');
-            modeAutoBtn.classList.remove('active');
-            if (autoModeControls) autoModeControls.style.display = 'none';
-            textData.mouseX = null;
-            textData.mouseY = null;
+    const buildStaggerSelect = document.getElementById('build-stagger');
+    if (buildStaggerSelect) {
+        buildStaggerSelect.addEventListener('change', (e) => {
+            textData.buildStagger = e.target.value;
         });
+    }
 
-        modeAutoBtn.addEventListener('click', () => {
-            textData.interactionMode = 'auto';
-            modeAutoBtn.classList.add('active');
-            modeMouseBtn.classList.remove('active');
-            if (autoModeControls) autoModeControls.style.display = 'block';
-            textData.autoTime = 0;
-            randomInitialized = false;
-            traceIndex = 0;
+    const buildEasingSelect = document.getElementById('build-easing');
+    if (buildEasingSelect) {
+        buildEasingSelect.addEventListener('change', (e) => {
+            textData.buildEasing = e.target.value;
         });
     }
 
-    // Auto pattern
-    const autoPatternSelect = document.getElementById('auto-pattern');
-    if (autoPatternSelect) {
-        autoPatternSelect.addEventListener('change', (e) => {
-            textData.autoPattern = e.target.value;
-            randomInitialized = false;
-            traceIndex = 0;
+    const buildDurationInput = document.getElementById('build-duration');
+    const buildDurationValue = document.getElementById('build-duration-value');
+    if (buildDurationInput) {
+        buildDurationInput.addEventListener('input', (e) => {
+            textData.buildDuration = parseFloat(e.target.value);
+            if (buildDurationValue) buildDurationValue.textContent = textData.buildDuration.toFixed(1) + 's';
         });
     }
 
-    // Auto speed
-    const autoSpeedInput = document.getElementById('auto-speed');
-    const autoSpeedValue = document.getElementById('auto-speed-value');
-    if (autoSpeedInput) {
-        autoSpeedInput.addEventListener('input', (e) => {
-            textData.autoSpeed = parseFloat(e.target.value);
-            if (autoSpeedValue) autoSpeedValue.textContent = textData.autoSpeed.toFixed(1);
+    const buildStaggerDelayInput = document.getElementById('build-stagger-delay');
+    const buildStaggerDelayValue = document.getElementById('build-stagger-delay-value');
+    if (buildStaggerDelayInput) {
+        buildStaggerDelayInput.addEventListener('input', (e) => {
+            textData.buildStaggerDelay = parseFloat(e.target.value);
+            if (buildStaggerDelayValue) buildStaggerDelayValue.textContent = textData.buildStaggerDelay.toFixed(2) + 's';
         });
     }
 
-    // Auto size
-    const autoSizeInput = document.getElementById('auto-size');
-    const autoSizeValue = document.getElementById('auto-size-value');
-    if (autoSizeInput) {
-        autoSizeInput.addEventListener('input', (e) => {
-            textData.autoSize = parseInt(e.target.value);
-            if (autoSizeValue) autoSizeValue.textContent = textData.autoSize;
+    const buildAutoplayToggle = document.getElementById('build-autoplay');
+    if (buildAutoplayToggle) {
+        buildAutoplayToggle.addEventListener('toggle-change', (e) => {
+            textData.buildAutoplay = e.detail.checked;
         });
     }
 
-    // Auto debug toggle
-    const autoDebugToggle = document.getElementById('auto-debug');
-    if (autoDebugToggle) {
-        autoDebugToggle.addEventListener('toggle-change', (e) => {
-            textData.autoDebug = e.detail.checked;
+    // ========== MORPH CONTROLS ==========
+    const morphEnabledToggle = document.getElementById('morph-enabled');
+    if (morphEnabledToggle) {
+        morphEnabledToggle.addEventListener('toggle-change', (e) => {
+            textData.morphEnabled = e.detail.checked;
+            if (!textData.morphEnabled) {
+                stopMorphAnimation();
+                render(textData.isAnimating ? textData.animationTime : 0);
+            }
         });
     }
 
-    // Hover radius (shared across all effects)
-    const hoverRadiusInput = document.getElementById('hover-radius');
-    const hoverRadiusValue = document.getElementById('hover-radius-value');
-    if (hoverRadiusInput) {
-        hoverRadiusInput.addEventListener('input', (e) => {
-            textData.hoverRadius = parseInt(e.target.value);
-            textData.hoverEffects.radius = parseInt(e.target.value);
-            if (hoverRadiusValue) hoverRadiusValue.textContent = textData.hoverRadius;
+    const morphEasingSelect = document.getElementById('morph-easing');
+    if (morphEasingSelect) {
+        morphEasingSelect.addEventListener('change', (e) => {
+            textData.morphEasing = e.target.value;
         });
     }
 
-    // Hover intensity (magnification intensity) - now in percentage (1-700%)
-    const hoverIntensityInput = document.getElementById('hover-intensity');
-    const hoverIntensityValue = document.getElementById('hover-intensity-value');
-    if (hoverIntensityInput) {
-        hoverIntensityInput.addEventListener('input', (e) => {
-            const percentage = parseFloat(e.target.value);
-            const decimal = percentage / 100; // Convert 200% to 2.0
-            textData.hoverIntensity = decimal;
-            textData.hoverEffects.magnification.intensity = decimal;
-            if (hoverIntensityValue) hoverIntensityValue.textContent = percentage + '%';
+    const morphDurationInput = document.getElementById('morph-duration');
+    const morphDurationValue = document.getElementById('morph-duration-value');
+    if (morphDurationInput) {
+        morphDurationInput.addEventListener('input', (e) => {
+            textData.morphDuration = parseFloat(e.target.value);
+            if (morphDurationValue) morphDurationValue.textContent = textData.morphDuration.toFixed(1) + 's';
         });
     }
 
-    // ===== STACKABLE HOVER EFFECTS =====
+    const playlistItemsInput = document.getElementById('playlist-items');
+    if (playlistItemsInput) {
+        playlistItemsInput.addEventListener('input', (e) => {
+            textData.playlistItems = e.target.value.split('\n').map(item => item.trim()).filter(Boolean);
+        });
+    }
 
-    // Magnification toggle
-    const magnificationToggle = document.getElementById('hover-magnification-toggle');
-    const magnificationControls = document.getElementById('hover-magnification-controls');
-    if (magnificationToggle) {
-        magnificationToggle.addEventListener('toggle-change', (e) => {
-            textData.hoverEffects.magnification.enabled = e.detail.checked;
-            if (magnificationControls) {
-                magnificationControls.style.display = e.detail.checked ? 'block' : 'none';
-            }
+    const playlistIntervalInput = document.getElementById('playlist-interval');
+    const playlistIntervalValue = document.getElementById('playlist-interval-value');
+    if (playlistIntervalInput) {
+        playlistIntervalInput.addEventListener('input', (e) => {
+            textData.playlistInterval = parseFloat(e.target.value);
+            if (playlistIntervalValue) playlistIntervalValue.textContent = textData.playlistInterval + 's';
         });
     }
 
-    // Rotation toggle
-    const rotationToggle = document.getElementById('hover-rotation-toggle');
-    const rotationControls = document.getElementById('hover-rotation-controls');
-    if (rotationToggle) {
-        rotationToggle.addEventListener('toggle-change', (e) => {
-            textData.hoverEffects.rotation.enabled = e.detail.checked;
-            if (rotationControls) {
-                rotationControls.style.display = e.detail.checked ? 'block' : 'none';
+    const playlistEnabledToggle = document.getElementById('playlist-enabled');
+    if (playlistEnabledToggle) {
+        playlistEnabledToggle.addEventListener('toggle-change', (e) => {
+            textData.playlistEnabled = e.detail.checked;
+            if (textData.playlistEnabled) {
+                playlistIndex = 0;
+                startPlaylist();
+            } else {
+                stopPlaylist();
             }
         });
     }
 
-    // Rotation mode buttons (continuous vs target vs lookAt)
-    const rotContinuousBtn = document.getElementById('hover-rot-continuous');
-    const rotTargetBtn = document.getElementById('hover-rot-target');
-    const rotLookAtBtn = document.getElementById('hover-rot-lookat');
-    const rotContinuousControls = document.getElementById('hover-rot-continuous-controls');
-    const rotTargetControls = document.getElementById('hover-rot-target-controls');
-    const rotLookAtControls = document.getElementById('hover-rot-lookat-controls');
-
-    if (rotContinuousBtn && rotTargetBtn) {
-        rotContinuousBtn.addEventListener('click', () => {
-            textData.hoverEffects.rotation.mode = 'continuous';
-            rotContinuousBtn.classList.add('active');
-            rotTargetBtn.classList.remove('active');
-            if (rotLookAtBtn) rotLookAtBtn.classList.remove('active');
-            if (rotContinuousControls) rotContinuousControls.style.display = 'block';
-            if (rotTargetControls) rotTargetControls.style.display = 'none';
-            if (rotLookAtControls) rotLookAtControls.style.display = 'none';
+    // ========== ANIMATION EXPORT CONTROLS ==========
+    const exportDurationInput = document.getElementById('export-duration');
+    const exportDurationValue = document.getElementById('export-duration-value');
+    if (exportDurationInput) {
+        exportDurationInput.addEventListener('input', (e) => {
+            textData.exportDuration = parseFloat(e.target.value);
+            if (exportDurationValue) exportDurationValue.textContent = textData.exportDuration + 's';
         });
+    }
 
-        rotTargetBtn.addEventListener('click', () => {
-            textData.hoverEffects.rotation.mode = 'target';
-            rotTargetBtn.classList.add('active');
-            rotContinuousBtn.classList.remove('active');
-            if (rotLookAtBtn) rotLookAtBtn.classList.remove('active');
-            if (rotTargetControls) rotTargetControls.style.display = 'block';
-            if (rotContinuousControls) rotContinuousControls.style.display = 'none';
-            if (rotLookAtControls) rotLookAtControls.style.display = 'none';
+    const exportFpsSelect = document.getElementById('export-fps');
+    if (exportFpsSelect) {
+        exportFpsSelect.addEventListener('change', (e) => {
+            textData.exportFps = parseInt(e.target.value);
         });
     }
 
-    if (rotLookAtBtn) {
-        rotLookAtBtn.addEventListener('click', () => {
-            textData.hoverEffects.rotation.mode = 'lookAt';
-            rotLookAtBtn.classList.add('active');
-            if (rotContinuousBtn) rotContinuousBtn.classList.remove('active');
-            if (rotTargetBtn) rotTargetBtn.classList.remove('active');
-            if (rotLookAtControls) rotLookAtControls.style.display = 'block';
-            if (rotContinuousControls) rotContinuousControls.style.display = 'none';
-            if (rotTargetControls) rotTargetControls.style.display = 'none';
+    const exportScaleSelect = document.getElementById('export-scale');
+    if (exportScaleSelect) {
+        exportScaleSelect.addEventListener('change', (e) => {
+            textData.exportScale = parseFloat(e.target.value);
         });
     }
 
-    // LookAt intensity slider
-    const lookAtIntensityInput = document.getElementById('hover-rot-lookat-intensity');
-    const lookAtIntensityValue = document.getElementById('hover-rot-lookat-intensity-value');
-    if (lookAtIntensityInput) {
-        lookAtIntensityInput.addEventListener('input', (e) => {
-            const percentage = parseInt(e.target.value);
-            textData.hoverEffects.rotation.lookAtIntensity = percentage / 100;
-            if (lookAtIntensityValue) lookAtIntensityValue.textContent = percentage + '%';
+    const videoFormatSelect = document.getElementById('video-format');
+    if (videoFormatSelect) {
+        // Only offer what this browser's MediaRecorder can encode
+        Array.from(videoFormatSelect.options).forEach(option => {
+            option.disabled = !isVideoFormatSupported(option.value);
+        });
+        videoFormatSelect.addEventListener('change', (e) => {
+            textData.videoFormat = e.target.value;
         });
     }
 
-    // LookAt smoothing slider
-    const lookAtSmoothingInput = document.getElementById('hover-rot-lookat-smoothing');
-    const lookAtSmoothingValue = document.getElementById('hover-rot-lookat-smoothing-value');
-    if (lookAtSmoothingInput) {
-        lookAtSmoothingInput.addEventListener('input', (e) => {
-            textData.hoverEffects.rotation.lookAtSmoothing = parseFloat(e.target.value);
-            if (lookAtSmoothingValue) lookAtSmoothingValue.textContent = parseFloat(e.target.value).toFixed(2);
+    const exportPlayIntroToggle = document.getElementById('export-play-intro');
+    if (exportPlayIntroToggle) {
+        exportPlayIntroToggle.addEventListener('toggle-change', (e) => {
+            textData.exportPlayIntro = e.detail.checked;
         });
     }
 
-    // Rotation speed (continuous mode)
-    const rotSpeedInput = document.getElementById('hover-rot-speed');
-    const rotSpeedValue = document.getElementById('hover-rot-speed-value');
-    if (rotSpeedInput) {
-        rotSpeedInput.addEventListener('input', (e) => {
-            textData.hoverEffects.rotation.speed = parseFloat(e.target.value);
-            if (rotSpeedValue) rotSpeedValue.textContent = textData.hoverEffects.rotation.speed.toFixed(1);
+    const exportSpriteSheetToggle = document.getElementById('export-sprite-sheet');
+    if (exportSpriteSheetToggle) {
+        exportSpriteSheetToggle.addEventListener('toggle-change', (e) => {
+            textData.exportSpriteSheet = e.detail.checked;
         });
     }
 
-    // Rotation axis (continuous mode)
-    ['x', 'y', 'z'].forEach(axis => {
-        const input = document.getElementById(`hover-rot-axis-${axis}`);
-        const valueEl = document.getElementById(`hover-rot-axis-${axis}-value`);
-        if (input) {
-            input.addEventListener('input', (e) => {
-                textData.hoverEffects.rotation.axis[axis] = parseFloat(e.target.value);
-                if (valueEl) valueEl.textContent = parseFloat(e.target.value).toFixed(1);
-            });
-        }
-    });
+    // Long-running exports share one status line; clicking the running export's button stops it
+    const exportStatus = document.getElementById('export-status');
+    const bindAnimationExport = (buttonId, exportFn, getFilename, description) => {
+        const button = document.getElementById(buttonId);
+        if (!button) return;
 
-    // Target angles (target mode)
-    ['x', 'y', 'z'].forEach(axis => {
-        const input = document.getElementById(`hover-rot-target-${axis}`);
-        const valueEl = document.getElementById(`hover-rot-target-${axis}-value`);
-        if (input) {
-            input.addEventListener('input', (e) => {
-                textData.hoverEffects.rotation.targetAngle[axis] = parseInt(e.target.value);
-                if (valueEl) valueEl.textContent = e.target.value + '°';
-            });
-        }
-    });
+        const label = button.textContent;
+        button.addEventListener('click', async () => {
+            if (isCapturingAnimation) {
+                stopAnimationCapture();
+                return;
+            }
 
-    // Gradient Crossfade toggle
-    const crossfadeToggle = document.getElementById('hover-crossfade-toggle');
-    const crossfadeControls = document.getElementById('hover-crossfade-controls');
-    const crossfadeSection = document.getElementById('hover-crossfade-section');
+            button.textContent = 'Stop';
+            try {
+                const blob = await exportFn({
+                    onProgress: (frame, total) => {
+                        if (exportStatus) exportStatus.textContent = `Frame ${frame} / ${total}`;
+                    },
+                    onStatus: (text) => {
+                        if (exportStatus) exportStatus.textContent = text;
+                    }
+                });
+                if (blob) downloadBlob(blob, getFilename());
+            } catch (error) {
+                console.error(`${description} export failed:`, error);
+                alert(`Failed to export ${description}: ` + error.message);
+            } finally {
+                button.textContent = label;
+                if (exportStatus) exportStatus.textContent = '';
+            }
+        });
+    };
 
-    // Function to show/hide crossfade section based on material type
-    function updateCrossfadeVisibility() {
-        if (crossfadeSection) {
-            // Only show crossfade for gradient material type
-            crossfadeSection.style.display = textData.materialType === 'gradient' ? 'block' : 'none';
-        }
+    bindAnimationExport('video-record-btn', recordVideo,
+        () => `3d-type-shaper-${Date.now()}.${VIDEO_FORMATS[textData.videoFormat].extension}`, 'video');
+    bindAnimationExport('png-sequence-btn', exportPNGSequence,
+        () => `3d-type-shaper-frames-${Date.now()}.zip`, 'PNG sequence');
+    bindAnimationExport('gif-export-btn', exportGIF,
+        () => `3d-type-shaper-${Date.now()}.gif`, 'GIF');
+
+    // ========== 3D EXPORT CONTROLS ==========
+    const gltfFormatSelect = document.getElementById('gltf-format');
+    if (gltfFormatSelect) {
+        gltfFormatSelect.addEventListener('change', (e) => {
+            textData.gltfFormat = e.target.value;
+        });
     }
 
-    // Initial visibility update
-    updateCrossfadeVisibility();
-
-    // Listen for material type changes
-    document.addEventListener('chatooly:material-type-changed', updateCrossfadeVisibility);
+    const gltfModeSelect = document.getElementById('gltf-mode');
+    if (gltfModeSelect) {
+        gltfModeSelect.addEventListener('change', (e) => {
+            textData.gltfMode = e.target.value;
+        });
+    }
 
-    if (crossfadeToggle) {
-        crossfadeToggle.addEventListener('toggle-change', (e) => {
-            textData.hoverEffects.materialCrossfade.enabled = e.detail.checked;
-            if (crossfadeControls) {
-                crossfadeControls.style.display = e.detail.checked ? 'block' : 'none';
+    const gltfExportBtn = document.getElementById('gltf-export-btn');
+    if (gltfExportBtn) {
+        gltfExportBtn.addEventListener('click', async () => {
+            try {
+                const blob = await exportGLTF();
+                downloadBlob(blob, `3d-type-shaper-${Date.now()}.${textData.gltfFormat}`);
+            } catch (error) {
+                console.error('3D export failed:', error);
+                alert('Failed to export 3D: ' + error.message);
             }
-            // Rebuild to initialize lerp materials
-            if (e.detail.checked && textData.materialType === 'gradient') {
-                rebuildParticleSystem();
-            } else {
-                cleanupLerpMeshes();
-                cleanupLerpMaterials();
-                render();
+        });
+    }
+
+    const svgExportBtn = document.getElementById('svg-export-btn');
+    if (svgExportBtn) {
+        svgExportBtn.addEventListener('click', () => {
+            try {
+                downloadBlob(exportSVG(), `3d-type-shaper-${Date.now()}.svg`);
+            } catch (error) {
+                console.error('SVG export failed:', error);
+                alert('Failed to export SVG: ' + error.message);
             }
         });
     }
 
-    // Hover gradient stops (matching the main gradient UI style)
-    const hoverGradientStopsContainer = document.getElementById('hover-gradient-stops-container');
-    const hoverGradientPreview = document.getElementById('hover-gradient-preview');
+    // ========== POINT EXPORT CONTROLS ==========
+    const pointFormatSelect = document.getElementById('point-format');
+    if (pointFormatSelect) {
+        pointFormatSelect.addEventListener('change', (e) => {
+            textData.pointFormat = e.target.value;
+        });
+    }
 
-    function updateHoverGradientFromStops() {
-        if (!hoverGradientStopsContainer) return;
+    const pointUnitsSelect = document.getElementById('point-units');
+    if (pointUnitsSelect) {
+        pointUnitsSelect.addEventListener('change', (e) => {
+            textData.pointUnits = e.target.value;
+        });
+    }
 
-        const stops = [];
-        const stopElements = hoverGradientStopsContainer.querySelectorAll('.gradient-stop');
+    const pointCenteringSelect = document.getElementById('point-centering');
+    if (pointCenteringSelect) {
+        pointCenteringSelect.addEventListener('change', (e) => {
+            textData.pointCentering = e.target.value;
+        });
+    }
 
-        stopElements.forEach((stopEl, index) => {
-            const colorInput = stopEl.querySelector('.hover-gradient-stop-color');
-            const positionInput = stopEl.querySelector('.hover-gradient-stop-position');
-            if (colorInput && positionInput) {
-                stops.push({
-                    color: colorInput.value,
-                    position: parseInt(positionInput.value)
-                });
+    const pointExportBtn = document.getElementById('point-export-btn');
+    if (pointExportBtn) {
+        pointExportBtn.addEventListener('click', () => {
+            try {
+                const blob = exportPoints();
+                const extension = textData.pointFormat.startsWith('ply') ? 'ply' : textData.pointFormat;
+                downloadBlob(blob, `3d-type-shaper-points-${Date.now()}.${extension}`);
+            } catch (error) {
+                console.error('Point export failed:', error);
+                alert('Failed to export points: ' + error.message);
             }
         });
+    }
 
-        textData.hoverEffects.materialCrossfade.hoverGradient.stops = stops;
+    // ========== LARGE IMAGE EXPORT CONTROLS ==========
+    const tiledPrintOptions = document.getElementById('tiled-print-options');
+    const tiledPixelOptions = document.getElementById('tiled-pixel-options');
+    const tiledSizeInfo = document.getElementById('tiled-size-info');
+    const updateTiledSizeInfo = () => {
+        if (tiledPrintOptions) tiledPrintOptions.style.display = textData.tiledSizeMode === 'print' ? 'block' : 'none';
+        if (tiledPixelOptions) tiledPixelOptions.style.display = textData.tiledSizeMode === 'pixels' ? 'flex' : 'none';
+        if (tiledSizeInfo) {
+            const { width, height } = getTiledExportSize();
+            const megapixels = (width * height / 1e6).toFixed(1);
+            tiledSizeInfo.textContent = `${width} × ${height} px (${megapixels} MP)`;
+        }
+    };
 
-        // Update hover gradient preview canvas
-        updateHoverGradientPreview();
+    [
+        ['tiled-size-mode', 'tiledSizeMode', value => value],
+        ['tiled-paper', 'tiledPaper', value => value],
+        ['tiled-orientation', 'tiledOrientation', value => value],
+        ['tiled-dpi', 'tiledDpi', value => parseInt(value)]
+    ].forEach(([id, key, parse]) => {
+        const select = document.getElementById(id);
+        if (select) {
+            select.addEventListener('change', (e) => {
+                textData[key] = parse(e.target.value);
+                updateTiledSizeInfo();
+            });
+        }
+    });
 
-        // Rebuild lerp materials if crossfade is enabled
-        if (textData.hoverEffects.materialCrossfade.enabled && textData.materialType === 'gradient') {
-            initLerpMaterials();
-            initLerpMeshes();
-            render();
+    [['tiled-width', 'tiledWidth'], ['tiled-height', 'tiledHeight']].forEach(([id, key]) => {
+        const input = document.getElementById(id);
+        if (input) {
+            input.addEventListener('input', (e) => {
+                const value = parseInt(e.target.value);
+                if (value >= 1) {
+                    textData[key] = value;
+                    updateTiledSizeInfo();
+                }
+            });
         }
+    });
+
+    updateTiledSizeInfo();
+    bindAnimationExport('tiled-export-btn', exportLargePNG, () => {
+        const { width, height } = getTiledExportSize();
+        return `3d-type-shaper-${width}x${height}-${Date.now()}.png`;
+    }, 'large PNG');
+
+    // ========== GIF EXPORT CONTROLS ==========
+    const gifFpsSelect = document.getElementById('gif-fps');
+    if (gifFpsSelect) {
+        gifFpsSelect.addEventListener('change', (e) => {
+            textData.gifFps = parseFloat(e.target.value);
+        });
     }
 
-    function updateHoverGradientPreview() {
-        if (!hoverGradientPreview) return;
+    const gifScaleSelect = document.getElementById('gif-scale');
+    if (gifScaleSelect) {
+        gifScaleSelect.addEventListener('change', (e) => {
+            textData.gifScale = parseFloat(e.target.value);
+        });
+    }
 
-        const ctx = hoverGradientPreview.getContext('2d');
-        const width = hoverGradientPreview.width;
-        const height = hoverGradientPreview.height;
-        const centerX = width / 2;
-        const centerY = height / 2;
-        const radius = Math.min(width, height) / 2;
+    const gifPaletteSelect = document.getElementById('gif-palette');
+    if (gifPaletteSelect) {
+        gifPaletteSelect.addEventListener('change', (e) => {
+            textData.gifPalette = e.target.value;
+        });
+    }
 
-        ctx.clearRect(0, 0, width, height);
+    const gifDitherToggle = document.getElementById('gif-dither');
+    if (gifDitherToggle) {
+        gifDitherToggle.addEventListener('toggle-change', (e) => {
+            textData.gifDither = e.detail.checked;
+        });
+    }
 
-        const stops = textData.hoverEffects.materialCrossfade.hoverGradient.stops;
-        const gradient = ctx.createRadialGradient(centerX, centerY, 0, centerX, centerY, radius);
+    const gifLoopCountInput = document.getElementById('gif-loop-count');
+    const gifLoopCountValue = document.getElementById('gif-loop-count-value');
+    if (gifLoopCountInput) {
+        gifLoopCountInput.addEventListener('input', (e) => {
+            textData.gifLoopCount = parseInt(e.target.value);
+            if (gifLoopCountValue) gifLoopCountValue.textContent = textData.gifLoopCount === 0 ? 'Forever' : textData.gifLoopCount + 'x';
+        });
+    }
 
-        stops.forEach(stop => {
-            gradient.addColorStop(stop.position / 100, stop.color);
+    const gifTrimStartInput = document.getElementById('gif-trim-start');
+    const gifTrimStartValue = document.getElementById('gif-trim-start-value');
+    const gifTrimEndInput = document.getElementById('gif-trim-end');
+    const gifTrimEndValue = document.getElementById('gif-trim-end-value');
+    if (gifTrimStartInput) {
+        gifTrimStartInput.addEventListener('input', (e) => {
+            textData.gifTrimStart = parseFloat(e.target.value);
+            if (gifTrimStartValue) gifTrimStartValue.textContent = textData.gifTrimStart.toFixed(1) + 's';
+        });
+    }
+    if (gifTrimEndInput) {
+        gifTrimEndInput.addEventListener('input', (e) => {
+            textData.gifTrimEnd = parseFloat(e.target.value);
+            if (gifTrimEndValue) gifTrimEndValue.textContent = textData.gifTrimEnd.toFixed(1) + 's';
         });
+    }
 
-        ctx.beginPath();
-        ctx.arc(centerX, centerY, radius, 0, Math.PI * 2);
-        ctx.fillStyle = gradient;
-        ctx.fill();
+    const gifSeamlessToggle = document.getElementById('gif-seamless');
+    const gifLoopPeriod = document.getElementById('gif-loop-period');
+    if (gifSeamlessToggle) {
+        gifSeamlessToggle.addEventListener('toggle-change', (e) => {
+            textData.gifSeamless = e.detail.checked;
+            if (gifLoopPeriod) {
+                const period = getLoopPeriod();
+                gifLoopPeriod.textContent = !textData.gifSeamless ? '' :
+                    period ? `Loop period: ${period.toFixed(2)}s` : 'No repeating motion (needs Rotate or a sine/infinity/circle auto pattern)';
+            }
+        });
     }
 
-    // Setup event listeners for hover gradient stops
-    if (hoverGradientStopsContainer) {
-        const stopElements = hoverGradientStopsContainer.querySelectorAll('.gradient-stop');
-        stopElements.forEach((stopEl) => {
-            const colorInput = stopEl.querySelector('.hover-gradient-stop-color');
-            const positionInput = stopEl.querySelector('.hover-gradient-stop-position');
-            const positionValue = stopEl.querySelector('.hover-gradient-stop-value');
+    // ========== ANIMATION CONTROLS (Unified for all shapes) ==========
 
-            if (colorInput) {
-                colorInput.addEventListener('input', updateHoverGradientFromStops);
-            }
-            if (positionInput) {
-                positionInput.addEventListener('input', (e) => {
-                    if (positionValue) positionValue.textContent = e.target.value + '%';
-                    updateHoverGradientFromStops();
-                });
+    // Animation Mode Toggle (Static / Animated)
+    const animationModeStatic = document.getElementById('animation-mode-static');
+    const animationModeAnimated = document.getElementById('animation-mode-animated');
+    const animatedModeControls = document.getElementById('animated-mode-controls');
+
+    if (animationModeStatic && animationModeAnimated) {
+        animationModeStatic.addEventListener('click', () => {
+            animationModeStatic.classList.add('active');
+            animationModeAnimated.classList.remove('active');
+            if (animatedModeControls) animatedModeControls.style.display = 'none';
+            textData.animationType = 'none';
+            stopShapeAnimation();
+        });
+
+        animationModeAnimated.addEventListener('click', () => {
+            animationModeAnimated.classList.add('active');
+            animationModeStatic.classList.remove('active');
+            if (animatedModeControls) animatedModeControls.style.display = 'block';
+            // Default to rotate when switching to animated
+            const animationTypeSelect = document.getElementById('animation-type');
+            if (animationTypeSelect) {
+                textData.animationType = animationTypeSelect.value;
             }
+            startShapeAnimation();
         });
+    }
 
-        // Initial preview render
-        updateHoverGradientPreview();
+    const animationTypeSelect = document.getElementById('animation-type');
+    const rotateSpeedGroup = document.getElementById('rotate-speed-group');
+    const tumbleControlsGroup = document.getElementById('tumble-controls-group');
+
+    if (animationTypeSelect) {
+        animationTypeSelect.addEventListener('change', (e) => {
+            textData.animationType = e.target.value;
+
+            // Show/hide animation-specific controls
+            if (rotateSpeedGroup) rotateSpeedGroup.style.display = textData.animationType === 'rotate' ? 'block' : 'none';
+            if (tumbleControlsGroup) tumbleControlsGroup.style.display = textData.animationType === 'tumble' ? 'block' : 'none';
+
+            // Restart animation with new type
+            startShapeAnimation();
+        });
     }
 
-    // Crossfade transition duration - now instant (0)
-    textData.hoverEffects.materialCrossfade.transitionDuration = 0;
+    // Rotate speed
+    const rotateSpeedInput = document.getElementById('rotate-speed');
+    const rotateSpeedValue = document.getElementById('rotate-speed-value');
+    if (rotateSpeedInput) {
+        rotateSpeedInput.addEventListener('input', (e) => {
+            textData.rotateSpeed = parseFloat(e.target.value);
+            if (rotateSpeedValue) rotateSpeedValue.textContent = textData.rotateSpeed.toFixed(1);
+        });
+    }
 
-    // Mouse tracking for hover effect AND look at mouse animation
-    function needsMouseTracking() {
-        // Track mouse if hover effect is enabled (in mouse mode) OR if animation is lookAtMouse
-        const hoverEnabled = textData.hoverEffectEnabled || textData.hoverEffects.enabled;
-        return (hoverEnabled && textData.interactionMode === 'mouse') ||
-               textData.animationType === 'lookAtMouse';
+    // Rotation axis controls
+    const rotationAxisXInput = document.getElementById('rotation-axis-x');
+    const rotationAxisXValue = document.getElementById('rotation-axis-x-value');
+    if (rotationAxisXInput) {
+        rotationAxisXInput.addEventListener('input', (e) => {
+            textData.rotationAxis.x = parseFloat(e.target.value);
+            if (rotationAxisXValue) rotationAxisXValue.textContent = textData.rotationAxis.x.toFixed(1);
+        });
     }
 
-    function updateMousePosition(e) {
-        if (!needsMouseTracking()) return;
+    const rotationAxisYInput = document.getElementById('rotation-axis-y');
+    const rotationAxisYValue = document.getElementById('rotation-axis-y-value');
+    if (rotationAxisYInput) {
+        rotationAxisYInput.addEventListener('input', (e) => {
+            textData.rotationAxis.y = parseFloat(e.target.value);
+            if (rotationAxisYValue) rotationAxisYValue.textContent = textData.rotationAxis.y.toFixed(1);
+        });
+    }
+
+    const rotationAxisZInput = document.getElementById('rotation-axis-z');
+    const rotationAxisZValue = document.getElementById('rotation-axis-z-value');
+    if (rotationAxisZInput) {
+        rotationAxisZInput.addEventListener('input', (e) => {
+            textData.rotationAxis.z = parseFloat(e.target.value);
+            if (rotationAxisZValue) rotationAxisZValue.textContent = textData.rotationAxis.z.toFixed(1);
+        });
+    }
+
+    // Tumble amount
+    const tumbleAmountInput = document.getElementById('tumble-amount');
+    const tumbleAmountValue = document.getElementById('tumble-amount-value');
+    if (tumbleAmountInput) {
+        tumbleAmountInput.addEventListener('input', (e) => {
+            textData.tumbleAmount = parseInt(e.target.value);
+            if (tumbleAmountValue) tumbleAmountValue.textContent = textData.tumbleAmount;
+            // Regenerate angular velocities with new amount
+            if (textData.animationType === 'tumble') {
+                resetTumbleVelocities();
+            }
+        });
+    }
+
+    // Tumble speed
+    const tumbleSpeedInput = document.getElementById('tumble-speed');
+    const tumbleSpeedValue = document.getElementById('tumble-speed-value');
+    if (tumbleSpeedInput) {
+        tumbleSpeedInput.addEventListener('input', (e) => {
+            textData.tumbleSpeed = parseFloat(e.target.value);
+            if (tumbleSpeedValue) tumbleSpeedValue.textContent = textData.tumbleSpeed.toFixed(1);
+            // Regenerate angular velocities with new speed
+            if (textData.animationType === 'tumble') {
+                resetTumbleVelocities();
+            }
+        });
+    }
+
+    // GLB upload
+    const glbModelInput = document.getElementById('glb-model');
+    const glbInfo = document.getElementById('glb-info');
+    const glbNameEl = document.getElementById('glb-name');
+
+    if (glbModelInput) {
+        glbModelInput.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+
+            const historyBefore = takeHistorySnapshot();
+            try {
+                if (glbNameEl) glbNameEl.textContent = 'Loading...';
+                if (glbInfo) glbInfo.style.display = 'block';
+
+                await loadGLBModel(file);
+
+                if (glbNameEl) glbNameEl.textContent = file.name;
+                recordHistory('GLB Model', historyBefore);
+            } catch (error) {
+                alert('Failed to load GLB: ' + error.message);
+                if (glbInfo) glbInfo.style.display = 'none';
+                glbModelInput.value = '';
+            }
+        });
+    }
+
+    // Clear GLB
+    const clearGlbBtn = document.getElementById('clear-glb');
+    if (clearGlbBtn) {
+        clearGlbBtn.addEventListener('click', () => {
+            clearGLBModel();
+            if (glbInfo) glbInfo.style.display = 'none';
+            if (glbModelInput) glbModelInput.value = '';
+        });
+    }
+
+    // Shape size
+    const shapeSizeInput = document.getElementById('shape-size');
+    const shapeSizeValue = document.getElementById('shape-size-value');
+    if (shapeSizeInput) {
+        shapeSizeInput.addEventListener('input', (e) => {
+            textData.shapeSize = parseInt(e.target.value);
+            if (shapeSizeValue) shapeSizeValue.textContent = textData.shapeSize;
+            rebuildParticleSystem();
+        });
+    }
+
+    // Spacing
+    const spacingInput = document.getElementById('spacing');
+    const spacingValue = document.getElementById('spacing-value');
+    if (spacingInput) {
+        spacingInput.addEventListener('input', (e) => {
+            textData.spacing = parseFloat(e.target.value);
+            if (spacingValue) spacingValue.textContent = textData.spacing.toFixed(1);
+            rebuildParticleSystem();
+        });
+    }
+
+    // Point distribution
+    const distributionSelect = document.getElementById('distribution');
+    if (distributionSelect) {
+        distributionSelect.addEventListener('change', (e) => {
+            textData.distribution = e.target.value;
+            traceIndex = 0;
+            rebuildParticleSystem();
+        });
+    }
+
+    // Random seed (distribution layouts, facing, tumble, build, auto path)
+    const randomSeedInput = document.getElementById('random-seed');
+    if (randomSeedInput) {
+        randomSeedInput.addEventListener('input', (e) => {
+            const seed = parseInt(e.target.value);
+            if (seed >= 0) {
+                textData.seed = seed;
+                traceIndex = 0;
+                rebuildParticleSystem();
+            }
+        });
+    }
+
+    const rerollSeedBtn = document.getElementById('reroll-seed-btn');
+    if (rerollSeedBtn) {
+        rerollSeedBtn.addEventListener('click', () => {
+            // The only unseeded choice: picking a new seed
+            textData.seed = Math.floor(Math.random() * 1000000);
+            if (randomSeedInput) randomSeedInput.value = textData.seed;
+            traceIndex = 0;
+            rebuildParticleSystem();
+        });
+    }
+
+    // Font size
+    const fontSizeInput = document.getElementById('font-size');
+    const fontSizeValue = document.getElementById('font-size-value');
+    if (fontSizeInput) {
+        fontSizeInput.addEventListener('input', (e) => {
+            textData.fontSize = parseInt(e.target.value);
+            if (fontSizeValue) fontSizeValue.textContent = textData.fontSize;
+            rebuildParticleSystem();
+        });
+    }
+
+    // Shape color
+    const shapeColorInput = document.getElementById('shape-color');
+    if (shapeColorInput) {
+        shapeColorInput.addEventListener('input', (e) => {
+            textData.shapeColor = e.target.value;
+            rebuildParticleSystem();
+        });
+    }
+
+    // Hover effect toggle (master toggle)
+    const hoverEffectToggle = document.getElementById('hover-effect');
+    const hoverControlsGroup = document.getElementById('hover-controls-group');
+
+    if (hoverEffectToggle) {
+        hoverEffectToggle.addEventListener('toggle-change', (e) => {
+            textData.hoverEffectEnabled = e.detail.checked;
+            textData.hoverEffects.enabled = e.detail.checked;
+
+            if (textData.hoverEffects.enabled) {
+                if (hoverControlsGroup) hoverControlsGroup.style.display = 'block';
+                if (window.startHoverRendering) {
+                    window.startHoverRendering();
+                }
+            } else {
+                if (hoverControlsGroup) hoverControlsGroup.style.display = 'none';
+                if (window.stopHoverRendering) {
+                    window.stopHoverRendering();
+                }
+                textData.mouseX = null;
+                textData.mouseY = null;
+                render(textData.isAnimating ? textData.animationTime : 0);
+            }
+        });
+    }
+
+    // Interaction mode buttons
+    const modeMouseBtn = document.getElementById('mode-mouse');
+    const modeAutoBtn = document.getElementById('mode-auto');
+    const autoModeControls = document.getElementById('auto-mode-controls');
+
+    if (modeMouseBtn && modeAutoBtn) {
+        modeMouseBtn.addEventListener('click', () => {
+            textData.interactionMode = 'mouse';
+            modeMouseBtn.classList.add('active');
+            modeAutoBtn.classList.remove('active');
+            if (autoModeControls) autoModeControls.style.display = 'none';
+            textData.mouseX = null;
+            textData.mouseY = null;
+        });
+
+        modeAutoBtn.addEventListener('click', () => {
+            textData.interactionMode = 'auto';
+            modeAutoBtn.classList.add('active');
+            modeMouseBtn.classList.remove('active');
+            if (autoModeControls) autoModeControls.style.display = 'block';
+            textData.autoTime = 0;
+            traceIndex = 0;
+        });
+    }
+
+    // Auto pattern
+    const autoPatternSelect = document.getElementById('auto-pattern');
+    if (autoPatternSelect) {
+        autoPatternSelect.addEventListener('change', (e) => {
+            textData.autoPattern = e.target.value;
+            traceIndex = 0;
+        });
+    }
+
+    // Auto speed
+    const autoSpeedInput = document.getElementById('auto-speed');
+    const autoSpeedValue = document.getElementById('auto-speed-value');
+    if (autoSpeedInput) {
+        autoSpeedInput.addEventListener('input', (e) => {
+            textData.autoSpeed = parseFloat(e.target.value);
+            if (autoSpeedValue) autoSpeedValue.textContent = textData.autoSpeed.toFixed(1);
+        });
+    }
+
+    // Auto size
+    const autoSizeInput = document.getElementById('auto-size');
+    const autoSizeValue = document.getElementById('auto-size-value');
+    if (autoSizeInput) {
+        autoSizeInput.addEventListener('input', (e) => {
+            textData.autoSize = parseInt(e.target.value);
+            if (autoSizeValue) autoSizeValue.textContent = textData.autoSize;
+        });
+    }
+
+    // Auto debug toggle
+    const autoDebugToggle = document.getElementById('auto-debug');
+    if (autoDebugToggle) {
+        autoDebugToggle.addEventListener('toggle-change', (e) => {
+            textData.autoDebug = e.detail.checked;
+        });
+    }
+
+    // Hover radius (shared across all effects)
+    const hoverRadiusInput = document.getElementById('hover-radius');
+    const hoverRadiusValue = document.getElementById('hover-radius-value');
+    if (hoverRadiusInput) {
+        hoverRadiusInput.addEventListener('input', (e) => {
+            textData.hoverRadius = parseInt(e.target.value);
+            textData.hoverEffects.radius = parseInt(e.target.value);
+            if (hoverRadiusValue) hoverRadiusValue.textContent = textData.hoverRadius;
+        });
+    }
+
+    // Hover intensity (magnification intensity) - now in percentage (1-700%)
+    const hoverIntensityInput = document.getElementById('hover-intensity');
+    const hoverIntensityValue = document.getElementById('hover-intensity-value');
+    if (hoverIntensityInput) {
+        hoverIntensityInput.addEventListener('input', (e) => {
+            const percentage = parseFloat(e.target.value);
+            const decimal = percentage / 100; // Convert 200% to 2.0
+            textData.hoverIntensity = decimal;
+            textData.hoverEffects.magnification.intensity = decimal;
+            if (hoverIntensityValue) hoverIntensityValue.textContent = percentage + '%';
+        });
+    }
+
+    // ===== STACKABLE HOVER EFFECTS =====
+
+    // Magnification toggle
+    const magnificationToggle = document.getElementById('hover-magnification-toggle');
+    const magnificationControls = document.getElementById('hover-magnification-controls');
+    if (magnificationToggle) {
+        magnificationToggle.addEventListener('toggle-change', (e) => {
+            textData.hoverEffects.magnification.enabled = e.detail.checked;
+            if (magnificationControls) {
+                magnificationControls.style.display = e.detail.checked ? 'block' : 'none';
+            }
+        });
+    }
+
+    // Rotation toggle
+    const rotationToggle = document.getElementById('hover-rotation-toggle');
+    const rotationControls = document.getElementById('hover-rotation-controls');
+    if (rotationToggle) {
+        rotationToggle.addEventListener('toggle-change', (e) => {
+            textData.hoverEffects.rotation.enabled = e.detail.checked;
+            if (rotationControls) {
+                rotationControls.style.display = e.detail.checked ? 'block' : 'none';
+            }
+        });
+    }
+
+    // Rotation mode buttons (continuous vs target vs lookAt)
+    const rotContinuousBtn = document.getElementById('hover-rot-continuous');
+    const rotTargetBtn = document.getElementById('hover-rot-target');
+    const rotLookAtBtn = document.getElementById('hover-rot-lookat');
+    const rotContinuousControls = document.getElementById('hover-rot-continuous-controls');
+    const rotTargetControls = document.getElementById('hover-rot-target-controls');
+    const rotLookAtControls = document.getElementById('hover-rot-lookat-controls');
+
+    if (rotContinuousBtn && rotTargetBtn) {
+        rotContinuousBtn.addEventListener('click', () => {
+            textData.hoverEffects.rotation.mode = 'continuous';
+            rotContinuousBtn.classList.add('active');
+            rotTargetBtn.classList.remove('active');
+            if (rotLookAtBtn) rotLookAtBtn.classList.remove('active');
+            if (rotContinuousControls) rotContinuousControls.style.display = 'block';
+            if (rotTargetControls) rotTargetControls.style.display = 'none';
+            if (rotLookAtControls) rotLookAtControls.style.display = 'none';
+        });
+
+        rotTargetBtn.addEventListener('click', () => {
+            textData.hoverEffects.rotation.mode = 'target';
+            rotTargetBtn.classList.add('active');
+            rotContinuousBtn.classList.remove('active');
+            if (rotLookAtBtn) rotLookAtBtn.classList.remove('active');
+            if (rotTargetControls) rotTargetControls.style.display = 'block';
+            if (rotContinuousControls) rotContinuousControls.style.display = 'none';
+            if (rotLookAtControls) rotLookAtControls.style.display = 'none';
+        });
+    }
+
+    if (rotLookAtBtn) {
+        rotLookAtBtn.addEventListener('click', () => {
+            textData.hoverEffects.rotation.mode = 'lookAt';
+            rotLookAtBtn.classList.add('active');
+            if (rotContinuousBtn) rotContinuousBtn.classList.remove('active');
+            if (rotTargetBtn) rotTargetBtn.classList.remove('active');
+            if (rotLookAtControls) rotLookAtControls.style.display = 'block';
+            if (rotContinuousControls) rotContinuousControls.style.display = 'none';
+            if (rotTargetControls) rotTargetControls.style.display = 'none';
+        });
+    }
+
+    // LookAt intensity slider
+    const lookAtIntensityInput = document.getElementById('hover-rot-lookat-intensity');
+    const lookAtIntensityValue = document.getElementById('hover-rot-lookat-intensity-value');
+    if (lookAtIntensityInput) {
+        lookAtIntensityInput.addEventListener('input', (e) => {
+            const percentage = parseInt(e.target.value);
+            textData.hoverEffects.rotation.lookAtIntensity = percentage / 100;
+            if (lookAtIntensityValue) lookAtIntensityValue.textContent = percentage + '%';
+        });
+    }
+
+    // LookAt smoothing slider
+    const lookAtSmoothingInput = document.getElementById('hover-rot-lookat-smoothing');
+    const lookAtSmoothingValue = document.getElementById('hover-rot-lookat-smoothing-value');
+    if (lookAtSmoothingInput) {
+        lookAtSmoothingInput.addEventListener('input', (e) => {
+            textData.hoverEffects.rotation.lookAtSmoothing = parseFloat(e.target.value);
+            if (lookAtSmoothingValue) lookAtSmoothingValue.textContent = parseFloat(e.target.value).toFixed(2);
+        });
+    }
+
+    // Rotation speed (continuous mode)
+    const rotSpeedInput = document.getElementById('hover-rot-speed');
+    const rotSpeedValue = document.getElementById('hover-rot-speed-value');
+    if (rotSpeedInput) {
+        rotSpeedInput.addEventListener('input', (e) => {
+            textData.hoverEffects.rotation.speed = parseFloat(e.target.value);
+            if (rotSpeedValue) rotSpeedValue.textContent = textData.hoverEffects.rotation.speed.toFixed(1);
+        });
+    }
+
+    // Rotation axis (continuous mode)
+    ['x', 'y', 'z'].forEach(axis => {
+        const input = document.getElementById(`hover-rot-axis-${axis}`);
+        const valueEl = document.getElementById(`hover-rot-axis-${axis}-value`);
+        if (input) {
+            input.addEventListener('input', (e) => {
+                textData.hoverEffects.rotation.axis[axis] = parseFloat(e.target.value);
+                if (valueEl) valueEl.textContent = parseFloat(e.target.value).toFixed(1);
+            });
+        }
+    });
+
+    // Target angles (target mode)
+    ['x', 'y', 'z'].forEach(axis => {
+        const input = document.getElementById(`hover-rot-target-${axis}`);
+        const valueEl = document.getElementById(`hover-rot-target-${axis}-value`);
+        if (input) {
+            input.addEventListener('input', (e) => {
+                textData.hoverEffects.rotation.targetAngle[axis] = parseInt(e.target.value);
+                if (valueEl) valueEl.textContent = e.target.value + '°';
+            });
+        }
+    });
+
+    // Gradient Crossfade toggle
+    const crossfadeToggle = document.getElementById('hover-crossfade-toggle');
+    const crossfadeControls = document.getElementById('hover-crossfade-controls');
+    const crossfadeSection = document.getElementById('hover-crossfade-section');
+
+    // Function to show/hide crossfade section based on material type
+    function updateCrossfadeVisibility() {
+        if (crossfadeSection) {
+            // Only show crossfade for gradient material type
+            crossfadeSection.style.display = textData.materialType === 'gradient' ? 'block' : 'none';
+        }
+    }
+
+    // Initial visibility update
+    updateCrossfadeVisibility();
+
+    // Listen for material type changes
+    document.addEventListener('chatooly:material-type-changed', updateCrossfadeVisibility);
+
+    if (crossfadeToggle) {
+        crossfadeToggle.addEventListener('toggle-change', (e) => {
+            textData.hoverEffects.materialCrossfade.enabled = e.detail.checked;
+            if (crossfadeControls) {
+                crossfadeControls.style.display = e.detail.checked ? 'block' : 'none';
+            }
+            // Rebuild to initialize lerp materials
+            if (e.detail.checked && textData.materialType === 'gradient') {
+                rebuildParticleSystem();
+            } else {
+                cleanupLerpMeshes();
+                cleanupLerpMaterials();
+                render();
+            }
+        });
+    }
+
+    // Hover gradient stops (matching the main gradient UI style)
+    const hoverGradientStopsContainer = document.getElementById('hover-gradient-stops-container');
+    const hoverGradientPreview = document.getElementById('hover-gradient-preview');
+
+    function updateHoverGradientFromStops() {
+        if (!hoverGradientStopsContainer) return;
+
+        const stops = [];
+        const stopElements = hoverGradientStopsContainer.querySelectorAll('.gradient-stop');
+
+        stopElements.forEach((stopEl, index) => {
+            const colorInput = stopEl.querySelector('.hover-gradient-stop-color');
+            const positionInput = stopEl.querySelector('.hover-gradient-stop-position');
+            if (colorInput && positionInput) {
+                stops.push({
+                    color: colorInput.value,
+                    position: parseInt(positionInput.value)
+                });
+            }
+        });
+
+        textData.hoverEffects.materialCrossfade.hoverGradient.stops = stops;
+
+        // Update hover gradient preview canvas
+        updateHoverGradientPreview();
+
+        // Rebuild lerp materials if crossfade is enabled
+        if (textData.hoverEffects.materialCrossfade.enabled && textData.materialType === 'gradient') {
+            initLerpMaterials();
+            initLerpMeshes();
+            render();
+        }
+    }
+
+    function updateHoverGradientPreview() {
+        if (!hoverGradientPreview) return;
+
+        const ctx = hoverGradientPreview.getContext('2d');
+        const width = hoverGradientPreview.width;
+        const height = hoverGradientPreview.height;
+        const centerX = width / 2;
+        const centerY = height / 2;
+        const radius = Math.min(width, height) / 2;
+
+        ctx.clearRect(0, 0, width, height);
+
+        const stops = textData.hoverEffects.materialCrossfade.hoverGradient.stops;
+        const gradient = ctx.createRadialGradient(centerX, centerY, 0, centerX, centerY, radius);
+
+        stops.forEach(stop => {
+            gradient.addColorStop(stop.position / 100, stop.color);
+        });
+
+        ctx.beginPath();
+        ctx.arc(centerX, centerY, radius, 0, Math.PI * 2);
+        ctx.fillStyle = gradient;
+        ctx.fill();
+    }
+
+    // Setup event listeners for hover gradient stops
+    if (hoverGradientStopsContainer) {
+        const stopElements = hoverGradientStopsContainer.querySelectorAll('.gradient-stop');
+        stopElements.forEach((stopEl) => {
+            const colorInput = stopEl.querySelector('.hover-gradient-stop-color');
+            const positionInput = stopEl.querySelector('.hover-gradient-stop-position');
+            const positionValue = stopEl.querySelector('.hover-gradient-stop-value');
+
+            if (colorInput) {
+                colorInput.addEventListener('input', updateHoverGradientFromStops);
+            }
+            if (positionInput) {
+                positionInput.addEventListener('input', (e) => {
+                    if (positionValue) positionValue.textContent = e.target.value + '%';
+                    updateHoverGradientFromStops();
+                });
+            }
+        });
+
+        // Initial preview render
+        updateHoverGradientPreview();
+    }
+
+    // Crossfade transition duration - now instant (0)
+    textData.hoverEffects.materialCrossfade.transitionDuration = 0;
+
+    // Mouse tracking for hover effect AND look at mouse animation
+    function needsMouseTracking() {
+        // Track mouse if hover effect is enabled (in mouse mode) OR if animation is lookAtMouse
+        const hoverEnabled = textData.hoverEffectEnabled || textData.hoverEffects.enabled;
+        return (hoverEnabled && textData.interactionMode === 'mouse') ||
+               textData.animationType === 'lookAtMouse';
+    }
+
+    function updateMousePosition(e) {
+        if (!needsMouseTracking()) return;
+
+        const coords = window.Chatooly ?
+            window.Chatooly.utils.mapMouseToCanvas(e, canvas) :
+            fallbackMouseMapping(e);
+
+        textData.mouseX = coords.x;
+        textData.mouseY = coords.y;
+    }
+
+    function fallbackMouseMapping(e) {
+        const rect = canvas.getBoundingClientRect();
+        const displayX = e.clientX - rect.left;
+        const displayY = e.clientY - rect.top;
+        const scaleX = canvas.width / rect.width;
+        const scaleY = canvas.height / rect.height;
+        return { x: displayX * scaleX, y: displayY * scaleY };
+    }
+
+    canvas.addEventListener('mousemove', updateMousePosition);
+
+    // Camera navigation: drag to orbit, right/shift-drag to pan, wheel to zoom
+    let cameraDrag = null;
+
+    canvas.addEventListener('mousedown', (e) => {
+        if (textData.camera.locked) return;
+        cameraDrag = {
+            mode: (e.button === 2 || e.shiftKey) ? 'pan' : 'orbit',
+            x: e.clientX,
+            y: e.clientY
+        };
+        e.preventDefault();
+    });
+
+    window.addEventListener('mousemove', (e) => {
+        if (!cameraDrag) return;
+
+        const dx = e.clientX - cameraDrag.x;
+        const dy = e.clientY - cameraDrag.y;
+        cameraDrag.x = e.clientX;
+        cameraDrag.y = e.clientY;
+
+        if (cameraDrag.mode === 'orbit') {
+            const azimuth = ((textData.camera.azimuth - dx * 0.3 + 540) % 360) - 180;
+            const elevation = Math.max(-89, Math.min(89, textData.camera.elevation + dy * 0.3));
+            applyCameraPose({ azimuth, elevation });
+        } else {
+            // Move the orbit target along the camera's screen axes (1 px = 1 px at the target)
+            const THREE = window.THREE;
+            const rect = canvas.getBoundingClientRect();
+            const unitsPerPixel = (canvas.height / rect.height) / textData.camera.zoom;
+            const right = new THREE.Vector3(1, 0, 0).applyQuaternion(camera.quaternion);
+            const up = new THREE.Vector3(0, 1, 0).applyQuaternion(camera.quaternion);
+            const move = right.multiplyScalar(-dx * unitsPerPixel).add(up.multiplyScalar(dy * unitsPerPixel));
+            applyCameraPose({
+                panX: textData.camera.panX + move.x / canvas.height,
+                panY: textData.camera.panY + move.y / canvas.height,
+                panZ: textData.camera.panZ + move.z / canvas.height
+            });
+        }
+    });
+
+    window.addEventListener('mouseup', () => {
+        cameraDrag = null;
+    });
+
+    canvas.addEventListener('contextmenu', (e) => {
+        if (!textData.camera.locked) e.preventDefault();
+    });
+
+    canvas.addEventListener('wheel', (e) => {
+        if (textData.camera.locked) return;
+        e.preventDefault();
+        const zoom = Math.max(0.1, Math.min(10, textData.camera.zoom * Math.exp(-e.deltaY * 0.001)));
+        applyCameraPose({ zoom });
+    }, { passive: false });
+    canvas.addEventListener('mouseleave', () => {
+        // Only clear mouse position if in mouse mode for hover effect
+        // (lookAtMouse should keep tracking even on leave for smooth behavior)
+        if (textData.interactionMode === 'mouse' && textData.animationType !== 'lookAtMouse') {
+            textData.mouseX = null;
+            textData.mouseY = null;
+            const hoverEnabled = textData.hoverEffectEnabled || textData.hoverEffects.enabled;
+            if (hoverEnabled && !textData.isAnimating) {
+                render();
+            }
+        }
+    });
+
+    // Hover rendering loop
+    let hoverLastTime = 0;
+    function startHoverRendering() {
+        stopHoverRendering();
+
+        const hoverEnabled = textData.hoverEffectEnabled || textData.hoverEffects.enabled;
+        if (hoverEnabled && !textData.isAnimating) {
+            hoverLastTime = performance.now();
+
+            function hoverRenderLoop() {
+                const hoverActive = textData.hoverEffectEnabled || textData.hoverEffects.enabled;
+                if (!hoverActive || textData.isAnimating) {
+                    hoverAnimationFrameId = null;
+                    return;
+                }
+
+                const now = performance.now();
+                const deltaTime = (now - hoverLastTime) / 1000;
+                hoverLastTime = now;
+
+                if (textData.interactionMode === 'auto') {
+                    textData.autoTime += 16;
+                    const autoPos = getAutoPosition(textData.autoTime, textData.autoPattern);
+                    textData.mouseX = autoPos.x;
+                    textData.mouseY = autoPos.y;
+                }
+
+                render(0, deltaTime);
+                hoverAnimationFrameId = requestAnimationFrame(hoverRenderLoop);
+            }
+            hoverAnimationFrameId = requestAnimationFrame(hoverRenderLoop);
+        }
+    }
+
+    function stopHoverRendering() {
+        if (hoverAnimationFrameId) {
+            cancelAnimationFrame(hoverAnimationFrameId);
+            hoverAnimationFrameId = null;
+        }
+    }
+
+    window.startHoverRendering = startHoverRendering;
+    window.stopHoverRendering = stopHoverRendering;
+
+    // Canvas resize handling
+    document.addEventListener('chatooly:canvas-resized', (e) => {
+        if (textData.text && textData.text.trim()) {
+            const newWidth = e.detail.canvas.width;
+            const newHeight = e.detail.canvas.height;
+
+            // Update renderer and camera
+            if (renderer) {
+                renderer.setSize(newWidth, newHeight);
+            }
+
+            if (camera) {
+                updateCamera(newWidth, newHeight);
+            }
+
+            textData.previousCanvasSize = { width: newWidth, height: newHeight };
+            rebuildParticleSystem();
+        }
+    });
+
+    textData.previousCanvasSize = { width: canvas.width, height: canvas.height };
+
+    // Clear canvas button
+    const clearCanvasBtn = document.getElementById('clear-canvas-btn');
+    if (clearCanvasBtn) {
+        clearCanvasBtn.addEventListener('click', () => {
+            clearCanvas();
+        });
+    }
+}
+
+// ========== HIGH-RESOLUTION EXPORT ==========
+/**
+ * Prepare to draw the current frame at width x height, one GPU-sized tile at a time
+ * Nothing is rebuilt or updated: each tile renders a sub-rectangle of the camera frustum (setViewOffset),
+ * so hover rotations, lerp meshes and animation state are exactly what is on the canvas.
+ * The on-screen frame is fitted inside the output and centred; extra space shows the background.
+ * The background is painted in 2D at full resolution and the tiles render over it with a clear background
+ * @returns {{tileSize, tileCount, drawBand(ctx, y, targetY, onTile), restore()}}
+ *   drawBand renders output rows y..y+tileSize into ctx at targetY and returns the row count
+ */
+function beginTiledRender(width, height) {
+    const THREE = window.THREE;
+    const TILE_SIZE = 2048;
+
+    const gl = renderer.getContext();
+    const viewportLimits = gl.getParameter(gl.MAX_VIEWPORT_DIMS);
+    const tileSize = Math.min(TILE_SIZE, gl.getParameter(gl.MAX_RENDERBUFFER_SIZE), viewportLimits[0], viewportLimits[1]);
+    const tileCount = Math.ceil(width / tileSize) * Math.ceil(height / tileSize);
+
+    const canvas = renderer.domElement;
+    const origWidth = canvas.width;
+    const origHeight = canvas.height;
+
+    // The on-screen frame scaled to fit inside the output (contain)
+    const fit = Math.min(width / origWidth, height / origHeight);
+    const frameWidth = origWidth * fit;
+    const frameHeight = origHeight * fit;
+    const frameX = (width - frameWidth) / 2;
+    const frameY = (height - frameHeight) / 2;
+
+    const bg = window.Chatooly && Chatooly.backgroundManager ? Chatooly.backgroundManager.getBackgroundState() : null;
+    const bgImage = bg && !bg.bgTransparent && bg.bgImage ? backgroundImage : null;
+    const bgDims = bgImage ? Chatooly.backgroundManager.calculateImageDimensions(width, height) : null;
+
+    const savedBackground = scene.background;
+    const savedClearColor = renderer.getClearColor(new THREE.Color());
+    const savedClearAlpha = renderer.getClearAlpha();
+    scene.background = null;
+    renderer.setClearColor(0x000000, 0);
+
+    const paintBackground = (ctx, y, targetY, rows) => {
+        ctx.clearRect(0, targetY, width, rows);
+        if (bg && bg.bgTransparent) return;
+
+        ctx.fillStyle = bg ? bg.bgColor : '#ffffff';
+        ctx.fillRect(0, targetY, width, rows);
+        if (bgImage) {
+            ctx.save();
+            ctx.beginPath();
+            ctx.rect(0, targetY, width, rows);
+            ctx.clip();
+            ctx.drawImage(bgImage, bgDims.offsetX, bgDims.offsetY - y + targetY, bgDims.drawWidth, bgDims.drawHeight);
+            ctx.restore();
+        }
+    };
+
+    const drawBand = (ctx, y, targetY, onTile = null) => {
+        const rows = Math.min(tileSize, height - y);
+        paintBackground(ctx, y, targetY, rows);
+
+        for (let x = 0; x < width; x += tileSize) {
+            const cols = Math.min(tileSize, width - x);
+            renderer.setSize(cols, rows, false);
+            camera.setViewOffset(frameWidth, frameHeight, x - frameX, y - frameY, cols, rows);
+            renderer.render(scene, camera);
+            ctx.drawImage(canvas, 0, 0, cols, rows, x, targetY, cols, rows);
+            if (onTile) onTile();
+        }
+
+        return rows;
+    };
+
+    const restore = () => {
+        camera.clearViewOffset();
+        renderer.setSize(origWidth, origHeight, false);
+        scene.background = savedBackground;
+        renderer.setClearColor(savedClearColor, savedClearAlpha);
+        renderer.render(scene, camera);
+    };
+
+    return { tileSize, tileCount, drawBand, restore };
+}
+
+/**
+ * Draw the current frame into a 2D canvas at any size, synchronously
+ * The WebGL canvas keeps its on-screen size outside this call, so hover and layout maths are unaffected
+ */
+function drawTiledFrame(targetCanvas, width, height) {
+    if (targetCanvas.width !== width) targetCanvas.width = width;
+    if (targetCanvas.height !== height) targetCanvas.height = height;
+
+    const ctx = targetCanvas.getContext('2d');
+    const tiles = beginTiledRender(width, height);
+    try {
+        for (let y = 0; y < height; y += tiles.tileSize) {
+            tiles.drawBand(ctx, y, y);
+        }
+    } finally {
+        tiles.restore();
+    }
+}
+
+window.renderHighResolution = function(targetCanvas, scale) {
+    if (!textData.text || !textData.text.trim() || !renderer) {
+        console.warn('No text to export or renderer not ready');
+        return;
+    }
+
+    const canvas = renderer.domElement;
+    drawTiledFrame(targetCanvas,
+        Math.max(1, Math.round(canvas.width * scale)),
+        Math.max(1, Math.round(canvas.height * scale)));
+
+    console.log(`High-res export completed at ${scale}x resolution`);
+};
+
+// ========== TILED EXPORT ==========
+// Portrait width x height in millimetres
+const PRINT_PAPER_SIZES = {
+    A0: [841, 1189],
+    A1: [594, 841],
+    A2: [420, 594],
+    A3: [297, 420],
+    A4: [210, 297],
+    A5: [148, 210],
+    Letter: [215.9, 279.4],
+    Tabloid: [279.4, 431.8]
+};
+
+/**
+ * Output size for the large export from the print or pixel settings
+ * @returns {{width, height, dpi}} dpi is 0 in pixel mode (no physical size)
+ */
+function getTiledExportSize() {
+    if (textData.tiledSizeMode === 'pixels') {
+        return {
+            width: Math.max(1, Math.round(textData.tiledWidth)),
+            height: Math.max(1, Math.round(textData.tiledHeight)),
+            dpi: 0
+        };
+    }
+
+    const [shortSide, longSide] = PRINT_PAPER_SIZES[textData.tiledPaper] || PRINT_PAPER_SIZES.A4;
+    const landscape = textData.tiledOrientation === 'landscape';
+    const toPixels = mm => Math.round(mm / 25.4 * textData.tiledDpi);
+
+    return {
+        width: toPixels(landscape ? longSide : shortSide),
+        height: toPixels(landscape ? shortSide : longSide),
+        dpi: textData.tiledDpi
+    };
+}
+
+/**
+ * Render the current frame at any pixel size, beyond the GPU's render buffer limit
+ * Same tiles as renderHighResolution, with a pause between bands for progress and stopping
+ * @param {Object} options - {width, height, dpi, output, onProgress}
+ *   output: 'png' streams rows into a PNG Blob (any size), 'canvas' stitches one canvas (browser limits apply)
+ *   onProgress: (tile, tileCount) => void
+ * @returns {Promise<Blob|HTMLCanvasElement|null>} null when stopped with stopAnimationCapture()
+ */
+async function renderTiled(options = {}) {
+    const { dpi = 0, output = 'png', onProgress = null } = options;
+    const MAX_CANVAS_SIDE = 32767;
+    const MAX_CANVAS_AREA = 268435456;
+
+    if (isCapturingAnimation) throw new Error('An export is already running');
+    if (!renderer || !instancedMesh) throw new Error('Nothing to export');
+
+    const width = Math.round(options.width);
+    const height = Math.round(options.height);
+    if (!(width >= 1 && height >= 1)) throw new Error('Invalid export size');
+    if (output === 'canvas' && (width > MAX_CANVAS_SIDE || height > MAX_CANVAS_SIDE || width * height > MAX_CANVAS_AREA)) {
+        throw new Error(`${width} × ${height} is larger than a browser canvas allows, export as PNG instead`);
+    }
+    if (output === 'png' && !window.PNGStreamWriter) throw new Error('PNG writer not available');
+
+    pauseLiveLoops();
+    const tiles = beginTiledRender(width, height);
+    let tile = 0;
+    const onTile = () => {
+        tile++;
+        if (onProgress) onProgress(tile, tiles.tileCount);
+    };
+
+    try {
+        // PNG output reuses one band-sized canvas; canvas output draws straight into the result
+        const writer = output === 'png' ? new PNGStreamWriter(width, height, { dpi }) : null;
+        const target = document.createElement('canvas');
+        target.width = width;
+        target.height = writer ? Math.min(tiles.tileSize, height) : height;
+        const ctx = target.getContext('2d', { willReadFrequently: !!writer });
+
+        for (let y = 0; y < height; y += tiles.tileSize) {
+            const rows = tiles.drawBand(ctx, y, writer ? 0 : y, onTile);
+            if (writer) writer.addRows(ctx.getImageData(0, 0, width, rows).data, rows);
+
+            // Let the page repaint the progress and take a stop request
+            await new Promise(resolve => setTimeout(resolve, 0));
+            if (captureStopRequested) return null;
+        }
+
+        return writer ? writer.finish() : target;
+    } finally {
+        tiles.restore();
+        resumeLiveLoops();
+    }
+}
+
+function exportLargePNG(options = {}) {
+    const { onStatus = null } = options;
+    const { width, height, dpi } = getTiledExportSize();
+
+    return renderTiled({
+        width,
+        height,
+        dpi,
+        output: 'png',
+        onProgress: (tile, tileCount) => {
+            if (onStatus) onStatus(`Tile ${tile} / ${tileCount} (${width} × ${height} px)`);
+        }
+    });
+}
+
+window.renderTiled = renderTiled;
+
+// ========== ANIMATION CAPTURE ==========
+/**
+ * Advance every running animation by a fixed timestep and render one frame
+ * Mirrors the live loops (animate, shape, hover auto, build, morph) without wall-clock time
+ */
+function stepAnimationFrame(delta) {
+    if (textData.isAnimating) {
+        textData.animationTime += delta * textData.animationSpeed;
+    }
+
+    const hoverEnabled = textData.hoverEffectEnabled || textData.hoverEffects.enabled;
+    if (hoverEnabled && textData.interactionMode === 'auto') {
+        textData.autoTime += delta * 1000;
+        const autoPos = getAutoPosition(textData.autoTime, textData.autoPattern);
+        textData.mouseX = autoPos.x;
+        textData.mouseY = autoPos.y;
+    }
+
+    if (textData.animationType !== 'none') {
+        stepShapeAnimation(delta);
+    }
+
+    const buildFinished = buildAnimation ? stepBuildAnimation(delta) : false;
+    const morphFinished = morphAnimation ? stepMorphAnimation(delta) : false;
+
+    render(textData.isAnimating ? textData.animationTime : 0, delta);
+
+    if (buildFinished) finishBuildAnimation();
+    if (morphFinished) stopMorphAnimation();
+}
+
+/**
+ * Stop every wall-clock loop so an export owns the renderer
+ * Also marks an export as running (one at a time) and clears any stop request
+ */
+function pauseLiveLoops() {
+    isCapturingAnimation = true;
+    captureStopRequested = false;
+    if (animationFrameId) {
+        cancelAnimationFrame(animationFrameId);
+        animationFrameId = null;
+    }
+    if (window.stopHoverRendering) window.stopHoverRendering();
+    stopShapeAnimation();
+    stopPlaylist();
+    if (buildAnimationFrameId) {
+        cancelAnimationFrame(buildAnimationFrameId);
+        buildAnimationFrameId = null;
+    }
+    if (morphAnimationFrameId) {
+        cancelAnimationFrame(morphAnimationFrameId);
+        morphAnimationFrameId = null;
+    }
+}
+
+function resumeLiveLoops() {
+    isCapturingAnimation = false;
+    if (textData.isAnimating) {
+        if (clock) clock.getDelta();
+        animate();
+    } else if (window.startHoverRendering) {
+        window.startHoverRendering();
+    }
+    startShapeAnimation();
+    if (buildAnimation) {
+        buildAnimation.lastTime = performance.now();
+        buildAnimationFrameId = requestAnimationFrame(buildAnimationLoop);
+    }
+    if (morphAnimation) {
+        morphAnimation.lastTime = performance.now();
+        morphAnimationFrameId = requestAnimationFrame(morphAnimationLoop);
+    }
+    if (textData.playlistEnabled) {
+        startPlaylist();
+    }
+}
+
+/**
+ * Render an animation frame by frame with a fixed 1/fps timestep (deterministic, nothing dropped)
+ * Live loops are paused for the duration and resumed afterwards
+ * @param {Object} options - {duration, fps, scale, playIntro, startTime, onStart, onFrame, onProgress}
+ *   startTime: seconds stepped through (not captured) before the first frame
+ *   onStart(canvas): called once at the export size, before the first frame
+ *   onFrame(canvas, frameIndex): called after each frame is rendered, may return a promise
+ * @returns {Promise<number>} Number of frames captured (fewer when stopped early)
+ */
+async function captureAnimation(options = {}) {
+    const {
+        duration = textData.exportDuration,
+        fps = textData.exportFps,
+        scale = textData.exportScale,
+        playIntro = textData.exportPlayIntro,
+        startTime = 0,
+        onStart = null,
+        onFrame = null,
+        onProgress = null
+    } = options;
+
+    if (isCapturingAnimation) throw new Error('An export is already running');
+    if (!renderer || !instancedMesh) throw new Error('Nothing to export');
+
+    const frameCount = Math.max(1, Math.round(duration * fps));
+    const skipCount = Math.max(0, Math.round(startTime * fps));
+    const delta = 1 / fps;
+
+    // Pause the wall-clock loops; frames are stepped manually below
+    pauseLiveLoops();
+
+    // Start from a known state so the same settings always give the same frames
+    const savedMotion = saveParticleMotion();
+    resetParticleMotion();
+
+    // Scaled frames are drawn in tiles into a 2D canvas; the scene itself stays at canvas size
+    const source = renderer.domElement;
+    const canvas = scale === 1 ? source : document.createElement('canvas');
+    const frameWidth = Math.max(1, Math.round(source.width * scale));
+    const frameHeight = Math.max(1, Math.round(source.height * scale));
+    const drawScaledFrame = () => {
+        if (canvas !== source) drawTiledFrame(canvas, frameWidth, frameHeight);
+    };
+
+    try {
+        if (playIntro) playBuildAnimation('in');
+        render(textData.isAnimating ? textData.animationTime : 0, delta);
+        drawScaledFrame();
+
+        if (onStart) await onStart(canvas);
+
+        let playlistElapsed = 0;
+        let captured = 0;
+
+        for (let step = 0; step < skipCount + frameCount; step++) {
+            if (captureStopRequested) break;
+
+            if (step > 0) {
+                // Playlist entries switch on the capture clock, not the page timer
+                if (textData.playlistEnabled) {
+                    playlistElapsed += delta;
+                    if (playlistElapsed >= textData.playlistInterval) {
+                        playlistElapsed -= textData.playlistInterval;
+                        showNextPlaylistEntry();
+                    }
+                }
+                stepAnimationFrame(delta);
+            }
+
+            const frame = step - skipCount;
+            if (frame < 0) continue;
+
+            if (step > 0) drawScaledFrame();
+            if (onFrame) await onFrame(canvas, frame);
+            captured++;
+            if (onProgress) onProgress(frame + 1, frameCount);
+        }
+
+        return captured;
+    } finally {
+        restoreParticleMotion(savedMotion);
+        resumeLiveLoops();
+    }
+}
+
+/**
+ * Motion the live loops accumulate: clocks, playlist position and per-particle spin,
+ * hover rotation and look-at lag. Captures reset it (without re-sampling) and put it back after
+ */
+function saveParticleMotion() {
+    return {
+        animationTime: textData.animationTime,
+        autoTime: textData.autoTime,
+        playlistIndex,
+        rotations: particleRotations,
+        copies: particleRotations.map(rot => ({ ...rot }))
+    };
+}
+
+function resetParticleMotion() {
+    textData.animationTime = 0;
+    textData.autoTime = 0;
+    playlistIndex = 0;
+
+    particleRotations.forEach(rot => {
+        rot.x = rot.baseX || 0;
+        rot.y = rot.baseY || 0;
+        rot.z = rot.baseZ || 0;
+        rot.spinOffsetX = rot.spinOffsetY = rot.spinOffsetZ = 0;
+        rot.hoverRotX = rot.hoverRotY = rot.hoverRotZ = 0;
+    });
+    resetTumbleVelocities();
+}
+
+function restoreParticleMotion(saved) {
+    textData.animationTime = saved.animationTime;
+    textData.autoTime = saved.autoTime;
+    playlistIndex = saved.playlistIndex;
+
+    // A rebuild during the capture (playlist) replaced the particles; they keep their fresh state
+    if (particleRotations === saved.rotations) {
+        particleRotations.forEach((rot, i) => Object.assign(rot, saved.copies[i]));
+    }
+}
+
+function stopAnimationCapture() {
+    captureStopRequested = true;
+}
+
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function canvasToPNG(canvas) {
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => {
+            if (!blob) {
+                reject(new Error('Could not encode PNG'));
+                return;
+            }
+            blob.arrayBuffer().then(buffer => resolve(new Uint8Array(buffer)), reject);
+        }, 'image/png');
+    });
+}
+
+/**
+ * ZIP written as files arrive (fflate's streaming Zip), so long exports never hold
+ * every file plus a second full copy of the archive
+ * Finished parts are kept as Blobs, which the browser can page out of memory
+ * @returns {{addFile: function(string, Uint8Array, number=): void, finish: function(): Blob}}
+ *   addFile level: 0 stores the data as is (already compressed PNGs), 1-9 deflates it
+ */
+function createZipStream() {
+    const parts = [];
+    let zipError = null;
+
+    const zip = new fflate.Zip((error, data) => {
+        if (error) zipError = error;
+        else if (data.length > 0) parts.push(new Blob([data]));
+    });
+
+    return {
+        addFile(path, data, level = 0) {
+            if (zipError) throw zipError;
+            const entry = level > 0 ? new fflate.ZipDeflate(path, { level }) : new fflate.ZipPassThrough(path);
+            zip.add(entry);
+            entry.push(data, true);
+        },
+        finish() {
+            zip.end();
+            if (zipError) throw zipError;
+            return new Blob(parts, { type: 'application/zip' });
+        }
+    };
+}
+
+// ========== VIDEO EXPORT ==========
+const VIDEO_FORMATS = {
+    'webm-vp9': { mimeType: 'video/webm;codecs=vp9', extension: 'webm' },
+    'webm-vp8': { mimeType: 'video/webm;codecs=vp8', extension: 'webm' },
+    'mp4': { mimeType: 'video/mp4;codecs=avc1', extension: 'mp4' }
+};
+
+function isVideoFormatSupported(format) {
+    const entry = VIDEO_FORMATS[format];
+    return !!(entry && window.MediaRecorder && MediaRecorder.isTypeSupported(entry.mimeType));
+}
+
+/**
+ * Record the animation to a video file
+ * Each fixed-timestep frame is handed to MediaRecorder explicitly; a transparent
+ * background keeps its alpha in WebM
+ * @param {Object} options - {duration, fps, scale, format, playIntro, onProgress}
+ * @returns {Promise<Blob>} The encoded video
+ */
+async function recordVideo(options = {}) {
+    const { fps = textData.exportFps, format = textData.videoFormat } = options;
+
+    if (!isVideoFormatSupported(format)) throw new Error(`${format} recording is not supported in this browser`);
+
+    let recorder = null;
+    let track = null;
+    let stopped = null;
+    let startTime = 0;
+    const chunks = [];
+
+    await captureAnimation({
+        ...options,
+        fps,
+        onStart: (canvas) => {
+            const stream = canvas.captureStream(0);
+            track = stream.getVideoTracks()[0];
+            recorder = new MediaRecorder(stream, {
+                mimeType: VIDEO_FORMATS[format].mimeType,
+                videoBitsPerSecond: Math.round(canvas.width * canvas.height * fps * 0.2)
+            });
+            recorder.ondataavailable = (e) => {
+                if (e.data && e.data.size > 0) chunks.push(e.data);
+            };
+            stopped = new Promise(resolve => {
+                recorder.onstop = resolve;
+            });
+            recorder.start();
+            startTime = performance.now();
+        },
+        onFrame: async (canvas, frame) => {
+            track.requestFrame();
+
+            // Hold each frame for its duration so the recorder's timestamps match the timestep
+            const wait = startTime + ((frame + 1) * 1000) / fps - performance.now();
+            await new Promise(resolve => setTimeout(resolve, Math.max(0, wait)));
+        }
+    });
+
+    recorder.stop();
+    await stopped;
+    track.stop();
+
+    return new Blob(chunks, { type: VIDEO_FORMATS[format].mimeType.split(';')[0] });
+}
+
+// ========== PNG SEQUENCE EXPORT ==========
+const SPRITE_SHEET_MAX_SIZE = 8192;
+
+/**
+ * Export the animation as numbered PNGs (with alpha) in a ZIP
+ * Optionally adds spritesheet.png plus a JSON frame manifest (TexturePacker hash format)
+ * @param {Object} options - {duration, fps, scale, playIntro, spriteSheet, onProgress}
+ * @returns {Promise<Blob>} The ZIP file
+ */
+async function exportPNGSequence(options = {}) {
+    const { fps = textData.exportFps, spriteSheet = textData.exportSpriteSheet } = options;
+
+    if (!window.fflate) throw new Error('ZIP library not available');
+
+    const zip = createZipStream();
+    const frameNames = [];
+    let sheet = null;
+
+    const frameCount = await captureAnimation({
+        ...options,
+        fps,
+        onStart: (canvas) => {
+            if (!spriteSheet) return;
+
+            const total = Math.max(1, Math.round((options.duration || textData.exportDuration) * fps));
+            const columns = Math.ceil(Math.sqrt(total));
+            const rows = Math.ceil(total / columns);
+            // Shrink frames so the atlas stays within texture limits
+            const fit = Math.min(1, SPRITE_SHEET_MAX_SIZE / (columns * canvas.width), SPRITE_SHEET_MAX_SIZE / (rows * canvas.height));
+            const width = Math.max(1, Math.floor(canvas.width * fit));
+            const height = Math.max(1, Math.floor(canvas.height * fit));
+
+            const atlas = document.createElement('canvas');
+            atlas.width = columns * width;
+            atlas.height = rows * height;
+            sheet = { atlas, ctx: atlas.getContext('2d'), columns, width, height, frames: {} };
+        },
+        onFrame: async (canvas, frame) => {
+            const name = `frame_${String(frame).padStart(4, '0')}.png`;
+            frameNames.push(name);
+            zip.addFile(`frames/${name}`, await canvasToPNG(canvas));
+
+            if (sheet) {
+                const x = (frame % sheet.columns) * sheet.width;
+                const y = Math.floor(frame / sheet.columns) * sheet.height;
+                sheet.ctx.drawImage(canvas, x, y, sheet.width, sheet.height);
+                sheet.frames[name] = {
+                    frame: { x, y, w: sheet.width, h: sheet.height },
+                    rotated: false,
+                    trimmed: false,
+                    spriteSourceSize: { x: 0, y: 0, w: sheet.width, h: sheet.height },
+                    sourceSize: { w: sheet.width, h: sheet.height },
+                    duration: 1000 / fps
+                };
+            }
+        },
+        onProgress: options.onProgress
+    });
+
+    if (sheet) {
+        zip.addFile('spritesheet.png', await canvasToPNG(sheet.atlas));
+        zip.addFile('spritesheet.json', fflate.strToU8(JSON.stringify({
+            frames: sheet.frames,
+            animations: { default: frameNames },
+            meta: {
+                app: '3D Type Shaper',
+                image: 'spritesheet.png',
+                format: 'RGBA8888',
+                size: { w: sheet.atlas.width, h: sheet.atlas.height },
+                scale: 1,
+                fps,
+                frameCount
+            }
+        }, null, 2)), 6);
+    }
+
+    return zip.finish();
+}
+
+// ========== GIF EXPORT ==========
+/**
+ * Length of one seamless loop of the current motion in seconds, or null when it never repeats
+ * Rotation repeats when every axis has turned a whole number of times; the sine, infinity
+ * and circle auto patterns repeat every 2*PI of their phase
+ */
+function getLoopPeriod() {
+    const periods = [];
+
+    if (textData.animationType === 'rotate') {
+        ['x', 'y', 'z'].forEach(axis => {
+            const rate = Math.abs(textData.rotationAxis[axis] * textData.rotateSpeed);
+            if (rate > 1e-6) periods.push((Math.PI * 2) / rate);
+        });
+    }
+
+    const hoverEnabled = textData.hoverEffectEnabled || textData.hoverEffects.enabled;
+    if (hoverEnabled && textData.interactionMode === 'auto' &&
+        ['sine', 'infinity', 'circle'].includes(textData.autoPattern) && textData.autoSpeed > 0) {
+        // getAutoPosition phase: autoTime (ms) * autoSpeed * 0.0003
+        periods.push((Math.PI * 2) / (textData.autoSpeed * 0.3));
+    }
+
+    if (periods.length === 0) return null;
+
+    // Smallest common multiple of the periods (within 1%), searched over multiples of the longest
+    const longest = Math.max(...periods);
+    for (let multiple = 1; multiple <= 12; multiple++) {
+        const candidate = longest * multiple;
+        const fits = periods.every(period => {
+            const turns = candidate / period;
+            return Math.abs(turns - Math.round(turns)) < 0.01 * turns;
+        });
+        if (fits) return candidate;
+    }
+    return longest;
+}
+
+function isBackgroundTransparent() {
+    return !!(window.Chatooly && Chatooly.backgroundManager &&
+              Chatooly.backgroundManager.getBackgroundState().bgTransparent);
+}
+
+/**
+ * Export the trimmed (or seamless) animation as an animated GIF
+ * @param {Object} options - {fps, scale, palette, dither, loopCount, trimStart, trimEnd, seamless, onProgress, onStatus}
+ * @returns {Promise<Blob>} The GIF file
+ */
+async function exportGIF(options = {}) {
+    const {
+        fps = textData.gifFps,
+        scale = textData.gifScale,
+        palette = textData.gifPalette,
+        dither = textData.gifDither,
+        loopCount = textData.gifLoopCount,
+        trimStart = textData.gifTrimStart,
+        trimEnd = textData.gifTrimEnd,
+        seamless = textData.gifSeamless,
+        onProgress = null,
+        onStatus = null
+    } = options;
+
+    if (!window.GIFEncoder) throw new Error('GIF encoder not available');
+
+    let duration = trimEnd - trimStart;
+    let frameRate = fps;
+    if (seamless) {
+        const period = getLoopPeriod();
+        if (!period) throw new Error('Seamless looping needs Rotate or a repeating auto pattern');
+        // Whole number of frames per loop, so the frame after the last is the first again
+        const frameCount = Math.max(2, Math.round(period * fps));
+        duration = period;
+        frameRate = frameCount / period;
+    }
+    if (duration <= 0) throw new Error('Trim end must be after trim start');
+
+    const frames = [];
+    let width = 0;
+    let height = 0;
+    let ctx = null;
+
+    await captureAnimation({
+        duration,
+        fps: frameRate,
+        scale,
+        startTime: trimStart,
+        playIntro: options.playIntro,
+        onStart: (canvas) => {
+            width = canvas.width;
+            height = canvas.height;
+            const frameCanvas = document.createElement('canvas');
+            frameCanvas.width = width;
+            frameCanvas.height = height;
+            ctx = frameCanvas.getContext('2d', { willReadFrequently: true });
+        },
+        onFrame: (canvas) => {
+            ctx.clearRect(0, 0, width, height);
+            ctx.drawImage(canvas, 0, 0);
+            frames.push(ctx.getImageData(0, 0, width, height).data);
+        },
+        onProgress
+    });
+
+    if (onStatus) onStatus('Encoding GIF...');
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    // Accumulate rounding so the average frame rate matches
+    const delays = frames.map((frame, i) => Math.round(((i + 1) * 100) / frameRate) - Math.round((i * 100) / frameRate));
+    const bytes = GIFEncoder.encode(frames, width, height, {
+        delays,
+        palette,
+        dither,
+        loopCount,
+        transparent: isBackgroundTransparent()
+    });
+
+    return new Blob([bytes], { type: 'image/gif' });
+}
+
+// ========== 3D (glTF) EXPORT ==========
+const GLTF_UNIT_SCALE = 0.01;  // Canvas pixels to glTF metres (100 px = 1 m)
+
+/**
+ * glTF has no matcap: show the matcap texture unlit through normal-based UVs,
+ * which matches the look from the front camera
+ */
+function createExportMaterial(material, geometry) {
+    const THREE = window.THREE;
+
+    if (material.isMeshMatcapMaterial && material.matcap) {
+        const exportGeometry = geometry.clone();
+        if (!exportGeometry.getAttribute('normal')) exportGeometry.computeVertexNormals();
+
+        const normal = exportGeometry.getAttribute('normal');
+        const uvs = new Float32Array(normal.count * 2);
+        for (let i = 0; i < normal.count; i++) {
+            uvs[i * 2] = normal.getX(i) * 0.495 + 0.5;
+            uvs[i * 2 + 1] = normal.getY(i) * 0.495 + 0.5;
+        }
+        exportGeometry.setAttribute('uv', new THREE.BufferAttribute(uvs, 2));
+
+        const exportMaterial = new THREE.MeshBasicMaterial({
+            map: material.matcap,
+            color: material.color.clone(),
+            side: material.side
+        });
+        exportMaterial.name = textData.materialType === 'gradient' ? 'GradientMatcap' : 'Matcap';
+        exportMaterial.userData = { matcap: true, materialType: textData.materialType };
+        return { geometry: exportGeometry, material: exportMaterial };
+    }
+
+    const exportMaterial = material.clone();
+    exportMaterial.name = 'TypeShaper';
+    exportMaterial.userData = { materialType: textData.materialType };
+    return { geometry, material: exportMaterial };
+}
+
+// One mesh with every instance baked in, instance colours as vertex colours
+function createMergedExportMesh(geometry, material, count) {
+    const THREE = window.THREE;
+    if (!window.BufferGeometryUtils) throw new Error('Geometry utilities not available');
+
+    const source = geometry.index ? geometry.toNonIndexed() : geometry;
+    const matrix = new THREE.Matrix4();
+    const color = new THREE.Color(1, 1, 1);
+    const parts = [];
+
+    for (let i = 0; i < count; i++) {
+        instancedMesh.getMatrixAt(i, matrix);
+        // Hidden instances (morph ghosts, zero hover scale) have no volume
+        if (Math.abs(matrix.determinant()) < 1e-12) continue;
+
+        const part = source.clone();
+        part.applyMatrix4(matrix);
+        if (instancedMesh.instanceColor) instancedMesh.getColorAt(i, color);
+
+        const vertexCount = part.getAttribute('position').count;
+        const colors = new Float32Array(vertexCount * 3);
+        for (let v = 0; v < vertexCount; v++) {
+            colors[v * 3] = color.r;
+            colors[v * 3 + 1] = color.g;
+            colors[v * 3 + 2] = color.b;
+        }
+        part.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+        parts.push(part);
+    }
+
+    if (parts.length === 0) throw new Error('Nothing to export');
+
+    const merged = BufferGeometryUtils.mergeGeometries(parts, false);
+    if (!merged) throw new Error('Could not merge instance geometry');
+    material.vertexColors = true;
+
+    return new THREE.Mesh(merged, material);
+}
+
+/**
+ * Export the instanced scene as glTF
+ * 'instanced' keeps one shape plus per-instance TRANSLATION/ROTATION/SCALE/_COLOR_0
+ * (EXT_mesh_gpu_instancing); 'merged' bakes every instance into one mesh for tools
+ * without the extension. Matcap/gradient textures are embedded
+ * @param {Object} options - {format: 'glb'|'gltf', mode: 'instanced'|'merged'}
+ * @returns {Promise<Blob>}
+ */
+async function exportGLTF(options = {}) {
+    const { format = textData.gltfFormat, mode = textData.gltfMode } = options;
+    const THREE = window.THREE;
+    const ExporterClass = window.GLTFExporter;
+
+    if (!ExporterClass) throw new Error('GLTFExporter not available');
+    if (!instancedMesh || !currentGeometry || !currentMaterial) throw new Error('Nothing to export');
+
+    // Make sure the matrices match what is on screen (lerp meshes may have been drawn instead)
+    updateInstancedMesh(textData.isAnimating ? textData.animationTime : 0);
+
+    const count = instancedMesh.count;
+    const { geometry, material } = createExportMaterial(currentMaterial, currentGeometry);
+    let mesh;
+
+    if (mode === 'merged') {
+        mesh = createMergedExportMesh(geometry, material, count);
+    } else {
+        mesh = new THREE.InstancedMesh(geometry, material, count);
+        mesh.instanceMatrix.array.set(instancedMesh.instanceMatrix.array.subarray(0, count * 16));
+        if (instancedMesh.instanceColor) {
+            mesh.instanceColor = new THREE.InstancedBufferAttribute(
+                instancedMesh.instanceColor.array.slice(0, count * 3), 3
+            );
+        }
+    }
+    mesh.name = 'TypeShaper';
+
+    const root = new THREE.Group();
+    root.name = 'TypeShaper';
+    root.scale.setScalar(GLTF_UNIT_SCALE);
+    root.add(mesh);
+    root.userData = { text: textData.text, sourceMode: textData.sourceMode, shapeType: textData.shapeType };
+
+    const exporter = new ExporterClass();
+    const result = await exporter.parseAsync(root, { binary: format === 'glb' });
+
+    if (format === 'glb') {
+        return new Blob([result], { type: 'model/gltf-binary' });
+    }
+    return new Blob([JSON.stringify(result)], { type: 'model/gltf+json' });
+}
+
+// ========== POINT DATA EXPORT ==========
+const POINT_UNITS_PER_PX = {
+    px: 1,
+    mm: 25.4 / 96,
+    cm: 2.54 / 96,
+    m: 0.0254 / 96,
+    in: 1 / 96
+};
+
+/**
+ * One record per real instance, read back from the instance matrices so every
+ * transform on screen (letters, hover, animation) is included
+ * @param {Object} options - {units, centering}
+ * @returns {Array<Object>} See PointExporter for the fields
+ */
+function getPointRecords(options = {}) {
+    const { units = textData.pointUnits, centering = textData.pointCentering } = options;
+    const THREE = window.THREE;
+
+    if (!instancedMesh) return [];
+
+    updateInstancedMesh(textData.isAnimating ? textData.animationTime : 0);
+
+    const unitScale = POINT_UNITS_PER_PX[units] || 1;
+    const count = Math.min(cachedPoints.length, instancedMesh.count);
+    const matrix = new THREE.Matrix4();
+    const position = new THREE.Vector3();
+    const quaternion = new THREE.Quaternion();
+    const scale = new THREE.Vector3();
+    const euler = new THREE.Euler();
+    const color = new THREE.Color();
+    const materialColor = textData.materialType === 'solid' && currentMaterial && currentMaterial.color
+        ? currentMaterial.color
+        : new THREE.Color(1, 1, 1);
+    const RAD2DEG = 180 / Math.PI;
+    // Instance matrices carry shapeSize; records hold the per-instance multiplier of it
+    const shapeSize = textData.shapeSize || 1;
+
+    const records = [];
+    for (let i = 0; i < count; i++) {
+        instancedMesh.getMatrixAt(i, matrix);
+        // Hidden instances (shrunk morph ghosts) have no rotation to decompose
+        if (Math.abs(matrix.determinant()) < 1e-12) continue;
+        matrix.decompose(position, quaternion, scale);
+        euler.setFromQuaternion(quaternion, 'XYZ');
+
+        color.setRGB(1, 1, 1);
+        if (instancedMesh.instanceColor) instancedMesh.getColorAt(i, color);
+        color.multiply(materialColor);
+        const srgb = color.getRGB({ r: 0, g: 0, b: 0 }, THREE.SRGBColorSpace);
+
+        const point = cachedPoints[i];
+        records.push({
+            x: position.x,
+            y: position.y,
+            z: position.z,
+            scale: (scale.x + scale.y + scale.z) / 3 / shapeSize,
+            rx: euler.x * RAD2DEG,
+            ry: euler.y * RAD2DEG,
+            rz: euler.z * RAD2DEG,
+            qx: quaternion.x,
+            qy: quaternion.y,
+            qz: quaternion.z,
+            qw: quaternion.w,
+            r: srgb.r,
+            g: srgb.g,
+            b: srgb.b,
+            letterIndex: point.glyphIndex !== undefined ? point.glyphIndex : -1,
+            lineIndex: point.lineIndex !== undefined ? point.lineIndex : -1,
+            charIndex: point.charIndex !== undefined ? point.charIndex : -1
+        });
+    }
+
+    // Centering, then units
+    let offsetX = 0, offsetY = 0, offsetZ = 0;
+    if (records.length > 0 && centering !== 'canvas') {
+        const min = { x: Infinity, y: Infinity, z: Infinity };
+        const max = { x: -Infinity, y: -Infinity, z: -Infinity };
+        records.forEach(r => {
+            ['x', 'y', 'z'].forEach(axis => {
+                min[axis] = Math.min(min[axis], r[axis]);
+                max[axis] = Math.max(max[axis], r[axis]);
+            });
+        });
+        const anchor = centering === 'min'
+            ? min
+            : { x: (min.x + max.x) / 2, y: (min.y + max.y) / 2, z: (min.z + max.z) / 2 };
+        offsetX = anchor.x;
+        offsetY = anchor.y;
+        offsetZ = anchor.z;
+    }
+
+    records.forEach(r => {
+        r.x = (r.x - offsetX) * unitScale;
+        r.y = (r.y - offsetY) * unitScale;
+        r.z = (r.z - offsetZ) * unitScale;
+    });
+
+    return records;
+}
+
+/**
+ * Export the sampled points for downstream tools (instancing, fabrication)
+ * @param {Object} options - {format, units, centering}
+ * @returns {Blob}
+ */
+function exportPoints(options = {}) {
+    const {
+        format = textData.pointFormat,
+        units = textData.pointUnits,
+        centering = textData.pointCentering
+    } = options;
+
+    if (!window.PointExporter) throw new Error('Point exporter not available');
+
+    const records = getPointRecords({ units, centering });
+    if (records.length === 0) throw new Error('No points to export');
+
+    const meta = {
+        generator: '3D Type Shaper',
+        units,
+        centering,
+        yUp: true,
+        // Size of one instance at scale 1 (shapeSize), in the same units as the positions
+        shapeSize: textData.shapeSize * (POINT_UNITS_PER_PX[units] || 1),
+        shapeType: textData.shapeType,
+        sourceMode: textData.sourceMode,
+        text: textData.sourceMode === 'text' ? textData.text : undefined
+    };
+
+    switch (format) {
+        case 'csv':
+            return new Blob([PointExporter.toCSV(records)], { type: 'text/csv' });
+        case 'ply-ascii':
+        case 'ply-binary':
+            return new Blob([PointExporter.toPLY(records, {
+                binary: format === 'ply-binary',
+                comment: `3D Type Shaper points\nunits ${units}, centering ${centering}, Y up`
+            })], { type: 'application/octet-stream' });
+        case 'json':
+        default:
+            return new Blob([PointExporter.toJSON(records, meta)], { type: 'application/json' });
+    }
+}
+
+// ========== SVG VECTOR EXPORT ==========
+/**
+ * Flat SVG paint for the current material: the instance colour for solid, the matcap's
+ * average colour for uploads, or a gradient def mirroring MatcapGenerator for 'gradient'
+ * @returns {{defs: string, fill: Function}} fill(instanceColor) -> SVG paint
+ */
+function getSVGPaint() {
+    const THREE = window.THREE;
+    const toHex = color => '#' + color.getHexString(THREE.SRGBColorSpace);
+
+    if (textData.materialType === 'gradient') {
+        const gradient = textData.gradientSets[textData.activeGradientIndex] || textData.gradientSets[0];
+        const stops = [...gradient.stops]
+            .sort((a, b) => a.position - b.position)
+            .map(stop => `<stop offset="${stop.position / 100}" stop-color="${stop.color}"/>`)
+            .join('');
+        const centered = textData.shaderMode === 'flat';
+
+        let def;
+        if (gradient.type === 'radial') {
+            // Highlight offset as in MatcapGenerator (0.4 x light offset, slightly from above)
+            const fx = centered ? 0.5 : 0.5 + (textData.lightPosition - 0.5) * 0.4;
+            const fy = centered ? 0.5 : 0.35;
+            def = `<radialGradient id="shape-gradient" cx="0.5" cy="0.5" r="0.5" fx="${fx}" fy="${fy}">${stops}</radialGradient>`;
+        } else {
+            const angle = centered ? Math.PI / 2 : textData.lightPosition * Math.PI;
+            const x1 = 0.5 + Math.cos(angle) * 0.5;
+            const y1 = 0.5 + Math.sin(angle) * 0.5;
+            def = `<linearGradient id="shape-gradient" x1="${x1}" y1="${y1}" x2="${1 - x1}" y2="${1 - y1}">${stops}</linearGradient>`;
+        }
+        return { defs: def, fill: () => 'url(#shape-gradient)' };
+    }
+
+    if (textData.materialType === 'matcapUpload' && uploadedMatcapTexture && uploadedMatcapTexture.image) {
+        const sample = document.createElement('canvas');
+        sample.width = 8;
+        sample.height = 8;
+        const ctx = sample.getContext('2d', { willReadFrequently: true });
+        ctx.drawImage(uploadedMatcapTexture.image, 0, 0, 8, 8);
+        const data = ctx.getImageData(0, 0, 8, 8).data;
+        let r = 0, g = 0, b = 0, count = 0;
+        for (let i = 0; i < data.length; i += 4) {
+            if (data[i + 3] < 128) continue;
+            r += data[i];
+            g += data[i + 1];
+            b += data[i + 2];
+            count++;
+        }
+        const average = count > 0
+            ? `rgb(${Math.round(r / count)}, ${Math.round(g / count)}, ${Math.round(b / count)})`
+            : textData.shapeColor;
+        return { defs: '', fill: () => average };
+    }
+
+    const materialColor = textData.materialType === 'solid' && currentMaterial && currentMaterial.color
+        ? currentMaterial.color
+        : new THREE.Color(1, 1, 1);
+    return { defs: '', fill: instanceColor => toHex(instanceColor.clone().multiply(materialColor)) };
+}
+
+// Convex hull of 2D points (monotone chain), counter-clockwise
+function getConvexHull(points) {
+    const sorted = [...points].sort((a, b) => a.x - b.x || a.y - b.y);
+    if (sorted.length < 3) return sorted;
+
+    const cross = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+    const lower = [];
+    sorted.forEach(p => {
+        while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], p) <= 0) lower.pop();
+        lower.push(p);
+    });
+    const upper = [];
+    for (let i = sorted.length - 1; i >= 0; i--) {
+        const p = sorted[i];
+        while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], p) <= 0) upper.pop();
+        upper.push(p);
+    }
+    upper.pop();
+    lower.pop();
+    return lower.concat(upper);
+}
+
+/**
+ * Export the 2D projection through the current camera as SVG
+ * Spheres become circles, cubes rects (or polygons when turned), GLB models the convex
+ * hull of their projected vertices; drawn back to front with the on-screen scale
+ * @returns {Blob}
+ */
+function exportSVG() {
+    const THREE = window.THREE;
+
+    if (!instancedMesh || !currentGeometry || !camera) throw new Error('Nothing to export');
+
+    updateInstancedMesh(textData.isAnimating ? textData.animationTime : 0);
+    camera.updateMatrixWorld();
+
+    const canvas = renderer.domElement;
+    const width = canvas.width;
+    const height = canvas.height;
+    const count = instancedMesh.count;
+    const paint = getSVGPaint();
+    const round = v => Math.round(v * 100) / 100;
+
+    const toScreen = (vector) => {
+        const ndc = vector.clone().project(camera);
+        return { x: (ndc.x + 1) / 2 * width, y: (1 - ndc.y) / 2 * height, depth: ndc.z };
+    };
+
+    // Outline vertices of the shape (sphere needs none), subsampled for heavy GLB meshes
+    const shapeVertices = [];
+    if (textData.shapeType !== 'sphere') {
+        const positions = currentGeometry.getAttribute('position');
+        const stride = Math.max(1, Math.floor(positions.count / 512));
+        for (let i = 0; i < positions.count; i += stride) {
+            shapeVertices.push(new THREE.Vector3().fromBufferAttribute(positions, i));
+        }
+    }
+
+    const matrix = new THREE.Matrix4();
+    const position = new THREE.Vector3();
+    const quaternion = new THREE.Quaternion();
+    const scale = new THREE.Vector3();
+    const color = new THREE.Color(1, 1, 1);
+    const cameraRight = new THREE.Vector3(1, 0, 0).applyQuaternion(camera.quaternion);
+    const elements = [];
+
+    for (let i = 0; i < count; i++) {
+        instancedMesh.getMatrixAt(i, matrix);
+        matrix.decompose(position, quaternion, scale);
+        const size = Math.max(scale.x, scale.y, scale.z);
+        if (size < 1e-6) continue;
+
+        if (instancedMesh.instanceColor) instancedMesh.getColorAt(i, color);
+        const fill = paint.fill(color);
+        const center = toScreen(position);
+        if (center.depth < -1 || center.depth > 1) continue;  // Behind the camera or clipped
+
+        let markup;
+        if (textData.shapeType === 'sphere') {
+            const edge = toScreen(position.clone().addScaledVector(cameraRight, 0.5 * size));
+            const radius = Math.hypot(edge.x - center.x, edge.y - center.y);
+            markup = `<circle cx="${round(center.x)}" cy="${round(center.y)}" r="${round(radius)}" fill="${fill}"/>`;
+        } else {
+            const hull = getConvexHull(shapeVertices.map(v => toScreen(v.clone().applyMatrix4(matrix))));
+            const xs = hull.map(p => p.x);
+            const ys = hull.map(p => p.y);
+            const minX = Math.min(...xs), maxX = Math.max(...xs);
+            const minY = Math.min(...ys), maxY = Math.max(...ys);
+            const isAxisRect = hull.length === 4 && hull.every(p =>
+                (Math.abs(p.x - minX) < 0.01 || Math.abs(p.x - maxX) < 0.01) &&
+                (Math.abs(p.y - minY) < 0.01 || Math.abs(p.y - maxY) < 0.01));
+
+            if (isAxisRect) {
+                markup = `<rect x="${round(minX)}" y="${round(minY)}" width="${round(maxX - minX)}" height="${round(maxY - minY)}" fill="${fill}"/>`;
+            } else {
+                const pointList = hull.map(p => `${round(p.x)},${round(p.y)}`).join(' ');
+                markup = `<polygon points="${pointList}" fill="${fill}"/>`;
+            }
+        }
+
+        elements.push({ depth: center.depth, markup });
+    }
+
+    // Painter's order: far to near
+    elements.sort((a, b) => b.depth - a.depth);
+
+    let background = '';
+    if (!isBackgroundTransparent() && window.Chatooly && Chatooly.backgroundManager) {
+        const bg = Chatooly.backgroundManager.getBackgroundState();
+        background = `<rect width="100%" height="100%" fill="${bg.bgColor}"/>`;
+    }
+
+    const svg = [
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+        paint.defs ? `<defs>${paint.defs}</defs>` : '',
+        background,
+        ...elements.map(element => element.markup),
+        '</svg>'
+    ].filter(Boolean).join('\n');
+
+    return new Blob([svg], { type: 'image/svg+xml' });
+}
+
+window.recordVideo = recordVideo;
+window.exportPNGSequence = exportPNGSequence;
+window.exportGIF = exportGIF;
+window.exportGLTF = exportGLTF;
+window.exportPoints = exportPoints;
+window.exportSVG = exportSVG;
+window.stopAnimationCapture = stopAnimationCapture;
+window.stopVideoRecording = stopAnimationCapture;   // Name from before PNG sequences shared the capture
+
+// ========== UNDO / REDO HISTORY ==========
+const HISTORY_LIMIT = 100;
+const HISTORY_COALESCE_MS = 1000;   // Slider drags and typing within this gap merge into one step
+
+let historyEntries = [];            // {label, before, after, time, open}, before/after hold only changed keys
+let historyIndex = 0;               // Entries below this index are applied
+let historyPaused = false;          // Set while history or a preset applies settings through the UI
+let pendingHistoryStep = null;      // {label, coalesce, before} for the interaction in progress
+let pendingHistoryTimer = null;
+
+/**
+ * Uploaded assets can't go through JSON, so history keeps references to the loaded objects
+ * (fonts stay registered once uploaded, so fontFamily alone restores them)
+ */
+function getHistoryAssets() {
+    const getName = id => document.getElementById(id)?.textContent || '';
+    return {
+        glbGeometry,
+        svgCommands,
+        sourceImage,
+        uploadedMatcapTexture,
+        glbName: getName('glb-name'),
+        svgName: getName('svg-name'),
+        imageName: getName('image-name')
+    };
+}
+
+function applyHistoryAssets(assets) {
+    if ('glbGeometry' in assets) glbGeometry = assets.glbGeometry;
+    if ('svgCommands' in assets) svgCommands = assets.svgCommands;
+    if ('sourceImage' in assets) sourceImage = assets.sourceImage;
+    if ('uploadedMatcapTexture' in assets) {
+        uploadedMatcapTexture = assets.uploadedMatcapTexture;
+        updateMatcapPreview();
+    }
+
+    // File name panels of the upload controls
+    [['glbGeometry', 'glb'], ['svgCommands', 'svg'], ['sourceImage', 'image']].forEach(([key, prefix]) => {
+        const info = document.getElementById(`${prefix}-info`);
+        const name = document.getElementById(`${prefix}-name`);
+        if (key in assets && info) info.style.display = assets[key] ? 'block' : 'none';
+        if (`${prefix}Name` in assets && name) name.textContent = assets[`${prefix}Name`];
+    });
+}
+
+function takeHistorySnapshot() {
+    return { settings: getPresetData(), assets: getHistoryAssets() };
+}
+
+/**
+ * Record what changed since `before` as one history step
+ * @param {string} label - Shown in the history list
+ * @param {Object} before - Snapshot from takeHistorySnapshot()
+ * @param {boolean} coalesce - Merge into the previous step when it changed the same keys moments ago
+ */
+function recordHistory(label, before, coalesce = false) {
+    const after = takeHistorySnapshot();
+    const diff = { before: { settings: {}, assets: {} }, after: { settings: {}, assets: {} } };
+    const changedKeys = [];
+
+    const settingKeys = new Set([...Object.keys(before.settings), ...Object.keys(after.settings)]);
+    settingKeys.forEach(key => {
+        if (JSON.stringify(before.settings[key]) === JSON.stringify(after.settings[key])) return;
+        diff.before.settings[key] = before.settings[key];
+        diff.after.settings[key] = after.settings[key];
+        changedKeys.push(key);
+    });
+
+    Object.keys(after.assets).forEach(key => {
+        if (before.assets[key] === after.assets[key]) return;
+        diff.before.assets[key] = before.assets[key];
+        diff.after.assets[key] = after.assets[key];
+        changedKeys.push(key);
+    });
+
+    const last = historyIndex > 0 ? historyEntries[historyIndex - 1] : null;
+
+    if (changedKeys.length === 0) {
+        // A change without edits (e.g. slider release) ends the drag being merged
+        if (last && !coalesce) last.open = false;
+        return;
+    }
+
+    const now = Date.now();
+    const sameKeys = last && last.open && last.keys.join() === changedKeys.join();
+
+    if (coalesce && sameKeys && now - last.time < HISTORY_COALESCE_MS) {
+        last.after = diff.after;
+        last.time = now;
+    } else {
+        historyEntries.splice(historyIndex);
+        historyEntries.push({
+            label: label || changedKeys.join(', '),
+            keys: changedKeys,
+            before: diff.before,
+            after: diff.after,
+            time: now,
+            open: coalesce
+        });
+        if (historyEntries.length > HISTORY_LIMIT) historyEntries.shift();
+        historyIndex = historyEntries.length;
+    }
+
+    updateHistoryList();
+    scheduleURLStateUpdate();
+    emitTypeShaperEvent('change', { keys: changedKeys });
+}
+
+// Control events: snapshot before the handlers run (capture phase), record after they finish
+function beginHistoryStep(label, coalesce) {
+    if (historyPaused || pendingHistoryStep) return;
+    pendingHistoryStep = { label, coalesce, before: takeHistorySnapshot() };
+}
+
+function scheduleHistoryStep() {
+    if (historyPaused || !pendingHistoryStep) return;
+    clearTimeout(pendingHistoryTimer);
+    pendingHistoryTimer = setTimeout(() => {
+        const step = pendingHistoryStep;
+        pendingHistoryStep = null;
+        pendingHistoryTimer = null;
+        if (step) recordHistory(step.label, step.before, step.coalesce);
+    }, 0);
+}
+
+/**
+ * Apply settings through the UI as one history step (presets, bundles, links)
+ * Events fired while syncing the controls are not recorded separately
+ * @param {Object} before - Snapshot to diff against when earlier async work (asset loading) belongs to the step
+ */
+function withHistory(label, apply, before = null) {
+    clearTimeout(pendingHistoryTimer);
+    pendingHistoryTimer = null;
+    if (!before) before = pendingHistoryStep ? pendingHistoryStep.before : takeHistorySnapshot();
+    pendingHistoryStep = null;
+
+    historyPaused = true;
+    try {
+        apply();
+    } finally {
+        historyPaused = false;
+    }
+    recordHistory(label, before);
+}
+
+function applyHistoryState(state) {
+    Object.entries(state.settings).forEach(([key, value]) => {
+        if (value === undefined) delete textData[key];
+        else textData[key] = JSON.parse(JSON.stringify(value));
+    });
+    applyHistoryAssets(state.assets);
+}
+
+// Step back or forward to just after entry `index - 1` (0 = before the first recorded change)
+function goToHistory(index) {
+    const target = Math.max(0, Math.min(historyEntries.length, index));
+    if (target === historyIndex) return;
+
+    const changedKeys = new Set();
+    historyPaused = true;
+    try {
+        while (historyIndex > target) {
+            historyIndex--;
+            applyHistoryState(historyEntries[historyIndex].before);
+            historyEntries[historyIndex].keys.forEach(key => changedKeys.add(key));
+        }
+        while (historyIndex < target) {
+            applyHistoryState(historyEntries[historyIndex].after);
+            historyEntries[historyIndex].keys.forEach(key => changedKeys.add(key));
+            historyIndex++;
+        }
+        historyEntries.forEach(entry => { entry.open = false; });
+
+        syncUIToSettings();
+        rebuildParticleSystem();
+    } finally {
+        historyPaused = false;
+    }
+
+    updateHistoryList();
+    scheduleURLStateUpdate();
+    emitTypeShaperEvent('change', { keys: [...changedKeys] });
+}
+
+function undo() {
+    goToHistory(historyIndex - 1);
+}
+
+function redo() {
+    goToHistory(historyIndex + 1);
+}
+
+function updateHistoryList() {
+    const undoBtn = document.getElementById('undo-btn');
+    const redoBtn = document.getElementById('redo-btn');
+    if (undoBtn) undoBtn.disabled = historyIndex === 0;
+    if (redoBtn) redoBtn.disabled = historyIndex === historyEntries.length;
+
+    const list = document.getElementById('history-list');
+    if (!list) return;
+
+    list.innerHTML = '';
+    const items = [{ label: 'Start' }, ...historyEntries];
+    items.forEach((entry, i) => {
+        const item = document.createElement('div');
+        item.textContent = entry.label;
+        item.title = entry.time ? new Date(entry.time).toLocaleTimeString() : '';
+        item.style.cssText = 'padding: 2px 6px; cursor: pointer; border-radius: 4px; white-space: nowrap; overflow: hidden; text-overflow: ellipsis;';
+        if (i === historyIndex) {
+            item.style.background = 'var(--chatooly-color-surface, #333)';
+        } else if (i > historyIndex) {
+            item.style.opacity = '0.5';   // Undone, still available to redo
+        }
+        item.addEventListener('click', () => goToHistory(i));
+        list.appendChild(item);
+    });
+    list.scrollTop = list.scrollHeight;
+}
+
+// Label of the control an event came from (its slider/input/toggle label, or the button text)
+function getHistoryLabel(target) {
+    const group = target.closest('.chatooly-slider-group, .chatooly-input-group, .chatooly-toggle-group');
+    const labelEl = group && group.querySelector('.chatooly-slider-label span, .chatooly-slider-label, .chatooly-input-label, .chatooly-toggle-label');
+    const text = labelEl ? labelEl.textContent : target.textContent;
+    return (text || '').trim().slice(0, 40) || null;
+}
+
+function initHistoryUI() {
+    const controls = document.querySelector('.chatooly-controls-panel');
+    if (controls) {
+        ['input', 'change', 'toggle-change', 'click'].forEach(type => {
+            controls.addEventListener(type, (e) => {
+                if (e.target.closest('#history-section')) return;
+                // File uploads record themselves once the asset has loaded
+                if (e.target.type === 'file') return;
+                beginHistoryStep(getHistoryLabel(e.target), type === 'input');
+            }, true);
+            controls.addEventListener(type, (e) => {
+                if (e.target.closest('#history-section')) return;
+                scheduleHistoryStep();
+            });
+        });
+    }
+
+    // Camera drags and wheel zoom on the canvas
+    const canvas = document.getElementById('chatooly-canvas');
+    if (canvas) {
+        canvas.addEventListener('mousedown', () => beginHistoryStep('Camera', false), true);
+        window.addEventListener('mouseup', () => scheduleHistoryStep());
+        canvas.addEventListener('wheel', () => {
+            beginHistoryStep('Camera Zoom', true);
+            scheduleHistoryStep();
+        }, true);
+    }
+
+    const undoBtn = document.getElementById('undo-btn');
+    if (undoBtn) undoBtn.addEventListener('click', undo);
+
+    const redoBtn = document.getElementById('redo-btn');
+    if (redoBtn) redoBtn.addEventListener('click', redo);
+
+    // Ctrl/Cmd+Z undo, Ctrl/Cmd+Shift+Z (or Ctrl+Y) redo; text fields keep their own undo
+    document.addEventListener('keydown', (e) => {
+        if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+        const key = e.key.toLowerCase();
+        if (key !== 'z' && key !== 'y') return;
+
+        const field = e.target;
+        if (field.tagName === 'TEXTAREA' || (field.tagName === 'INPUT' && ['text', 'number'].includes(field.type))) return;
+
+        e.preventDefault();
+        if (key === 'y' || e.shiftKey) redo();
+        else undo();
+    });
+
+    updateHistoryList();
+}
+
+window.undo = undo;
+window.redo = redo;
+
+// ========== PRESET MANAGEMENT ==========
+const PRESET_STORAGE_KEY = '3d-type-shaper-presets';   // localStorage presets from before the gallery, moved on startup
+const PRESET_DATABASE_NAME = '3d-type-shaper';
+const PRESET_THUMBNAIL_SIZE = 256;                       // Longest side of gallery thumbnails in pixels
+const presetStore = window.PresetStore ? new PresetStore(PRESET_DATABASE_NAME) : null;
+
+function getPresetData() {
+    // Clone settings object, excluding non-serializable/runtime items
+    const preset = JSON.parse(JSON.stringify(textData));
+    // Remove runtime-only properties
+    delete preset.mouseX;
+    delete preset.mouseY;
+    delete preset.previousCanvasSize;
+    delete preset.animationTime;
+    delete preset.autoTime;
+    delete preset.isAnimating;
+    return preset;
+}
+
+// ========== PRESET SCHEMA ==========
+// Bump PRESET_VERSION and add a migration whenever saved settings change shape
+const PRESET_VERSION = '1.1';
+
+// Settings as they are at startup; loaded presets are deep-merged over these
+const PRESET_DEFAULTS = getPresetData();
+
+/**
+ * One step per schema change, applied in order from the file's version
+ * migrate(settings) receives a copy and returns the settings for `to`
+ */
+const PRESET_MIGRATIONS = [
+    {
+        from: '1.0',
+        to: '1.1',
+        migrate(settings) {
+            // Flat hover keys predate the stackable hoverEffects object
+            const hover = settings.hoverEffects === undefined ? {} : settings.hoverEffects;
+            if (isPlainObject(hover)) {
+                if (!('enabled' in hover) && 'hoverEffectEnabled' in settings) hover.enabled = settings.hoverEffectEnabled;
+                if (!('radius' in hover) && 'hoverRadius' in settings) hover.radius = settings.hoverRadius;
+                if ('hoverIntensity' in settings && !(isPlainObject(hover.magnification) && 'intensity' in hover.magnification)) {
+                    hover.magnification = { ...(isPlainObject(hover.magnification) ? hover.magnification : {}), intensity: settings.hoverIntensity };
+                }
+                if (Object.keys(hover).length > 0) settings.hoverEffects = hover;
+            }
+
+            // materialMode ('matcap' | 'solid') predates materialType; the built-in matcap is now the gradient matcap
+            if (!('materialType' in settings) && 'materialMode' in settings) {
+                settings.materialType = settings.materialMode === 'solid' ? 'solid' : 'gradient';
+            }
+
+            // lineHeight was renamed to leading
+            if (!('leading' in settings) && 'lineHeight' in settings) settings.leading = settings.lineHeight;
+            delete settings.lineHeight;
+
+            // The distribution layouts now draw from the one random seed
+            if (!('seed' in settings) && 'distributionSeed' in settings) settings.seed = settings.distributionSeed;
+            delete settings.distributionSeed;
+
+            // Video recording options became the shared animation export options
+            [['videoDuration', 'exportDuration'], ['videoFps', 'exportFps'], ['videoScale', 'exportScale'], ['videoPlayIntro', 'exportPlayIntro']]
+                .forEach(([legacy, key]) => {
+                    if (!(key in settings) && legacy in settings) settings[key] = settings[legacy];
+                    delete settings[legacy];
+                });
+
+            return settings;
+        }
+    }
+];
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Bring settings saved by an older version up to PRESET_VERSION
+ * Files without a version are treated as 1.0
+ */
+function migratePresetSettings(settings, version = '1.0') {
+    let migrated = JSON.parse(JSON.stringify(settings));
+    let current = String(version);
+
+    while (current !== PRESET_VERSION) {
+        const step = PRESET_MIGRATIONS.find(migration => migration.from === current);
+        if (!step) {
+            throw new Error(`Unsupported preset version ${version} (this version of the tool reads up to ${PRESET_VERSION})`);
+        }
+        migrated = step.migrate(migrated);
+        current = step.to;
+    }
+
+    return migrated;
+}
+
+/**
+ * Deep merge settings over defaults, keeping only keys the defaults know about
+ * Values must have the default's type; empty objects, null defaults and arrays are taken whole
+ * @param {Array<string>} errors - Collects type mismatches as 'path: message'
+ * @param {Array<string>} ignored - Collects unknown key paths
+ */
+function mergePresetSettings(defaults, settings, path, errors, ignored) {
+    const result = {};
+
+    Object.keys(defaults).forEach(key => {
+        const keyPath = path ? `${path}.${key}` : key;
+        const fallback = defaults[key];
+        const value = settings[key];
+
+        if (value === undefined) {
+            result[key] = JSON.parse(JSON.stringify(fallback));
+        } else if (fallback === null) {
+            result[key] = value;
+        } else if (Array.isArray(fallback)) {
+            if (Array.isArray(value)) result[key] = value;
+            else errors.push(`${keyPath}: expected a list`);
+        } else if (isPlainObject(fallback)) {
+            if (!isPlainObject(value)) {
+                errors.push(`${keyPath}: expected an object`);
+            } else if (Object.keys(fallback).length === 0) {
+                result[key] = value;
+            } else {
+                result[key] = mergePresetSettings(fallback, value, keyPath, errors, ignored);
+            }
+        } else if (typeof value !== typeof fallback) {
+            errors.push(`${keyPath}: expected a ${typeof fallback}, got ${value === null ? 'null' : typeof value}`);
+        } else if (typeof value === 'number' && !isFinite(value)) {
+            errors.push(`${keyPath}: not a finite number`);
+        } else {
+            result[key] = value;
+        }
+    });
+
+    Object.keys(settings).forEach(key => {
+        if (!(key in defaults)) ignored.push(path ? `${path}.${key}` : key);
+    });
+
+    return result;
+}
+
+/**
+ * Validate, migrate and complete a preset's settings
+ * @returns {Object} Settings for the current schema with every key present
+ * @throws {Error} Listing every problem when the preset can't be used
+ */
+function normalizePresetSettings(preset) {
+    if (!isPlainObject(preset)) throw new Error('Preset is not a JSON object');
+    if (preset.tool && preset.tool !== '3DTypeShaper') throw new Error(`Preset was saved by "${preset.tool}"`);
+    if (!isPlainObject(preset.settings)) throw new Error('Preset has no settings object');
+
+    const settings = migratePresetSettings(preset.settings, preset.version);
+    const errors = [];
+    const ignored = [];
+    const merged = mergePresetSettings(PRESET_DEFAULTS, settings, '', errors, ignored);
+
+    if (errors.length > 0) {
+        throw new Error(`${errors.length} invalid setting${errors.length === 1 ? '' : 's'}:\n` + errors.join('\n'));
+    }
+    if (ignored.length > 0) {
+        console.warn('Preset settings ignored (unknown keys):', ignored.join(', '));
+    }
+
+    // Legacy hover keys are kept as mirrors of hoverEffects
+    merged.hoverEffectEnabled = merged.hoverEffects.enabled;
+    merged.hoverRadius = merged.hoverEffects.radius;
+    merged.hoverIntensity = merged.hoverEffects.magnification.intensity;
+
+    return merged;
+}
+
+async function savePreset(name) {
+    const preset = {
+        name: name,
+        timestamp: Date.now(),
+        tool: '3DTypeShaper',
+        version: PRESET_VERSION,
+        settings: getPresetData()
+    };
+
+    // Save to the gallery with a thumbnail and the uploaded files it uses
+    if (presetStore) {
+        const existing = await presetStore.get(name);
+        if (existing && !confirm(`Replace preset "${name}"?`)) return;
+
+        await presetStore.put({
+            ...(existing || {}),   // Overwriting keeps description, tags and favourite
+            ...preset,
+            thumbnail: await renderPresetThumbnail(),
+            bundle: await createPresetBundle(name, true)
+        });
+        selectedPresetName = name;
+        updatePresetGallery();
+    }
+
+    // Also download as JSON file
+    const blob = new Blob([JSON.stringify(preset, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `${name.replace(/[^a-z0-9]/gi, '_')}.json`;
+    a.click();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Apply a preset (throws without changing anything when it fails validation)
+ */
+function loadPreset(preset, historyBefore = null) {
+    const settings = normalizePresetSettings(preset);
+
+    withHistory(preset.name ? `Preset: ${preset.name}` : 'Preset', () => {
+        // Apply settings from preset (complete, so nested objects are replaced whole)
+        Object.assign(textData, settings);
+
+        // Sync all UI controls to match loaded values
+        syncUIToSettings();
+
+        // Re-render canvas
+        rebuildParticleSystem();
+    }, historyBefore);
+}
+
+async function loadStoredPreset(name) {
+    const record = presetStore ? await presetStore.get(name) : null;
+    if (!record) throw new Error(`Preset "${name}" not found`);
+
+    if (record.bundle) {
+        await loadPresetBundle(new File([record.bundle], `${name}.zip`, { type: 'application/zip' }));
+    } else {
+        loadPreset(record);
+    }
+}
+
+async function loadPresetFromStorage(name) {
+    try {
+        await loadStoredPreset(name);
+    } catch (error) {
+        console.error('Preset failed:', error);
+        alert(`Failed to load preset "${name}": ` + error.message);
+    }
+}
+
+// ========== PRESET BUNDLES ==========
+/**
+ * Preset plus every uploaded asset it depends on, as a ZIP:
+ *   preset.json - the usual preset with an `assets` list ({type, name, mimeType, path, family})
+ *   assets/...  - the original files (font, GLB, SVG, image, matcap, background image)
+ * @param {boolean} requireAssets - Resolve to null when no uploaded file is in use (gallery records)
+ * @returns {Promise<Blob|null>}
+ */
+async function createPresetBundle(name, requireAssets = false) {
+    if (!window.fflate) throw new Error('fflate not loaded');
+
+    const preset = {
+        name: name,
+        timestamp: Date.now(),
+        tool: '3DTypeShaper',
+        version: PRESET_VERSION,
+        settings: getPresetData(),
+        assets: []
+    };
+    const files = {};
+
+    const addAsset = async (type, blob, fileName, extra = {}) => {
+        const path = `assets/${type}-${fileName.replace(/[^a-z0-9._-]/gi, '_')}`;
+        files[path] = new Uint8Array(await blob.arrayBuffer());
+        preset.assets.push({ type, name: fileName, mimeType: blob.type || '', path, ...extra });
+    };
 
-        const coords = window.Chatooly ?
-            window.Chatooly.utils.mapMouseToCanvas(e, canvas) :
-            fallbackMouseMapping(e);
+    const fontFile = uploadedFontFiles.get(textData.fontFamily);
+    if (fontFile) {
+        await addAsset('font', fontFile, fontFile.name, { family: textData.fontFamily });
+    }
 
-        textData.mouseX = coords.x;
-        textData.mouseY = coords.y;
+    const loadedAssets = [['glb', glbGeometry], ['svg', svgCommands], ['image', sourceImage], ['matcap', uploadedMatcapTexture]];
+    for (const [type, asset] of loadedAssets) {
+        const file = asset ? assetSourceFiles.get(asset) : null;
+        if (file) await addAsset(type, file, file.name || type);
     }
 
-    function fallbackMouseMapping(e) {
-        const rect = canvas.getBoundingClientRect();
-        const displayX = e.clientX - rect.left;
-        const displayY = e.clientY - rect.top;
-        const scaleX = canvas.width / rect.width;
-        const scaleY = canvas.height / rect.height;
-        return { x: displayX * scaleX, y: displayY * scaleY };
+    const bg = window.Chatooly && Chatooly.backgroundManager ? Chatooly.backgroundManager.getBackgroundState() : null;
+    if (bg && bg.bgImage && bg.bgImageURL) {
+        const blob = await (await fetch(bg.bgImageURL)).blob();
+        const extension = (blob.type.split('/')[1] || 'png').replace('jpeg', 'jpg').replace('+xml', '');
+        await addAsset('background', blob, `background.${extension}`);
     }
 
-    canvas.addEventListener('mousemove', updateMousePosition);
-    canvas.addEventListener('mouseleave', () => {
-        // Only clear mouse position if in mouse mode for hover effect
-        // (lookAtMouse should keep tracking even on leave for smooth behavior)
-        if (textData.interactionMode === 'mouse' && textData.animationType !== 'lookAtMouse') {
-            textData.mouseX = null;
-            textData.mouseY = null;
-            const hoverEnabled = textData.hoverEffectEnabled || textData.hoverEffects.enabled;
-            if (hoverEnabled && !textData.isAnimating) {
-                render();
-            }
-        }
-    });
+    if (requireAssets && preset.assets.length === 0) return null;
 
-    // Hover rendering loop
-    let hoverLastTime = 0;
-    function startHoverRendering() {
-        stopHoverRendering();
+    files['preset.json'] = fflate.strToU8(JSON.stringify(preset, null, 2));
+    return new Blob([fflate.zipSync(files)], { type: 'application/zip' });
+}
 
-        const hoverEnabled = textData.hoverEffectEnabled || textData.hoverEffects.enabled;
-        if (hoverEnabled && !textData.isAnimating) {
-            hoverLastTime = performance.now();
+/**
+ * Load a preset bundle: re-register its assets through the upload paths, then apply the settings
+ * Assets and settings become one history step
+ */
+async function loadPresetBundle(file) {
+    if (!window.fflate) throw new Error('fflate not loaded');
 
-            function hoverRenderLoop() {
-                const hoverActive = textData.hoverEffectEnabled || textData.hoverEffects.enabled;
-                if (!hoverActive || textData.isAnimating) {
-                    hoverAnimationFrameId = null;
-                    return;
-                }
+    const files = fflate.unzipSync(new Uint8Array(await file.arrayBuffer()));
+    if (!files['preset.json']) throw new Error('Not a preset bundle (preset.json missing)');
 
-                const now = performance.now();
-                const deltaTime = (now - hoverLastTime) / 1000;
-                hoverLastTime = now;
+    const preset = JSON.parse(fflate.strFromU8(files['preset.json']));
+    normalizePresetSettings(preset); // Fail before any asset is loaded
 
-                if (textData.interactionMode === 'auto') {
-                    textData.autoTime += 16;
-                    const autoPos = getAutoPosition(textData.autoTime, textData.autoPattern);
-                    textData.mouseX = autoPos.x;
-                    textData.mouseY = autoPos.y;
-                }
+    const historyBefore = takeHistorySnapshot();
 
-                render(0, deltaTime);
-                hoverAnimationFrameId = requestAnimationFrame(hoverRenderLoop);
-            }
-            hoverAnimationFrameId = requestAnimationFrame(hoverRenderLoop);
+    for (const asset of preset.assets || []) {
+        const data = files[asset.path];
+        if (!data) {
+            console.warn(`Preset bundle is missing ${asset.path}`);
+            continue;
         }
-    }
 
-    function stopHoverRendering() {
-        if (hoverAnimationFrameId) {
-            cancelAnimationFrame(hoverAnimationFrameId);
-            hoverAnimationFrameId = null;
+        const assetFile = new File([data], asset.name, { type: asset.mimeType || '' });
+        switch (asset.type) {
+            case 'font':
+                await registerCustomFont(assetFile, asset.family);
+                break;
+            case 'glb':
+                await loadGLBModel(assetFile);
+                setAssetInfo('glb', asset.name);
+                break;
+            case 'svg':
+                await loadSVGFile(assetFile);
+                setAssetInfo('svg', asset.name);
+                break;
+            case 'image':
+                await loadImageSource(assetFile);
+                setAssetInfo('image', asset.name);
+                break;
+            case 'matcap':
+                await handleMatcapUpload(assetFile);
+                updateMatcapPreview();
+                break;
+            case 'background':
+                await applyBackgroundImage(assetFile);
+                break;
+            default:
+                console.warn(`Unknown preset asset type: ${asset.type}`);
         }
     }
 
-    window.startHoverRendering = startHoverRendering;
-    window.stopHoverRendering = stopHoverRendering;
-
-    // Canvas resize handling
-    document.addEventListener('chatooly:canvas-resized', (e) => {
-        if (textData.text && textData.text.trim()) {
-            const newWidth = e.detail.canvas.width;
-            const newHeight = e.detail.canvas.height;
+    loadPreset(preset, historyBefore);
+}
 
-            // Update renderer and camera
-            if (renderer) {
-                renderer.setSize(newWidth, newHeight);
-            }
+// File name panel of an upload control (null hides it)
+function setAssetInfo(prefix, name) {
+    const info = document.getElementById(`${prefix}-info`);
+    const nameEl = document.getElementById(`${prefix}-name`);
+    if (info) info.style.display = name ? 'block' : 'none';
+    if (nameEl && name) nameEl.textContent = name;
+}
 
-            if (camera) {
-                const aspect = newWidth / newHeight;
-                const frustumSize = newHeight;
-                camera.left = -frustumSize * aspect / 2;
-                camera.right = frustumSize * aspect / 2;
-                camera.top = frustumSize / 2;
-                camera.bottom = -frustumSize / 2;
-                camera.updateProjectionMatrix();
-            }
+// ========== SHAREABLE LINKS ==========
+// Settings (no uploaded files) as deflated JSON in the URL hash: #state=<base64url>
+const URL_STATE_PREFIX = '#state=';
+const URL_STATE_DEBOUNCE_MS = 500;
+let urlStateTimer = null;
+let lastURLStateHash = '';
+
+function encodeURLState() {
+    const json = JSON.stringify({ v: PRESET_VERSION, s: getPresetData() });
+    const bytes = fflate.deflateSync(fflate.strToU8(json), { level: 9 });
+    let binary = '';
+    for (let i = 0; i < bytes.length; i++) {
+        binary += String.fromCharCode(bytes[i]);
+    }
+    return URL_STATE_PREFIX + btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
 
-            textData.previousCanvasSize = { width: newWidth, height: newHeight };
-            rebuildParticleSystem();
+/**
+ * Settings from a #state= hash, validated and migrated like a preset
+ * @returns {Object|null} null when the hash holds no state
+ * @throws {Error} When the state is damaged or invalid
+ */
+function decodeURLState(hash) {
+    if (!hash || !hash.startsWith(URL_STATE_PREFIX)) return null;
+
+    const base64 = hash.slice(URL_STATE_PREFIX.length).replace(/-/g, '+').replace(/_/g, '/');
+    let state;
+    try {
+        const binary = atob(base64);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
         }
-    });
+        state = JSON.parse(fflate.strFromU8(fflate.inflateSync(bytes)));
+    } catch (error) {
+        throw new Error('The link is incomplete or damaged');
+    }
 
-    textData.previousCanvasSize = { width: canvas.width, height: canvas.height };
+    return normalizePresetSettings({ version: state.v, settings: state.s });
+}
 
-    // Clear canvas button
-    const clearCanvasBtn = document.getElementById('clear-canvas-btn');
-    if (clearCanvasBtn) {
-        clearCanvasBtn.addEventListener('click', () => {
-            clearCanvas();
-        });
-    }
+function getShareURL() {
+    return location.href.split('#')[0] + encodeURLState();
 }
 
-// ========== HIGH-RESOLUTION EXPORT ==========
-window.renderHighResolution = function(targetCanvas, scale) {
-    if (!textData.text || !textData.text.trim() || !renderer) {
-        console.warn('No text to export or renderer not ready');
-        return;
+// Keep the address bar in step with the settings (replaceState: no back-button entries, no hashchange)
+function scheduleURLStateUpdate() {
+    if (!window.fflate) return;
+    clearTimeout(urlStateTimer);
+    urlStateTimer = setTimeout(() => {
+        urlStateTimer = null;
+        lastURLStateHash = encodeURLState();
+        history.replaceState(null, '', lastURLStateHash);
+    }, URL_STATE_DEBOUNCE_MS);
+}
+
+/**
+ * Startup: apply settings from the hash before the first build (not a history step)
+ * @returns {boolean} Whether settings were restored
+ */
+function applyURLState() {
+    let settings;
+    try {
+        settings = decodeURLState(location.hash);
+    } catch (error) {
+        console.error('Shared link failed:', error);
+        alert('Failed to load shared link: ' + error.message);
+        return false;
+    }
+    if (!settings) return false;
+
+    lastURLStateHash = location.hash;
+    historyPaused = true;
+    try {
+        Object.assign(textData, settings);
+        syncUIToSettings();
+    } finally {
+        historyPaused = false;
     }
+    return true;
+}
 
-    const canvas = document.getElementById('chatooly-canvas');
-    const origWidth = canvas.width;
-    const origHeight = canvas.height;
+// A different link pasted into the address bar of an open tab
+window.addEventListener('hashchange', () => {
+    if (location.hash === lastURLStateHash || !location.hash.startsWith(URL_STATE_PREFIX)) return;
+
+    try {
+        const settings = decodeURLState(location.hash);
+        lastURLStateHash = location.hash;
+        loadPreset({ name: 'Shared link', version: PRESET_VERSION, settings });
+    } catch (error) {
+        console.error('Shared link failed:', error);
+        alert('Failed to load shared link: ' + error.message);
+    }
+});
 
-    // Set high-res size
-    const scaledWidth = origWidth * scale;
-    const scaledHeight = origHeight * scale;
+// ========== PRESET GALLERY ==========
+let selectedPresetName = null;
+let presetThumbnailURLs = [];
 
-    // Update renderer size
-    renderer.setSize(scaledWidth, scaledHeight);
+// Small PNG of the current frame, stored with the preset
+function renderPresetThumbnail() {
+    if (!renderer) return Promise.resolve(null);
 
-    // Update camera
-    const aspect = scaledWidth / scaledHeight;
-    const frustumSize = scaledHeight;
-    camera.left = -frustumSize * aspect / 2;
-    camera.right = frustumSize * aspect / 2;
-    camera.top = frustumSize / 2;
-    camera.bottom = -frustumSize / 2;
-    camera.updateProjectionMatrix();
+    const canvas = renderer.domElement;
+    const fit = PRESET_THUMBNAIL_SIZE / Math.max(canvas.width, canvas.height);
+    const thumbnail = document.createElement('canvas');
+    drawTiledFrame(thumbnail,
+        Math.max(1, Math.round(canvas.width * fit)),
+        Math.max(1, Math.round(canvas.height * fit)));
 
-    // Rebuild particle system at high resolution
-    rebuildParticleSystem();
+    return new Promise(resolve => thumbnail.toBlob(resolve, 'image/png'));
+}
 
-    // Render
-    render(textData.isAnimating ? textData.animationTime : 0);
+function parsePresetTags(text) {
+    return [...new Set(text.split(',').map(tag => tag.trim()).filter(Boolean))];
+}
 
-    // Copy to target canvas
-    targetCanvas.width = scaledWidth;
-    targetCanvas.height = scaledHeight;
-    const ctx = targetCanvas.getContext('2d');
-    ctx.drawImage(renderer.domElement, 0, 0);
+// Search matches name, tags and description; favourites come first, then newest
+function filterPresets(records, query, favouritesOnly) {
+    const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+
+    return records
+        .filter(record => !favouritesOnly || record.favourite)
+        .filter(record => {
+            const haystack = [record.name, record.description, ...(record.tags || [])].join(' ').toLowerCase();
+            return terms.every(term => haystack.includes(term));
+        })
+        .sort((a, b) => (b.favourite - a.favourite) || (b.timestamp - a.timestamp));
+}
 
-    // Restore original size
-    renderer.setSize(origWidth, origHeight);
+async function updatePresetGallery() {
+    const gallery = document.getElementById('preset-gallery');
+    const status = document.getElementById('preset-gallery-status');
+    if (!gallery || !presetStore) return;
+
+    const records = await presetStore.getAll();
+    const query = document.getElementById('preset-search')?.value || '';
+    const favouritesOnly = document.getElementById('preset-filter')?.value === 'favourites';
+    const visible = filterPresets(records, query, favouritesOnly);
+
+    presetThumbnailURLs.forEach(url => URL.revokeObjectURL(url));
+    presetThumbnailURLs = [];
+    gallery.innerHTML = '';
+
+    visible.forEach(record => {
+        const card = document.createElement('div');
+        card.title = record.description || record.name;
+        card.style.cssText = 'cursor: pointer; border-radius: 4px; padding: 4px; border: 1px solid transparent;';
+        if (record.name === selectedPresetName) {
+            card.style.borderColor = 'var(--chatooly-color-primary, #fff)';
+        }
 
-    camera.left = -origHeight * (origWidth / origHeight) / 2;
-    camera.right = origHeight * (origWidth / origHeight) / 2;
-    camera.top = origHeight / 2;
-    camera.bottom = -origHeight / 2;
-    camera.updateProjectionMatrix();
+        const image = document.createElement('div');
+        image.style.cssText = 'aspect-ratio: 1; border-radius: 4px; background: var(--chatooly-color-surface, #333) center / contain no-repeat;';
+        if (record.thumbnail) {
+            const url = URL.createObjectURL(record.thumbnail);
+            presetThumbnailURLs.push(url);
+            image.style.backgroundImage = `url("${url}")`;
+        }
 
-    rebuildParticleSystem();
+        const label = document.createElement('div');
+        label.textContent = (record.favourite ? '★ ' : '') + record.name;
+        label.style.cssText = 'font-size: 12px; margin-top: 4px; white-space: nowrap; overflow: hidden; text-overflow: ellipsis;';
 
-    console.log(`High-res export completed at ${scale}x resolution`);
-};
+        card.appendChild(image);
+        card.appendChild(label);
+        card.addEventListener('click', () => {
+            selectedPresetName = record.name;
+            updatePresetGallery();
+        });
+        card.addEventListener('dblclick', () => loadPresetFromStorage(record.name));
+        gallery.appendChild(card);
+    });
 
-// ========== PRESET MANAGEMENT ==========
-const PRESET_STORAGE_KEY = '3d-type-shaper-presets';
+    if (status) {
+        status.textContent = records.length === 0
+            ? 'No saved presets yet'
+            : `${visible.length} of ${records.length} presets`;
+    }
 
-function getPresetData() {
-    // Clone settings object, excluding non-serializable/runtime items
-    const preset = JSON.parse(JSON.stringify(textData));
-    // Remove runtime-only properties
-    delete preset.mouseX;
-    delete preset.mouseY;
-    delete preset.previousCanvasSize;
-    delete preset.animationTime;
-    delete preset.autoTime;
-    delete preset.isAnimating;
-    return preset;
+    showPresetDetails(records.find(record => record.name === selectedPresetName) || null);
 }
 
-function savePreset(name) {
-    const preset = {
-        name: name,
-        timestamp: Date.now(),
-        tool: '3DTypeShaper',
-        version: '1.0',
-        settings: getPresetData()
-    };
+function showPresetDetails(record) {
+    const details = document.getElementById('preset-details');
+    if (!details) return;
 
-    // Save to localStorage
-    const presets = JSON.parse(localStorage.getItem(PRESET_STORAGE_KEY) || '{}');
-    presets[name] = preset;
-    localStorage.setItem(PRESET_STORAGE_KEY, JSON.stringify(presets));
+    details.style.display = record ? 'block' : 'none';
+    if (!record) return;
 
-    // Also download as JSON file
-    const blob = new Blob([JSON.stringify(preset, null, 2)], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `${name.replace(/[^a-z0-9]/gi, '_')}.json`;
-    a.click();
-    URL.revokeObjectURL(url);
+    const nameEl = document.getElementById('preset-details-name');
+    const dateEl = document.getElementById('preset-details-date');
+    const description = document.getElementById('preset-description');
+    const tags = document.getElementById('preset-tags');
+    const favouriteBtn = document.getElementById('favourite-preset-btn');
 
-    updatePresetDropdown();
+    if (nameEl) nameEl.textContent = record.name;
+    if (dateEl) dateEl.textContent = `Saved ${new Date(record.timestamp).toLocaleString()}` + (record.bundle ? ' · includes uploaded files' : '');
+    if (description && document.activeElement !== description) description.value = record.description || '';
+    if (tags && document.activeElement !== tags) tags.value = (record.tags || []).join(', ');
+    if (favouriteBtn) favouriteBtn.textContent = record.favourite ? '★ Favourite' : '☆ Favourite';
 }
 
-function loadPreset(preset) {
-    // Apply settings from preset
-    Object.assign(textData, preset.settings);
+// Change fields of the selected preset and refresh the gallery
+async function updateSelectedPreset(changes) {
+    const record = selectedPresetName && await presetStore.get(selectedPresetName);
+    if (!record) return;
 
-    // Sync all UI controls to match loaded values
-    syncUIToSettings();
-
-    // Re-render canvas
-    rebuildParticleSystem();
+    await presetStore.put({ ...record, ...changes });
+    await updatePresetGallery();
 }
 
-function loadPresetFromStorage(name) {
-    const presets = JSON.parse(localStorage.getItem(PRESET_STORAGE_KEY) || '{}');
-    if (presets[name]) {
-        loadPreset(presets[name]);
+async function duplicatePreset(name) {
+    const record = await presetStore.get(name);
+    if (!record) return;
+
+    const newName = prompt('Name of the copy:', `${name} copy`);
+    if (!newName || !newName.trim()) return;
+    if (await presetStore.get(newName.trim())) {
+        alert(`A preset named "${newName.trim()}" already exists`);
+        return;
     }
+
+    await presetStore.put({ ...record, name: newName.trim(), timestamp: Date.now() });
+    selectedPresetName = newName.trim();
+    await updatePresetGallery();
 }
 
-function deletePreset(name) {
-    const presets = JSON.parse(localStorage.getItem(PRESET_STORAGE_KEY) || '{}');
-    delete presets[name];
-    localStorage.setItem(PRESET_STORAGE_KEY, JSON.stringify(presets));
-    updatePresetDropdown();
+async function renamePreset(name) {
+    const newName = prompt('Rename preset:', name);
+    if (!newName || !newName.trim() || newName.trim() === name) return;
+
+    await presetStore.rename(name, newName.trim());
+    selectedPresetName = newName.trim();
+    await updatePresetGallery();
 }
 
-function updatePresetDropdown() {
-    const select = document.getElementById('preset-select');
-    if (!select) return;
+async function deletePreset(name) {
+    await presetStore.delete(name);
+    if (selectedPresetName === name) selectedPresetName = null;
+    await updatePresetGallery();
+}
 
-    const presets = JSON.parse(localStorage.getItem(PRESET_STORAGE_KEY) || '{}');
+// Move presets saved in localStorage by older versions, then show the gallery
+async function initPresetGallery() {
+    if (!presetStore) return;
 
-    select.innerHTML = '<option value="">-- Select Preset --</option>';
-    Object.keys(presets).sort().forEach(name => {
-        const option = document.createElement('option');
-        option.value = name;
-        option.textContent = name;
-        select.appendChild(option);
-    });
+    try {
+        const imported = await presetStore.importLocalStorage(PRESET_STORAGE_KEY);
+        if (imported > 0) console.log(`Moved ${imported} saved presets to IndexedDB`);
+    } catch (error) {
+        console.error('Preset migration failed:', error);
+    }
+
+    try {
+        await updatePresetGallery();
+    } catch (error) {
+        console.error('Preset gallery failed:', error);
+        const status = document.getElementById('preset-gallery-status');
+        if (status) status.textContent = 'Saved presets are unavailable (IndexedDB blocked)';
+    }
 }
 
 function syncUIToSettings() {
@@ -3290,10 +7557,28 @@ function syncUIToSettings() {
     setSlider('spawn-shape-size', textData.spawnShapeSize);
     setSlider('shape-offset-x', textData.shapeOffsetX);
     setSlider('shape-offset-y', textData.shapeOffsetY);
+    setSlider('svg-size', textData.svgSize);
+    setSlider('svg-offset-x', textData.svgOffsetX);
+    setSlider('svg-offset-y', textData.svgOffsetY);
+    const svgFillBtn = document.getElementById(textData.svgFillMode === 'outline' ? 'svg-fill-mode-outline' : 'svg-fill-mode-fill');
+    if (svgFillBtn) svgFillBtn.click();
+    setSlider('image-size', textData.imageSize);
+    setSelect('image-mapping', textData.imageMapping);
+    setSlider('image-threshold', textData.imageThreshold);
+    setSlider('image-min-scale', textData.imageMinScale);
+    setToggle('image-invert', textData.imageInvert);
+    setToggle('image-use-color', textData.imageUseColor);
+    setSlider('image-offset-x', textData.imageOffsetX);
+    setSlider('image-offset-y', textData.imageOffsetY);
 
     // Text settings
     setText('text-input', textData.text);
     setSelect('font-selector', textData.fontFamily);
+    setSelect('sampling-engine', textData.samplingEngine);
+    const textFillBtn = document.getElementById(textData.textFillMode === 'outline' ? 'text-fill-mode-outline' : 'text-fill-mode-fill');
+    if (textFillBtn) textFillBtn.click();
+    setSlider('text-stroke-width', textData.strokeWidth);
+    setSlider('text-outline-rings', textData.outlineRings);
     setSlider('font-size', textData.fontSize);
     setSlider('leading', textData.leading);
     setSlider('letter-spacing', textData.letterSpacing);
@@ -3304,6 +7589,8 @@ function syncUIToSettings() {
     setSelect('shape-type', textData.shapeType);
     setSlider('shape-size', textData.shapeSize);
     setSlider('spacing', textData.spacing);
+    setSelect('distribution', textData.distribution);
+    setText('random-seed', textData.seed);
 
     // Material settings
     setSelect('material-type', textData.materialType);
@@ -3325,6 +7612,71 @@ function syncUIToSettings() {
     setSlider('angle-y', textData.fixedAngleY);
     setSlider('angle-z', textData.fixedAngleZ);
 
+    // Camera
+    setSelect('camera-projection', textData.camera.projection);
+    setSlider('camera-fov', textData.camera.fov);
+    setToggle('camera-locked', textData.camera.locked);
+    applyCameraPose({});
+
+    // Build animation
+    setSelect('build-style', textData.buildStyle);
+    setSelect('build-offscreen-side', textData.buildOffscreenSide);
+    setSelect('build-stagger', textData.buildStagger);
+    setSelect('build-easing', textData.buildEasing);
+    setSlider('build-duration', textData.buildDuration);
+    setSlider('build-stagger-delay', textData.buildStaggerDelay);
+    setToggle('build-autoplay', textData.buildAutoplay);
+
+    // Morph + playlist
+    setToggle('morph-enabled', textData.morphEnabled);
+    setSelect('morph-easing', textData.morphEasing);
+    setSlider('morph-duration', textData.morphDuration);
+    setText('playlist-items', (textData.playlistItems || []).join('\n'));
+    setSlider('playlist-interval', textData.playlistInterval);
+    setToggle('playlist-enabled', textData.playlistEnabled);
+
+    // Animation export
+    setSlider('export-duration', textData.exportDuration);
+    setSelect('export-fps', textData.exportFps);
+    setSelect('export-scale', textData.exportScale);
+    setSelect('video-format', textData.videoFormat);
+    setToggle('export-play-intro', textData.exportPlayIntro);
+    setToggle('export-sprite-sheet', textData.exportSpriteSheet);
+
+    // GIF export
+    setSelect('gif-fps', textData.gifFps);
+    setSelect('gif-scale', textData.gifScale);
+    setSelect('gif-palette', textData.gifPalette);
+    setToggle('gif-dither', textData.gifDither);
+    setSlider('gif-loop-count', textData.gifLoopCount);
+    setSlider('gif-trim-start', textData.gifTrimStart);
+    setSlider('gif-trim-end', textData.gifTrimEnd);
+    setToggle('gif-seamless', textData.gifSeamless);
+
+    // 3D export
+    setSelect('gltf-format', textData.gltfFormat);
+    setSelect('gltf-mode', textData.gltfMode);
+
+    // Point export
+    setSelect('point-format', textData.pointFormat);
+    setSelect('point-units', textData.pointUnits);
+    setSelect('point-centering', textData.pointCentering);
+
+    // Large image export
+    setSelect('tiled-size-mode', textData.tiledSizeMode);
+    setSelect('tiled-paper', textData.tiledPaper);
+    setSelect('tiled-orientation', textData.tiledOrientation);
+    setSelect('tiled-dpi', textData.tiledDpi);
+    setText('tiled-width', textData.tiledWidth);
+    setText('tiled-height', textData.tiledHeight);
+
+    // Extrusion
+    setSlider('extrude-depth', textData.extrudeDepth);
+    setSlider('extrude-layers', textData.extrudeLayers);
+    const extrudeModeBtn = document.getElementById(textData.extrudeMode === 'shell' ? 'extrude-mode-shell' : 'extrude-mode-filled');
+    if (extrudeModeBtn) extrudeModeBtn.click();
+    setSlider('extrude-bevel', textData.extrudeBevel);
+
     // Animation
     setSelect('animation-type', textData.animationType);
     setSlider('rotate-speed', textData.rotateSpeed);
@@ -3376,41 +7728,100 @@ function initPresetUI() {
             if (!name || !name.trim()) {
                 return;
             }
-            savePreset(name.trim());
+            savePreset(name.trim()).catch(error => {
+                console.error('Save preset failed:', error);
+                alert('Failed to save preset: ' + error.message);
+            });
         });
     }
 
-    // Preset select dropdown
-    const presetSelect = document.getElementById('preset-select');
-    if (presetSelect) {
-        presetSelect.addEventListener('change', (e) => {
-            const deleteBtn = document.getElementById('delete-preset-btn');
-            if (e.target.value) {
-                loadPresetFromStorage(e.target.value);
-                if (deleteBtn) deleteBtn.style.display = 'block';
-            } else {
-                if (deleteBtn) deleteBtn.style.display = 'none';
+    // Gallery search and favourites filter
+    const presetSearch = document.getElementById('preset-search');
+    if (presetSearch) {
+        presetSearch.addEventListener('input', () => updatePresetGallery());
+    }
+
+    const presetFilter = document.getElementById('preset-filter');
+    if (presetFilter) {
+        presetFilter.addEventListener('change', () => updatePresetGallery());
+    }
+
+    // Selected preset: description and tags save when the field is left
+    const presetDescription = document.getElementById('preset-description');
+    if (presetDescription) {
+        presetDescription.addEventListener('change', (e) => {
+            updateSelectedPreset({ description: e.target.value.trim() });
+        });
+    }
+
+    const presetTags = document.getElementById('preset-tags');
+    if (presetTags) {
+        presetTags.addEventListener('change', (e) => {
+            updateSelectedPreset({ tags: parsePresetTags(e.target.value) });
+        });
+    }
+
+    const presetActions = {
+        'load-preset-btn': name => loadPresetFromStorage(name),
+        'favourite-preset-btn': async name => {
+            const record = await presetStore.get(name);
+            if (record) await updateSelectedPreset({ favourite: !record.favourite });
+        },
+        'duplicate-preset-btn': name => duplicatePreset(name),
+        'rename-preset-btn': name => renamePreset(name),
+        'delete-preset-btn': name => confirm(`Delete preset "${name}"?`) && deletePreset(name)
+    };
+    Object.entries(presetActions).forEach(([id, action]) => {
+        const btn = document.getElementById(id);
+        if (!btn) return;
+        btn.addEventListener('click', async () => {
+            if (!selectedPresetName) return;
+            try {
+                await action(selectedPresetName);
+            } catch (error) {
+                console.error('Preset action failed:', error);
+                alert(error.message);
+            }
+        });
+    });
+
+    // Save preset bundle (ZIP with the uploaded assets)
+    const saveBundleBtn = document.getElementById('save-bundle-btn');
+    if (saveBundleBtn) {
+        saveBundleBtn.addEventListener('click', async () => {
+            const name = prompt('Enter preset name:');
+            if (!name || !name.trim()) {
+                return;
+            }
+            try {
+                const blob = await createPresetBundle(name.trim());
+                downloadBlob(blob, `${name.trim().replace(/[^a-z0-9]/gi, '_')}.zip`);
+            } catch (error) {
+                console.error('Preset bundle failed:', error);
+                alert('Failed to save preset bundle: ' + error.message);
             }
         });
     }
 
-    // Upload preset from file
+    // Upload preset from file (JSON preset or ZIP bundle)
     const presetUpload = document.getElementById('preset-upload');
     if (presetUpload) {
         presetUpload.addEventListener('change', (e) => {
             const file = e.target.files[0];
-            if (file) {
+            if (file && /\.zip$/i.test(file.name)) {
+                loadPresetBundle(file).catch(error => {
+                    console.error('Preset bundle failed:', error);
+                    alert('Invalid preset bundle: ' + error.message);
+                });
+                e.target.value = ''; // Reset input
+            } else if (file) {
                 const reader = new FileReader();
                 reader.onload = (event) => {
                     try {
-                        const preset = JSON.parse(event.target.result);
-                        if (preset.settings) {
-                            loadPreset(preset);
-                        } else {
-                            alert('Invalid preset file format');
-                        }
+                        loadPreset(JSON.parse(event.target.result));
                     } catch (err) {
-                        alert('Invalid preset file: ' + err.message);
+                        console.error('Preset failed:', err);
+                        alert(`Invalid preset file "${file.name}":\n` + err.message);
                     }
                 };
                 reader.readAsText(file);
@@ -3419,23 +7830,197 @@ function initPresetUI() {
         });
     }
 
-    // Delete preset button
-    const deleteBtn = document.getElementById('delete-preset-btn');
-    if (deleteBtn) {
-        deleteBtn.addEventListener('click', () => {
-            const select = document.getElementById('preset-select');
-            const name = select?.value;
-            if (name && confirm(`Delete preset "${name}"?`)) {
-                deletePreset(name);
-                deleteBtn.style.display = 'none';
+    // Copy a link to the current settings
+    const copyLinkBtn = document.getElementById('copy-link-btn');
+    const copyLinkStatus = document.getElementById('copy-link-status');
+    if (copyLinkBtn) {
+        copyLinkBtn.addEventListener('click', async () => {
+            try {
+                if (!window.fflate) throw new Error('fflate not loaded');
+                const url = getShareURL();
+                await navigator.clipboard.writeText(url);
+                if (copyLinkStatus) copyLinkStatus.textContent = `Link copied (${url.length} characters)`;
+            } catch (error) {
+                console.error('Copy link failed:', error);
+                alert('Failed to copy link: ' + error.message);
             }
         });
     }
 
-    // Initialize dropdown with saved presets
-    updatePresetDropdown();
+    // Move old saved presets and show the gallery
+    initPresetGallery();
+}
+
+// ========== PUBLIC API ==========
+/**
+ * window.TypeShaper - scripting and embedding interface
+ *
+ * Settings use the preset keys (see textData), nested keys as dot paths: 'camera.zoom', 'hoverEffects.radius'
+ * Changes go through the same path as presets: validated, synced to the controls, one undo step each
+ *
+ *   TypeShaper.ready                         Promise, resolves once the scene exists
+ *   TypeShaper.get(path?)                    Copy of one setting, or of all settings
+ *   TypeShaper.set(path, value)              Change one setting; set({path: value, ...}) changes several at once
+ *   TypeShaper.setText(text)                 Shorthand for set('text', text)
+ *   TypeShaper.loadPreset(preset)            Preset object, JSON string, saved preset name, or .json/.zip File
+ *   TypeShaper.exportPNG(options?)           {scale, width, height, dpi, filename} -> PNG Blob (null when stopped)
+ *   TypeShaper.exportVideo(options?)         {duration, fps, scale, format, playIntro, filename} -> video Blob
+ *   TypeShaper.on(event, callback)           Returns an unsubscribe function
+ *   TypeShaper.off(event, callback)
+ *
+ * Events:
+ *   'change'  {keys}        Settings changed (controls, presets, undo/redo or the API)
+ *   'rebuild' {pointCount}  Particles were regenerated
+ *   'frame'   {canvas}      A frame was rendered (live loops and captured export frames)
+ *
+ * set, setText and loadPreset resolve after the result has been drawn; every method rejects on invalid input
+ */
+const typeShaperListeners = { change: new Set(), rebuild: new Set(), frame: new Set() };
+let resolveTypeShaperReady = null;
+
+function emitTypeShaperEvent(type, detail) {
+    const listeners = typeShaperListeners[type];
+    if (!listeners || listeners.size === 0) return;
+
+    listeners.forEach(callback => {
+        try {
+            callback(detail);
+        } catch (error) {
+            console.error(`TypeShaper '${type}' listener failed:`, error);
+        }
+    });
+}
+
+function getTypeShaperListeners(type) {
+    const listeners = typeShaperListeners[type];
+    if (!listeners) throw new Error(`Unknown event "${type}" (use ${Object.keys(typeShaperListeners).join(', ')})`);
+    return listeners;
+}
+
+// Default at a dot path; undefined when the path isn't a setting
+function getSettingDefault(path) {
+    return path.split('.').reduce((value, key) => {
+        if (!isPlainObject(value)) return undefined;
+        // Keyed maps like letterTransforms accept any key
+        return Object.keys(value).length === 0 ? null : value[key];
+    }, PRESET_DEFAULTS);
+}
+
+function setSettingPath(settings, path, value) {
+    const keys = path.split('.');
+    const parent = keys.slice(0, -1).reduce((object, key) => object[key], settings);
+    parent[keys[keys.length - 1]] = value;
+}
+
+// Resolves once the current state has been drawn
+function nextTypeShaperFrame() {
+    return new Promise(resolve => requestAnimationFrame(() => resolve()));
+}
+
+function setSettings(changes) {
+    if (!scene) return Promise.reject(new Error('TypeShaper is not ready yet (await TypeShaper.ready)'));
+
+    const settings = getPresetData();
+    const paths = Object.keys(changes);
+    for (const path of paths) {
+        if (getSettingDefault(path) === undefined) {
+            return Promise.reject(new Error(`Unknown setting "${path}"`));
+        }
+        setSettingPath(settings, path, JSON.parse(JSON.stringify(changes[path])));
+    }
+
+    let normalized;
+    try {
+        normalized = normalizePresetSettings({ version: PRESET_VERSION, settings });
+    } catch (error) {
+        return Promise.reject(error);
+    }
+
+    withHistory(paths.length === 1 ? paths[0] : `${paths.length} settings`, () => {
+        Object.assign(textData, normalized);
+        syncUIToSettings();
+        rebuildParticleSystem();
+    });
+    return nextTypeShaperFrame();
+}
+
+async function loadTypeShaperPreset(preset) {
+    if (!scene) throw new Error('TypeShaper is not ready yet (await TypeShaper.ready)');
+
+    if (preset instanceof Blob) {
+        if (/\.zip$/i.test(preset.name || '') || preset.type === 'application/zip') {
+            await loadPresetBundle(preset);
+        } else {
+            loadPreset(JSON.parse(await preset.text()));
+        }
+    } else if (typeof preset === 'string') {
+        if (preset.trim().startsWith('{')) loadPreset(JSON.parse(preset));
+        else await loadStoredPreset(preset);
+    } else {
+        loadPreset(preset);
+    }
+
+    await nextTypeShaperFrame();
+}
+
+async function exportTypeShaperPNG(options = {}) {
+    if (!renderer) throw new Error('TypeShaper is not ready yet (await TypeShaper.ready)');
+
+    const { scale = 1, dpi = 0, filename = null } = options;
+    const canvas = renderer.domElement;
+    const blob = await renderTiled({
+        width: options.width || canvas.width * scale,
+        height: options.height || canvas.height * scale,
+        dpi,
+        output: 'png'
+    });
+
+    if (blob && filename) downloadBlob(blob, filename);
+    return blob;
+}
+
+async function exportTypeShaperVideo(options = {}) {
+    if (!renderer) throw new Error('TypeShaper is not ready yet (await TypeShaper.ready)');
+
+    const { filename = null } = options;
+    const blob = await recordVideo(options);
+
+    if (filename) downloadBlob(blob, filename);
+    return blob;
 }
 
+window.TypeShaper = {
+    ready: new Promise(resolve => { resolveTypeShaperReady = resolve; }),
+
+    get(path) {
+        const settings = getPresetData();
+        if (!path) return settings;
+        if (getSettingDefault(path) === undefined) throw new Error(`Unknown setting "${path}"`);
+        return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), settings);
+    },
+
+    set(path, value) {
+        return isPlainObject(path) ? setSettings(path) : setSettings({ [path]: value });
+    },
+
+    setText(text) {
+        return setSettings({ text: String(text) });
+    },
+
+    loadPreset: loadTypeShaperPreset,
+    exportPNG: exportTypeShaperPNG,
+    exportVideo: exportTypeShaperVideo,
+
+    on(type, callback) {
+        getTypeShaperListeners(type).add(callback);
+        return () => this.off(type, callback);
+    },
+
+    off(type, callback) {
+        getTypeShaperListeners(type).delete(callback);
+    }
+};
+
 // ========== INITIALIZATION ==========
 document.addEventListener('DOMContentLoaded', () => {
     // If Three.js is already loaded, initialize
@@ -3445,4 +8030,5 @@ document.addEventListener('DOMContentLoaded', () => {
 
     // Initialize preset UI
     initPresetUI();
+    initHistoryUI();
 });
@@ -0,0 +1,126 @@
+/**
+ * PresetStore.js
+ * Saved presets in IndexedDB, keyed by name
+ * IndexedDB takes Blobs and far more space than localStorage,
+ * so records can carry a thumbnail and a bundle of the uploaded assets
+ */
+
+class PresetStore {
+    /**
+     * Record layout:
+     *   {name, timestamp, tool, version, settings}  - the preset file format
+     *   description, tags (Array<string>), favourite
+     *   thumbnail: Blob (PNG) | null
+     *   bundle: Blob (ZIP from createPresetBundle) | null, when the preset uses uploaded files
+     * @param {string} databaseName
+     */
+    constructor(databaseName) {
+        this.databaseName = databaseName;
+        this.storeName = 'presets';
+        this.database = null;
+    }
+
+    open() {
+        if (!this.database) {
+            this.database = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.databaseName, 1);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(this.storeName, { keyPath: 'name' });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.database;
+    }
+
+    // ============ RECORDS ============
+    async getAll() {
+        return this.request('readonly', store => store.getAll());
+    }
+
+    async get(name) {
+        return this.request('readonly', store => store.get(name));
+    }
+
+    async put(record) {
+        return this.request('readwrite', store => store.put(PresetStore.withDefaults(record)));
+    }
+
+    async delete(name) {
+        return this.request('readwrite', store => store.delete(name));
+    }
+
+    /**
+     * Move a record to a new name (fails when the name is taken)
+     */
+    async rename(name, newName) {
+        const database = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = database.transaction(this.storeName, 'readwrite');
+            const store = transaction.objectStore(this.storeName);
+            const request = store.get(name);
+
+            request.onsuccess = () => {
+                if (!request.result) {
+                    transaction.abort();
+                    reject(new Error(`Preset "${name}" not found`));
+                    return;
+                }
+                store.add({ ...request.result, name: newName }).onsuccess = () => store.delete(name);
+            };
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(new Error(`A preset named "${newName}" already exists`));
+        });
+    }
+
+    /**
+     * Move presets saved by older versions from a localStorage key into the store
+     * Existing records win; the key is removed once everything is copied
+     * @returns {Promise<number>} Number of presets imported
+     */
+    async importLocalStorage(storageKey) {
+        const saved = localStorage.getItem(storageKey);
+        if (!saved) return 0;
+
+        const presets = JSON.parse(saved);
+        const existing = new Set((await this.getAll()).map(record => record.name));
+        let imported = 0;
+
+        for (const [name, preset] of Object.entries(presets)) {
+            if (existing.has(name)) continue;
+            await this.put({ ...preset, name });
+            imported++;
+        }
+
+        localStorage.removeItem(storageKey);
+        return imported;
+    }
+
+    // ============ HELPERS ============
+    async request(mode, operation) {
+        const database = await this.open();
+        return new Promise((resolve, reject) => {
+            const request = operation(database.transaction(this.storeName, mode).objectStore(this.storeName));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    static withDefaults(record) {
+        return {
+            timestamp: Date.now(),
+            description: '',
+            tags: [],
+            favourite: false,
+            thumbnail: null,
+            bundle: null,
+            ...record
+        };
+    }
+}
+
+// Export for use in main.js
+if (typeof window !== 'undefined') {
+    window.PresetStore = PresetStore;
+}
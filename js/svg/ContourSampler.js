@@ -0,0 +1,407 @@
+/**
+ * ContourSampler.js
+ * Turns vector outlines (glyph or path commands) into point sets
+ * Supports sampling evenly along contours and filling their interior
+ */
+
+class ContourSampler {
+    /**
+     * Flatten path commands into polyline contours
+     * Subpaths that neither end in Z nor return to their start are flagged contour.open
+     * @param {Array} commands - [{type: 'M'|'L'|'Q'|'C'|'Z', x, y, x1, y1, x2, y2}, ...]
+     * @param {number} segmentLength - Approximate length of a flattened curve segment
+     * @returns {Array<Array<{x, y}>>} Contours
+     */
+    static flattenCommands(commands, segmentLength = 2) {
+        const contours = [];
+        let current = [];
+        let cursor = { x: 0, y: 0 };
+        let start = { x: 0, y: 0 };
+
+        const closeCurrent = (closed = false) => {
+            if (current.length > 1) {
+                // Drop duplicated closing vertex
+                const first = current[0];
+                const last = current[current.length - 1];
+                if (Math.abs(first.x - last.x) < 1e-6 && Math.abs(first.y - last.y) < 1e-6) {
+                    current.pop();
+                    closed = true;
+                }
+            }
+            if (closed ? current.length > 2 : current.length > 1) {
+                if (!closed) current.open = true;
+                contours.push(current);
+            }
+            current = [];
+        };
+
+        commands.forEach(cmd => {
+            switch (cmd.type) {
+                case 'M':
+                    closeCurrent();
+                    cursor = { x: cmd.x, y: cmd.y };
+                    start = cursor;
+                    current.push(cursor);
+                    break;
+
+                case 'L':
+                    cursor = { x: cmd.x, y: cmd.y };
+                    current.push(cursor);
+                    break;
+
+                case 'Q': {
+                    const p0 = cursor;
+                    const estimate = this.distance(p0, { x: cmd.x1, y: cmd.y1 }) +
+                                     this.distance({ x: cmd.x1, y: cmd.y1 }, cmd);
+                    const steps = this.getCurveSteps(estimate, segmentLength);
+                    for (let i = 1; i <= steps; i++) {
+                        const t = i / steps;
+                        const mt = 1 - t;
+                        current.push({
+                            x: mt * mt * p0.x + 2 * mt * t * cmd.x1 + t * t * cmd.x,
+                            y: mt * mt * p0.y + 2 * mt * t * cmd.y1 + t * t * cmd.y
+                        });
+                    }
+                    cursor = { x: cmd.x, y: cmd.y };
+                    break;
+                }
+
+                case 'C': {
+                    const p0 = cursor;
+                    const estimate = this.distance(p0, { x: cmd.x1, y: cmd.y1 }) +
+                                     this.distance({ x: cmd.x1, y: cmd.y1 }, { x: cmd.x2, y: cmd.y2 }) +
+                                     this.distance({ x: cmd.x2, y: cmd.y2 }, cmd);
+                    const steps = this.getCurveSteps(estimate, segmentLength);
+                    for (let i = 1; i <= steps; i++) {
+                        const t = i / steps;
+                        const mt = 1 - t;
+                        current.push({
+                            x: mt * mt * mt * p0.x + 3 * mt * mt * t * cmd.x1 + 3 * mt * t * t * cmd.x2 + t * t * t * cmd.x,
+                            y: mt * mt * mt * p0.y + 3 * mt * mt * t * cmd.y1 + 3 * mt * t * t * cmd.y2 + t * t * t * cmd.y
+                        });
+                    }
+                    cursor = { x: cmd.x, y: cmd.y };
+                    break;
+                }
+
+                case 'Z':
+                    closeCurrent(true);
+                    cursor = start;
+                    break;
+            }
+        });
+
+        closeCurrent();
+        return contours;
+    }
+
+    /**
+     * Place points evenly along each contour
+     * Spacing is adjusted per contour so points close the loop without a gap
+     * (open contours get a point at both ends instead)
+     * @param {Array<Array<{x, y}>>} contours
+     * @param {number} spacing - Target distance between points
+     * @returns {Array<{x, y}>}
+     */
+    static sampleOutline(contours, spacing) {
+        const points = [];
+
+        contours.forEach(contour => {
+            const perimeter = this.getPerimeter(contour);
+            if (perimeter === 0) return;
+
+            const count = contour.open
+                ? Math.max(2, Math.round(perimeter / spacing) + 1)
+                : Math.max(3, Math.round(perimeter / spacing));
+            const step = contour.open ? perimeter / (count - 1) : perimeter / count;
+            const n = contour.length;
+            const edges = contour.open ? n - 1 : n;
+
+            let emitted = 0;
+            let target = 0;
+            let travelled = 0;
+
+            for (let i = 0; i < edges && emitted < count; i++) {
+                const a = contour[i];
+                const b = contour[(i + 1) % n];
+                const length = this.distance(a, b);
+
+                while (emitted < count && target <= travelled + length) {
+                    const t = length > 0 ? (target - travelled) / length : 0;
+                    points.push({
+                        x: a.x + (b.x - a.x) * t,
+                        y: a.y + (b.y - a.y) * t
+                    });
+                    emitted++;
+                    target += step;
+                }
+                travelled += length;
+            }
+
+            // Rounding can leave the end of an open contour unplaced
+            if (contour.open && emitted < count) {
+                points.push({ ...contour[contour.length - 1] });
+            }
+        });
+
+        return points;
+    }
+
+    /**
+     * Place points along one or more rings inset from the contours
+     * Rings are spread evenly across a band of strokeWidth measured inward from the edge,
+     * at most one per spacing of band width (a zero-width band is the outline itself)
+     * @param {Array<Array<{x, y}>>} contours
+     * @param {number} spacing - Target distance between points along a ring
+     * @param {Object} options - {rings, strokeWidth, fillRule}
+     * @returns {Array<{x, y}>}
+     */
+    static sampleOutlineRings(contours, spacing, options = {}) {
+        const { rings = 1, strokeWidth = 0, fillRule = 'nonzero' } = options;
+        const points = [];
+        const inwardSigns = contours.map(contour => this.getInwardSign(contours, contour, fillRule));
+        // Closer rings would repeat the same points
+        const ringCount = Math.max(1, Math.min(Math.floor(rings), Math.floor(strokeWidth / Math.max(1, spacing))));
+
+        for (let k = 0; k < ringCount; k++) {
+            const inset = (k + 0.5) * strokeWidth / ringCount;
+
+            if (inset <= 0) {
+                points.push(...this.sampleOutline(contours, spacing));
+                continue;
+            }
+
+            const ringContours = contours.map((contour, i) => this.offsetContour(contour, inset * inwardSigns[i]));
+
+            // Insetting collapses thin parts of the shape - drop points that left the band
+            const ringPoints = this.sampleOutline(ringContours, spacing).filter(p =>
+                this.isInside(contours, p.x, p.y, fillRule) &&
+                this.distanceToContours(contours, p) >= inset * 0.8
+            );
+            points.push(...ringPoints);
+        }
+
+        return points;
+    }
+
+    /**
+     * Offset a contour along its edge normals (miter joins)
+     * @param {Array<{x, y}>} contour
+     * @param {number} distance - Positive offsets along the left normal of travel
+     * @returns {Array<{x, y}>}
+     */
+    static offsetContour(contour, distance) {
+        const n = contour.length;
+
+        return contour.map((p, i) => {
+            const n1 = this.getEdgeNormal(contour[(i - 1 + n) % n], p);
+            const n2 = this.getEdgeNormal(p, contour[(i + 1) % n]);
+
+            let mx = n1.x + n2.x;
+            let my = n1.y + n2.y;
+            const length = Math.sqrt(mx * mx + my * my);
+            if (length < 1e-6) {
+                return { x: p.x + n1.x * distance, y: p.y + n1.y * distance };
+            }
+            mx /= length;
+            my /= length;
+
+            // Miter length, limited so sharp corners don't spike
+            const cos = mx * n1.x + my * n1.y;
+            const miter = distance / Math.max(cos, 0.5);
+            return { x: p.x + mx * miter, y: p.y + my * miter };
+        });
+    }
+
+    /**
+     * Which side of a contour is filled: +1 for its left normal, -1 for its right
+     */
+    static getInwardSign(contours, contour, fillRule = 'nonzero') {
+        // Probe just off the midpoint of the longest edge
+        let longest = 0;
+        let probeIndex = 0;
+        for (let i = 0; i < contour.length; i++) {
+            const length = this.distance(contour[i], contour[(i + 1) % contour.length]);
+            if (length > longest) {
+                longest = length;
+                probeIndex = i;
+            }
+        }
+
+        const a = contour[probeIndex];
+        const b = contour[(probeIndex + 1) % contour.length];
+        const normal = this.getEdgeNormal(a, b);
+        const epsilon = Math.min(0.5, longest / 4);
+        const probeX = (a.x + b.x) / 2 + normal.x * epsilon;
+        const probeY = (a.y + b.y) / 2 + normal.y * epsilon;
+
+        return this.isInside(contours, probeX, probeY, fillRule) ? 1 : -1;
+    }
+
+    /**
+     * Point-in-shape test across all contours (ray casting with winding)
+     */
+    static isInside(contours, x, y, fillRule = 'nonzero') {
+        let winding = 0;
+        let crossings = 0;
+
+        contours.forEach(contour => {
+            const n = contour.length;
+            for (let i = 0, j = n - 1; i < n; j = i++) {
+                const a = contour[j];
+                const b = contour[i];
+                if ((a.y <= y) !== (b.y <= y)) {
+                    const crossX = a.x + (y - a.y) * (b.x - a.x) / (b.y - a.y);
+                    if (crossX > x) {
+                        winding += b.y > a.y ? 1 : -1;
+                        crossings++;
+                    }
+                }
+            }
+        });
+
+        return fillRule === 'evenodd' ? crossings % 2 === 1 : winding !== 0;
+    }
+
+    /**
+     * Shortest distance from a point to any contour edge
+     */
+    static distanceToContours(contours, p) {
+        let minDistSq = Infinity;
+
+        contours.forEach(contour => {
+            const n = contour.length;
+            for (let i = 0, j = n - 1; i < n; j = i++) {
+                const a = contour[j];
+                const b = contour[i];
+                const dx = b.x - a.x;
+                const dy = b.y - a.y;
+                const lengthSq = dx * dx + dy * dy;
+                const t = lengthSq > 0
+                    ? Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSq))
+                    : 0;
+                const ex = a.x + dx * t - p.x;
+                const ey = a.y + dy * t - p.y;
+                minDistSq = Math.min(minDistSq, ex * ex + ey * ey);
+            }
+        });
+
+        return Math.sqrt(minDistSq);
+    }
+
+    /**
+     * Fill the interior of a set of contours on a regular grid (scanline)
+     * @param {Array<Array<{x, y}>>} contours
+     * @param {number} spacing - Grid step
+     * @param {string} fillRule - 'nonzero' (fonts) or 'evenodd'
+     * @param {Object} origin - {x, y} grid alignment, defaults to 0,0
+     * @returns {Array<{x, y}>}
+     */
+    static sampleFill(contours, spacing, fillRule = 'nonzero', origin = { x: 0, y: 0 }) {
+        const points = [];
+        if (contours.length === 0) return points;
+
+        const bounds = this.getBounds(contours);
+        const startY = origin.y + Math.ceil((bounds.minY - origin.y) / spacing) * spacing;
+
+        for (let y = startY; y <= bounds.maxY; y += spacing) {
+            const spans = this.getScanlineSpans(contours, y, fillRule);
+
+            spans.forEach(([x0, x1]) => {
+                const startX = origin.x + Math.ceil((x0 - origin.x) / spacing) * spacing;
+                for (let x = startX; x < x1; x += spacing) {
+                    points.push({ x, y });
+                }
+            });
+        }
+
+        return points;
+    }
+
+    /**
+     * Interior spans of the contours along a horizontal line
+     * @returns {Array<[number, number]>} Sorted [startX, endX] pairs
+     */
+    static getScanlineSpans(contours, y, fillRule = 'nonzero') {
+        const crossings = [];
+
+        contours.forEach(contour => {
+            const n = contour.length;
+            for (let i = 0, j = n - 1; i < n; j = i++) {
+                const a = contour[j];
+                const b = contour[i];
+                // Half-open test so shared vertices are only counted once
+                if ((a.y <= y) !== (b.y <= y)) {
+                    crossings.push({
+                        x: a.x + (y - a.y) * (b.x - a.x) / (b.y - a.y),
+                        dir: b.y > a.y ? 1 : -1
+                    });
+                }
+            }
+        });
+
+        crossings.sort((a, b) => a.x - b.x);
+
+        const spans = [];
+        let winding = 0;
+        let parity = 0;
+        for (let i = 0; i < crossings.length - 1; i++) {
+            winding += crossings[i].dir;
+            parity ^= 1;
+            const inside = fillRule === 'evenodd' ? parity === 1 : winding !== 0;
+            if (inside) {
+                spans.push([crossings[i].x, crossings[i + 1].x]);
+            }
+        }
+        return spans;
+    }
+
+    // ============ HELPERS ============
+    static getCurveSteps(estimatedLength, segmentLength) {
+        return Math.max(2, Math.min(64, Math.ceil(estimatedLength / Math.max(0.1, segmentLength))));
+    }
+
+    static getEdgeNormal(a, b) {
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const length = Math.sqrt(dx * dx + dy * dy);
+        if (length === 0) return { x: 0, y: 0 };
+        return { x: -dy / length, y: dx / length };
+    }
+
+    static getPerimeter(contour) {
+        let perimeter = 0;
+        const edges = contour.open ? contour.length - 1 : contour.length;
+        for (let i = 0; i < edges; i++) {
+            perimeter += this.distance(contour[i], contour[(i + 1) % contour.length]);
+        }
+        return perimeter;
+    }
+
+    static distance(a, b) {
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        return Math.sqrt(dx * dx + dy * dy);
+    }
+
+    static getBounds(contours) {
+        let minX = Infinity, minY = Infinity;
+        let maxX = -Infinity, maxY = -Infinity;
+
+        contours.forEach(contour => {
+            contour.forEach(p => {
+                minX = Math.min(minX, p.x);
+                minY = Math.min(minY, p.y);
+                maxX = Math.max(maxX, p.x);
+                maxY = Math.max(maxY, p.y);
+            });
+        });
+
+        return { minX, minY, maxX, maxY };
+    }
+}
+
+// Export for use in main.js
+if (typeof window !== 'undefined') {
+    window.ContourSampler = ContourSampler;
+}
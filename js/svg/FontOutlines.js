@@ -0,0 +1,166 @@
+/**
+ * FontOutlines.js
+ * Parses fonts (uploaded or local system fonts) with opentype.js and lays out
+ * text as glyph Bézier outlines, matching the raster text layout in main.js
+ */
+
+class FontOutlines {
+    // Parsed opentype fonts keyed by CSS font family
+    static fonts = new Map();
+    // Pending local font lookups keyed by family (avoids parallel prompts)
+    static loading = new Map();
+    // Why the last lookup of a family failed, keyed by family
+    static errors = new Map();
+
+    /**
+     * Parse a font file and register it under a family name
+     * @param {string} family - CSS font family used by textData.fontFamily
+     * @param {ArrayBuffer} buffer - TTF/OTF/WOFF data
+     * @returns {Object} opentype Font
+     */
+    static register(family, buffer) {
+        if (!window.opentype) {
+            throw new Error('opentype.js not loaded');
+        }
+        const font = window.opentype.parse(buffer);
+        this.fonts.set(family, font);
+        return font;
+    }
+
+    static get(family) {
+        return this.fonts.get(family) || null;
+    }
+
+    // Reason the last load() of a family resolved to null, or null
+    static getError(family) {
+        return this.errors.get(family) || null;
+    }
+
+    /**
+     * Load a built-in (system) font through the Local Font Access API
+     * Resolves to null when the API is unavailable, access is denied or the font can't be found
+     * (see getError). Failures are not cached: the browser only asks for access during a
+     * user gesture, so call this from one and call again to retry
+     * @param {string} family
+     * @returns {Promise<Object|null>}
+     */
+    static load(family) {
+        if (this.fonts.has(family)) {
+            return Promise.resolve(this.fonts.get(family));
+        }
+        if (this.loading.has(family)) {
+            return this.loading.get(family);
+        }
+
+        const fail = (message) => {
+            console.warn(`FontOutlines: ${message}`);
+            this.errors.set(family, message);
+            return null;
+        };
+
+        const promise = (async () => {
+            if (!window.queryLocalFonts) {
+                return fail('Local font access is not supported in this browser');
+            }
+
+            try {
+                const available = await window.queryLocalFonts();
+                const matches = available.filter(f => f.family === family);
+                // Raster text is drawn bold, so prefer the bold face
+                const match = matches.find(f => /^bold$/i.test(f.style)) ||
+                              matches.find(f => /^(regular|normal|roman)$/i.test(f.style)) ||
+                              matches[0];
+
+                if (!match) {
+                    return fail(`"${family}" was not found in local fonts`);
+                }
+
+                const blob = await match.blob();
+                const font = this.register(family, await blob.arrayBuffer());
+                this.errors.delete(family);
+                return font;
+            } catch (err) {
+                return fail(`Could not load "${family}" (${err.message})`);
+            }
+        })();
+
+        // Only while pending: a later call looks the font up again
+        this.loading.set(family, promise);
+        promise.then(() => this.loading.delete(family));
+        return promise;
+    }
+
+    /**
+     * Lay out multi-line text as glyph path commands in canvas coordinates (Y down)
+     * @param {Object} font - opentype Font
+     * @param {string} text - Text with '\n' line breaks
+     * @param {Object} options - {fontSize, leading, letterSpacing, textAlign, centerX, centerY}
+     * @returns {Array<{lineIndex, charIndex, char, commands}>} One entry per glyph
+     */
+    static layoutText(font, text, options) {
+        const { fontSize, leading, letterSpacing, textAlign, centerX, centerY } = options;
+        const scale = fontSize / font.unitsPerEm;
+        const lines = text.split('\n').map(line => Array.from(line));
+        const leadingPixels = fontSize * leading;
+
+        // Measure line widths (advance + kerning + letter spacing, like canvas letterSpacing)
+        const lineGlyphs = lines.map(chars => chars.map(char => font.charToGlyph(char)));
+        const lineWidths = lineGlyphs.map(glyphs => {
+            let width = 0;
+            glyphs.forEach((glyph, i) => {
+                width += glyph.advanceWidth * scale + letterSpacing;
+                if (i > 0) width += font.getKerningValue(glyphs[i - 1], glyph) * scale;
+            });
+            return width;
+        });
+        const maxLineWidth = Math.max(...lineWidths);
+
+        // Vertical layout mirrors getTextPoints ('middle' baseline = middle of the em box)
+        const totalTextHeight = fontSize + (lines.length - 1) * leadingPixels;
+        const startY = centerY - (totalTextHeight / 2) + (fontSize / 2);
+        const middleToBaseline = ((font.ascender + font.descender) / 2) * scale;
+
+        const glyphs = [];
+        lineGlyphs.forEach((lineGlyphList, lineIndex) => {
+            const baseline = startY + lineIndex * leadingPixels + middleToBaseline;
+            const lineWidth = lineWidths[lineIndex];
+
+            let x;
+            switch (textAlign) {
+                case 'left':
+                    x = centerX - maxLineWidth / 2;
+                    break;
+                case 'right':
+                    x = centerX + maxLineWidth / 2 - lineWidth;
+                    break;
+                case 'center':
+                default:
+                    x = centerX - lineWidth / 2;
+                    break;
+            }
+
+            lineGlyphList.forEach((glyph, charIndex) => {
+                if (charIndex > 0) {
+                    x += font.getKerningValue(lineGlyphList[charIndex - 1], glyph) * scale;
+                }
+
+                const path = glyph.getPath(x, baseline, fontSize);
+                glyphs.push({
+                    lineIndex,
+                    charIndex,
+                    char: lines[lineIndex][charIndex],
+                    commands: path.commands
+                });
+
+                x += glyph.advanceWidth * scale + letterSpacing;
+            });
+        });
+
+        return glyphs;
+    }
+}
+
+// Export for use in main.js
+if (typeof window !== 'undefined') {
+    window.FontOutlines = FontOutlines;
+}
@@ -0,0 +1,100 @@
+/**
+ * ImageSampler.js
+ * Samples a raster image on the spacing grid for the 'image' source mode
+ * Maps pixel luminance to per-instance scale or a keep/drop threshold (halftone)
+ * and reads pixel colour for per-instance colours
+ */
+
+class ImageSampler {
+    /**
+     * Generate points from an image
+     * @param {HTMLImageElement|HTMLCanvasElement} image - Loaded image
+     * @param {number} size - Longest side in pixels
+     * @param {number} spacing - Grid step in pixels
+     * @param {Object} options - {mapping, threshold, minScale, invert, distribution}
+     *   mapping: 'none' | 'scale' | 'threshold'
+     *   invert: false = dark pixels are kept/large, true = bright pixels
+     *   distribution: {type, seed} sample positions from PointDistribution, null = grid
+     * @returns {Array<{x, y, z, scale, color}>} Points centered at origin (Y up), color as {r, g, b} 0-1
+     */
+    static getImagePoints(image, size, spacing, options = {}) {
+        const { mapping = 'none', threshold = 0.5, minScale = 0.1, invert = false, distribution = null } = options;
+        const points = [];
+
+        const naturalWidth = image.naturalWidth || image.width;
+        const naturalHeight = image.naturalHeight || image.height;
+        if (!naturalWidth || !naturalHeight) return points;
+
+        // Draw image scaled so its longest side matches size
+        const fit = size / Math.max(naturalWidth, naturalHeight);
+        const width = Math.max(1, Math.round(naturalWidth * fit));
+        const height = Math.max(1, Math.round(naturalHeight * fit));
+
+        const tempCanvas = document.createElement('canvas');
+        tempCanvas.width = width;
+        tempCanvas.height = height;
+        const ctx = tempCanvas.getContext('2d', { willReadFrequently: true });
+        ctx.drawImage(image, 0, 0, width, height);
+        const data = ctx.getImageData(0, 0, width, height).data;
+
+        const step = Math.max(1, spacing);
+        const samples = [];
+
+        if (distribution && window.PointDistribution) {
+            const bounds = { minX: 0, minY: 0, maxX: width - 1, maxY: height - 1 };
+            const isOpaque = (x, y) => data[(Math.floor(y) * width + Math.floor(x)) * 4 + 3] > 128;
+            samples.push(...PointDistribution.generate(distribution.type, bounds, step, {
+                seed: distribution.seed,
+                isInside: isOpaque
+            }));
+        } else {
+            for (let y = step / 2; y < height; y += step) {
+                for (let x = step / 2; x < width; x += step) {
+                    samples.push({ x, y });
+                }
+            }
+        }
+
+        samples.forEach(({ x, y }) => {
+            const index = (Math.floor(y) * width + Math.floor(x)) * 4;
+            const alpha = data[index + 3];
+
+            // Skip transparent pixels (logos on transparent PNGs)
+            if (alpha <= 128) return;
+
+            const r = data[index] / 255;
+            const g = data[index + 1] / 255;
+            const b = data[index + 2] / 255;
+            const luminance = this.getLuminance(r, g, b);
+            const weight = invert ? luminance : 1 - luminance;
+
+            let scale = 1.0;
+            if (mapping === 'scale') {
+                scale = minScale + (1 - minScale) * weight;
+                if (scale <= 0.001) return;
+            } else if (mapping === 'threshold') {
+                if (weight < threshold) return;
+            }
+
+            points.push({
+                x: x - width / 2,
+                y: height / 2 - y,
+                z: 0,
+                scale: scale,
+                color: { r, g, b }
+            });
+        });
+
+        return points;
+    }
+
+    // Relative luminance (Rec. 709 weights on sRGB values)
+    static getLuminance(r, g, b) {
+        return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+    }
+}
+
+// Export for use in main.js
+if (typeof window !== 'undefined') {
+    window.ImageSampler = ImageSampler;
+}
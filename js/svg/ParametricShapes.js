@@ -12,11 +12,16 @@ class ParametricShapes {
      * @param {number} spacing - Point spacing
      * @param {string} fillMode - 'outline' or 'fill'
      * @param {Object} canvasSize - {width, height}
+     * @param {Object|null} distribution - {type, seed} to fill with PointDistribution, null = honeycomb
      * @returns {Array<{x, y, z}>} Points in canvas coordinate system
      */
-    static getShapePoints(shapeType, size, spacing, fillMode, canvasSize) {
+    static getShapePoints(shapeType, size, spacing, fillMode, canvasSize, distribution = null) {
         let points = [];
 
+        if (fillMode === 'fill' && distribution && window.PointDistribution) {
+            return this.distributeFill(shapeType, size, spacing, distribution);
+        }
+
         switch (shapeType) {
             case 'circle':
                 points = fillMode === 'fill'
@@ -317,6 +322,18 @@ class ParametricShapes {
         return points;
     }
 
+    // ============ DISTRIBUTED FILL ============
+    // Fill the shape's outline polygon with a PointDistribution layout
+    static distributeFill(shapeType, size, spacing, distribution) {
+        const outline = this.getShapePoints(shapeType, size, Math.max(1, spacing / 4), 'outline');
+        const mask = PointDistribution.createContourMask([outline]);
+
+        return PointDistribution.generate(distribution.type, mask.bounds, spacing, {
+            seed: distribution.seed,
+            isInside: mask.isInside
+        }).map(p => ({ x: p.x, y: p.y, z: 0 }));
+    }
+
     // ============ HELPERS ============
     static addLinePoints(points, start, end, spacing) {
         const dx = end.x - start.x;
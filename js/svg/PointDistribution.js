@@ -0,0 +1,288 @@
+/**
+ * PointDistribution.js
+ * Distributes points over a region for every source mode:
+ * grid, honeycomb, jittered grid, Poisson-disk (blue noise) and phyllotaxis spiral
+ * Seeded so the same settings always give the same layout
+ */
+
+class PointDistribution {
+    /**
+     * Generate points inside a region
+     * @param {string} type - 'grid' | 'honeycomb' | 'jittered' | 'poisson' | 'phyllotaxis'
+     * @param {Object} bounds - {minX, minY, maxX, maxY} area to cover
+     * @param {number} spacing - Target distance between points
+     * @param {Object} options - {seed, isInside}
+     *   isInside: (x, y) => boolean coverage test, omitted = whole bounds
+     * @returns {Array<{x, y}>} Points in the same coordinate system as bounds
+     */
+    static generate(type, bounds, spacing, options = {}) {
+        const { seed = 1, isInside = null } = options;
+        const step = Math.max(1, spacing);
+        const random = this.createRandom(seed);
+        const accept = isInside || (() => true);
+
+        if (!isFinite(bounds.minX) || bounds.maxX < bounds.minX || bounds.maxY < bounds.minY) {
+            return [];
+        }
+
+        switch (type) {
+            case 'honeycomb':
+                return this.honeycomb(bounds, step, accept);
+            case 'jittered':
+                return this.jittered(bounds, step, random, accept);
+            case 'poisson':
+                return this.poisson(bounds, step, random, accept);
+            case 'phyllotaxis':
+                return this.phyllotaxis(bounds, step, random, accept);
+            case 'grid':
+            default:
+                return this.grid(bounds, step, accept);
+        }
+    }
+
+    // ============ GRID ============
+    static grid(bounds, spacing, isInside) {
+        const points = [];
+        for (let y = bounds.minY; y <= bounds.maxY; y += spacing) {
+            for (let x = bounds.minX; x <= bounds.maxX; x += spacing) {
+                if (isInside(x, y)) points.push({ x, y });
+            }
+        }
+        return points;
+    }
+
+    // ============ HONEYCOMB ============
+    static honeycomb(bounds, spacing, isInside) {
+        const points = [];
+        let rowIndex = 0;
+        for (let y = bounds.minY; y <= bounds.maxY; y += spacing) {
+            const xOffset = (rowIndex % 2) * (spacing / 2);
+            for (let x = bounds.minX + xOffset; x <= bounds.maxX; x += spacing) {
+                if (isInside(x, y)) points.push({ x, y });
+            }
+            rowIndex++;
+        }
+        return points;
+    }
+
+    // ============ JITTERED GRID ============
+    // One random point per grid cell
+    static jittered(bounds, spacing, random, isInside) {
+        const points = [];
+        for (let y = bounds.minY; y <= bounds.maxY; y += spacing) {
+            for (let x = bounds.minX; x <= bounds.maxX; x += spacing) {
+                // Always draw both values so the layout only depends on the seed
+                const px = x + random() * spacing;
+                const py = y + random() * spacing;
+                if (px <= bounds.maxX && py <= bounds.maxY && isInside(px, py)) {
+                    points.push({ x: px, y: py });
+                }
+            }
+        }
+        return points;
+    }
+
+    // ============ POISSON DISK ============
+    // Bridson's algorithm; re-seeded from a scan so disconnected regions (letters) all fill
+    static poisson(bounds, spacing, random, isInside) {
+        const ATTEMPTS = 30;
+        const radius = spacing;
+        const radiusSq = radius * radius;
+        const cellSize = radius / Math.SQRT2;
+        const cols = Math.floor((bounds.maxX - bounds.minX) / cellSize) + 1;
+        const rows = Math.floor((bounds.maxY - bounds.minY) / cellSize) + 1;
+        const cells = new Int32Array(cols * rows).fill(-1);
+        const points = [];
+        const active = [];
+
+        const tryAdd = (x, y) => {
+            if (x < bounds.minX || x > bounds.maxX || y < bounds.minY || y > bounds.maxY) return false;
+
+            const col = Math.floor((x - bounds.minX) / cellSize);
+            const row = Math.floor((y - bounds.minY) / cellSize);
+            for (let r = Math.max(0, row - 2); r <= Math.min(rows - 1, row + 2); r++) {
+                for (let c = Math.max(0, col - 2); c <= Math.min(cols - 1, col + 2); c++) {
+                    const index = cells[r * cols + c];
+                    if (index === -1) continue;
+                    const dx = points[index].x - x;
+                    const dy = points[index].y - y;
+                    if (dx * dx + dy * dy < radiusSq) return false;
+                }
+            }
+
+            if (!isInside(x, y)) return false;
+
+            cells[row * cols + col] = points.length;
+            active.push(points.length);
+            points.push({ x, y });
+            return true;
+        };
+
+        const grow = () => {
+            while (active.length > 0) {
+                const activeIndex = Math.floor(random() * active.length);
+                const origin = points[active[activeIndex]];
+                let placed = false;
+
+                for (let i = 0; i < ATTEMPTS; i++) {
+                    const angle = random() * Math.PI * 2;
+                    const distance = radius * Math.sqrt(1 + random() * 3); // Uniform in annulus r..2r
+                    if (tryAdd(origin.x + Math.cos(angle) * distance, origin.y + Math.sin(angle) * distance)) {
+                        placed = true;
+                        break;
+                    }
+                }
+
+                if (!placed) {
+                    active[activeIndex] = active[active.length - 1];
+                    active.pop();
+                }
+            }
+        };
+
+        const scanStep = radius / 2;
+        for (let y = bounds.minY; y <= bounds.maxY; y += scanStep) {
+            for (let x = bounds.minX; x <= bounds.maxX; x += scanStep) {
+                if (tryAdd(x, y)) grow();
+            }
+        }
+
+        return points;
+    }
+
+    // ============ PHYLLOTAXIS ============
+    // Sunflower spiral from the centre of the bounds, one point per spacing² like the grid
+    static phyllotaxis(bounds, spacing, random, isInside) {
+        const points = [];
+        const goldenAngle = Math.PI * (3 - Math.sqrt(5));
+        const rotation = random() * Math.PI * 2;
+        const centerX = (bounds.minX + bounds.maxX) / 2;
+        const centerY = (bounds.minY + bounds.maxY) / 2;
+        const maxRadius = Math.hypot(bounds.maxX - bounds.minX, bounds.maxY - bounds.minY) / 2;
+        const c = spacing / Math.sqrt(Math.PI);
+        const count = Math.ceil((maxRadius / c) * (maxRadius / c));
+
+        for (let i = 0; i < count; i++) {
+            const r = c * Math.sqrt(i + 0.5);
+            const angle = i * goldenAngle + rotation;
+            const x = centerX + r * Math.cos(angle);
+            const y = centerY + r * Math.sin(angle);
+            if (x < bounds.minX || x > bounds.maxX || y < bounds.minY || y > bounds.maxY) continue;
+            if (isInside(x, y)) points.push({ x, y });
+        }
+        return points;
+    }
+
+    // ============ MASKS ============
+    /**
+     * Coverage test from RGBA pixel data (alpha > 128), bounds trimmed to opaque pixels
+     * @returns {{bounds, isInside}} Coordinates in pixels
+     */
+    static createAlphaMask(data, width, height) {
+        let minX = Infinity, minY = Infinity;
+        let maxX = -Infinity, maxY = -Infinity;
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                if (data[(y * width + x) * 4 + 3] > 128) {
+                    if (x < minX) minX = x;
+                    if (x > maxX) maxX = x;
+                    if (y < minY) minY = y;
+                    if (y > maxY) maxY = y;
+                }
+            }
+        }
+
+        const isInside = (x, y) => {
+            const px = Math.floor(x);
+            const py = Math.floor(y);
+            if (px < 0 || px >= width || py < 0 || py >= height) return false;
+            return data[(py * width + px) * 4 + 3] > 128;
+        };
+
+        return { bounds: { minX, minY, maxX: maxX + 1, maxY: maxY + 1 }, isInside };
+    }
+
+    /**
+     * Coverage test from closed polylines, rasterized once so lookups stay cheap
+     * @param {Array<Array<{x, y}>>} contours
+     * @param {Object} options - {fillRule: 'nonzero'|'evenodd', strokeWidth}
+     *   strokeWidth > 0 keeps only a band of that width inside the edges
+     * @returns {{bounds, isInside}}
+     */
+    static createContourMask(contours, options = {}) {
+        const { fillRule = 'nonzero', strokeWidth = 0 } = options;
+        const MAX_SIZE = 4096;
+
+        let minX = Infinity, minY = Infinity;
+        let maxX = -Infinity, maxY = -Infinity;
+        contours.forEach(contour => contour.forEach(p => {
+            minX = Math.min(minX, p.x);
+            minY = Math.min(minY, p.y);
+            maxX = Math.max(maxX, p.x);
+            maxY = Math.max(maxY, p.y);
+        }));
+        const bounds = { minX, minY, maxX, maxY };
+        if (!isFinite(minX)) return { bounds, isInside: () => false };
+
+        const scale = Math.min(1, MAX_SIZE / Math.max(maxX - minX, maxY - minY, 1));
+        const width = Math.ceil((maxX - minX) * scale) + 2;
+        const height = Math.ceil((maxY - minY) * scale) + 2;
+
+        const maskCanvas = document.createElement('canvas');
+        maskCanvas.width = width;
+        maskCanvas.height = height;
+        const ctx = maskCanvas.getContext('2d', { willReadFrequently: true });
+
+        const path = new Path2D();
+        contours.forEach(contour => {
+            contour.forEach((p, i) => {
+                const x = (p.x - minX) * scale + 1;
+                const y = (p.y - minY) * scale + 1;
+                if (i === 0) path.moveTo(x, y);
+                else path.lineTo(x, y);
+            });
+            path.closePath();
+        });
+
+        ctx.fillStyle = '#FFFFFF';
+        ctx.fill(path, fillRule);
+
+        // Same band as the raster outline: double-width stroke intersected with the fill
+        if (strokeWidth > 0) {
+            ctx.globalCompositeOperation = 'destination-in';
+            ctx.lineWidth = Math.max(1, strokeWidth * 2 * scale);
+            ctx.lineJoin = 'round';
+            ctx.strokeStyle = '#FFFFFF';
+            ctx.stroke(path);
+        }
+
+        const data = ctx.getImageData(0, 0, width, height).data;
+        const isInside = (x, y) => {
+            const px = Math.floor((x - minX) * scale + 1);
+            const py = Math.floor((y - minY) * scale + 1);
+            if (px < 0 || px >= width || py < 0 || py >= height) return false;
+            return data[(py * width + px) * 4 + 3] > 128;
+        };
+
+        return { bounds, isInside };
+    }
+
+    // ============ RANDOM ============
+    // Small seeded PRNG (mulberry32) returning floats in [0, 1)
+    static createRandom(seed) {
+        let state = (Math.floor(seed) || 0) >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+}
+
+// Export for use in main.js
+if (typeof window !== 'undefined') {
+    window.PointDistribution = PointDistribution;
+}
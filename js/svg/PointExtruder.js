@@ -0,0 +1,176 @@
+/**
+ * PointExtruder.js
+ * Stacks flat sampled points through Z into a volume
+ * Filled (every layer complete) or shell (front/back caps plus side walls),
+ * with optional bevel that insets the layers behind the front face
+ */
+
+class PointExtruder {
+    /**
+     * Extrude points into layers
+     * @param {Array<{x, y, z}>} points - Flat source points (extra fields are kept)
+     * @param {Object} options - {depth, layers, mode, bevel, spacing, maxPoints}
+     *   depth: total Z thickness in pixels, centered on the source z (0 = unchanged, layers would coincide)
+     *   layers: number of Z layers (1 = unchanged), reduced so the result stays within maxPoints
+     *   mode: 'filled' | 'shell' (caps + side walls only)
+     *   bevel: 0-1, back layer inset as a fraction of the deepest interior distance
+     *   spacing: sampling spacing, used to find edges and wall thickness
+     *   maxPoints: instance budget for the whole volume
+     * @returns {Array<{x, y, z, layerIndex}>}
+     */
+    static extrude(points, options) {
+        const { depth = 0, layers = 1, mode = 'filled', bevel = 0, spacing = 1, maxPoints = 200000 } = options;
+        let layerCount = Math.max(1, Math.floor(layers));
+
+        if (layerCount === 1 || depth <= 0 || points.length === 0) return points;
+
+        // Filled volumes hold every point per layer; shells stay below that
+        const maxLayers = Math.floor(maxPoints / points.length);
+        if (layerCount > maxLayers) {
+            console.warn(`PointExtruder: ${layerCount} layers of ${points.length} points exceeds ${maxPoints}, using ${Math.max(1, maxLayers)}`);
+            layerCount = maxLayers;
+            if (layerCount <= 1) return points;
+        }
+
+        const step = Math.max(1, spacing);
+        const needsEdgeDistance = mode === 'shell' || bevel > 0;
+        const edgeDistances = needsEdgeDistance ? this.getEdgeDistances(points, step) : null;
+        const maxDistance = edgeDistances ? edgeDistances.reduce((max, d) => Math.max(max, d), 0) : 0;
+        const result = [];
+
+        for (let layer = 0; layer < layerCount; layer++) {
+            const t = layer / (layerCount - 1);              // 0 = front face, 1 = back face
+            const z = depth / 2 - t * depth;
+            const inset = bevel * maxDistance * t;
+            const isCap = layer === 0 || layer === layerCount - 1;
+
+            points.forEach((p, i) => {
+                if (edgeDistances) {
+                    const distance = edgeDistances[i];
+                    // Bevel: drop points closer to the silhouette than this layer's inset
+                    if (distance < inset - 0.001) return;
+                    // Shell: inner layers keep a one-sample-thick wall along the (inset) edge
+                    if (mode === 'shell' && !isCap && distance >= inset + step) return;
+                }
+
+                result.push({ ...p, z: (p.z || 0) + z, layerIndex: layer });
+            });
+        }
+
+        return result;
+    }
+
+    // ============ EDGE DETECTION ============
+    /**
+     * Distance from each point to the nearest edge point of the sampled region
+     * A point is on the edge when its neighbours leave a wide angular gap
+     * @returns {Float32Array}
+     */
+    static getEdgeDistances(points, spacing) {
+        const radius = spacing * 2;
+        const neighbourHash = this.buildHash(points.map((p, i) => i), points, radius);
+        const edgeIndices = [];
+
+        points.forEach((p, i) => {
+            const angles = [];
+            this.forEachNear(neighbourHash, points, p.x, p.y, radius, j => {
+                if (j !== i) angles.push(Math.atan2(points[j].y - p.y, points[j].x - p.x));
+            });
+
+            if (angles.length < 2) {
+                edgeIndices.push(i);
+                return;
+            }
+
+            angles.sort((a, b) => a - b);
+            let maxGap = angles[0] + Math.PI * 2 - angles[angles.length - 1];
+            for (let k = 1; k < angles.length; k++) {
+                maxGap = Math.max(maxGap, angles[k] - angles[k - 1]);
+            }
+            if (maxGap > Math.PI * 0.6) edgeIndices.push(i);
+        });
+
+        // Nearest edge point per point, searching outward ring by ring
+        const edgeHash = this.buildHash(edgeIndices, points, spacing * 2);
+        const distances = new Float32Array(points.length);
+        const maxRing = Math.max(edgeHash.cols, edgeHash.rows);
+
+        points.forEach((p, i) => {
+            const col = Math.floor((p.x - edgeHash.minX) / edgeHash.cellSize);
+            const row = Math.floor((p.y - edgeHash.minY) / edgeHash.cellSize);
+            let best = Infinity;
+
+            for (let ring = 0; ring <= maxRing; ring++) {
+                // Cells in this ring are at least (ring - 1) cells away
+                if (best <= (ring - 1) * edgeHash.cellSize) break;
+
+                for (let r = row - ring; r <= row + ring; r++) {
+                    for (let c = col - ring; c <= col + ring; c++) {
+                        if (Math.max(Math.abs(r - row), Math.abs(c - col)) !== ring) continue;
+                        const cell = edgeHash.cells.get(r * edgeHash.cols + c);
+                        if (!cell || c < 0 || c >= edgeHash.cols) continue;
+                        cell.forEach(j => {
+                            best = Math.min(best, Math.hypot(points[j].x - p.x, points[j].y - p.y));
+                        });
+                    }
+                }
+            }
+
+            distances[i] = isFinite(best) ? best : 0;
+        });
+
+        return distances;
+    }
+
+    // ============ HELPERS ============
+    // Uniform grid of point indices for neighbour lookups
+    static buildHash(indices, points, cellSize) {
+        let minX = Infinity, minY = Infinity;
+        let maxX = -Infinity, maxY = -Infinity;
+        points.forEach(p => {
+            minX = Math.min(minX, p.x);
+            minY = Math.min(minY, p.y);
+            maxX = Math.max(maxX, p.x);
+            maxY = Math.max(maxY, p.y);
+        });
+
+        const cols = Math.floor((maxX - minX) / cellSize) + 1;
+        const rows = Math.floor((maxY - minY) / cellSize) + 1;
+        const cells = new Map();
+
+        indices.forEach(i => {
+            const col = Math.floor((points[i].x - minX) / cellSize);
+            const row = Math.floor((points[i].y - minY) / cellSize);
+            const key = row * cols + col;
+            if (!cells.has(key)) cells.set(key, []);
+            cells.get(key).push(i);
+        });
+
+        return { cells, cellSize, minX, minY, cols, rows };
+    }
+
+    static forEachNear(hash, points, x, y, radius, callback) {
+        const col = Math.floor((x - hash.minX) / hash.cellSize);
+        const row = Math.floor((y - hash.minY) / hash.cellSize);
+        const reach = Math.ceil(radius / hash.cellSize);
+        const radiusSq = radius * radius;
+
+        for (let r = row - reach; r <= row + reach; r++) {
+            for (let c = col - reach; c <= col + reach; c++) {
+                if (c < 0 || c >= hash.cols) continue;
+                const cell = hash.cells.get(r * hash.cols + c);
+                if (!cell) continue;
+                cell.forEach(j => {
+                    const dx = points[j].x - x;
+                    const dy = points[j].y - y;
+                    if (dx * dx + dy * dy <= radiusSq) callback(j);
+                });
+            }
+        }
+    }
+}
+
+// Export for use in main.js
+if (typeof window !== 'undefined') {
+    window.PointExtruder = PointExtruder;
+}
@@ -0,0 +1,570 @@
+/**
+ * SVGPathParser.js
+ * Parses SVG documents into absolute path commands (M, L, Q, C, Z)
+ * Handles path data (incl. arcs and shorthand curves), basic shapes and transforms
+ * Produces points for the 'svg' source mode in the same format as ParametricShapes
+ */
+
+class SVGPathParser {
+    /**
+     * Parse an SVG document into path commands in SVG user space
+     * @param {string} svgText - SVG file contents
+     * @returns {Array} Commands [{type, x, y, x1, y1, x2, y2}, ...]
+     */
+    static parse(svgText) {
+        const doc = new DOMParser().parseFromString(svgText, 'image/svg+xml');
+        const root = doc.documentElement;
+
+        if (!root || root.nodeName.toLowerCase() !== 'svg' || doc.querySelector('parsererror')) {
+            throw new Error('Not a valid SVG file');
+        }
+
+        const commands = [];
+        this.collectCommands(root, [1, 0, 0, 1, 0, 0], commands);
+
+        if (commands.length === 0) {
+            throw new Error('No shapes found in SVG file');
+        }
+        return commands;
+    }
+
+    /**
+     * Generate points for parsed SVG commands
+     * @param {Array} commands - Output of parse()
+     * @param {number} size - Longest side in pixels
+     * @param {number} spacing - Point spacing
+     * @param {string} fillMode - 'outline' or 'fill'
+     * @param {Object|null} distribution - {type, seed} to fill with PointDistribution, null = honeycomb
+     * @returns {Array<{x, y, z}>} Points centered at origin (Y up)
+     */
+    static getSVGPoints(commands, size, spacing, fillMode, distribution = null) {
+        // Fit to size, center at origin and flip Y (SVG is Y-down)
+        const hull = this.getCommandBounds(commands);
+        const hullExtent = Math.max(hull.maxX - hull.minX, hull.maxY - hull.minY);
+        if (!isFinite(hullExtent) || hullExtent === 0) return [];
+
+        const scale = size / hullExtent;
+        const centerX = (hull.minX + hull.maxX) / 2;
+        const centerY = (hull.minY + hull.maxY) / 2;
+        const fitted = this.transformCommands(commands, [scale, 0, 0, -scale, -centerX * scale, centerY * scale]);
+        let contours = ContourSampler.flattenCommands(fitted, Math.max(0.5, spacing / 4));
+        if (contours.length === 0) return [];
+
+        // Control hull overestimates curved outlines - refit to the flattened bounds
+        const bounds = ContourSampler.getBounds(contours);
+        const extent = Math.max(bounds.maxX - bounds.minX, bounds.maxY - bounds.minY);
+        const refit = extent > 0 ? size / extent : 1;
+        const midX = (bounds.minX + bounds.maxX) / 2;
+        const midY = (bounds.minY + bounds.maxY) / 2;
+        contours = contours.map(contour => Object.assign(contour.map(p => ({
+            x: (p.x - midX) * refit,
+            y: (p.y - midY) * refit
+        })), { open: contour.open }));
+
+        let points;
+        if (fillMode !== 'fill') {
+            points = ContourSampler.sampleOutline(contours, spacing);
+        } else if (distribution && window.PointDistribution) {
+            const mask = PointDistribution.createContourMask(contours, { fillRule: 'evenodd' });
+            points = PointDistribution.generate(distribution.type, mask.bounds, spacing, {
+                seed: distribution.seed,
+                isInside: mask.isInside
+            });
+        } else {
+            points = this.fillContours(contours, spacing);
+        }
+
+        return points.map(p => ({ x: p.x, y: p.y, z: 0 }));
+    }
+
+    // Honeycomb grid fill with even-odd rule (odd number of containing contours)
+    static fillContours(contours, spacing) {
+        const points = [];
+        const contourBounds = contours.map(contour => ParametricShapes.getBounds(contour));
+        const bounds = ContourSampler.getBounds(contours);
+
+        let rowIndex = 0;
+        for (let y = bounds.minY; y <= bounds.maxY; y += spacing) {
+            const xOffset = (rowIndex % 2) * (spacing / 2);
+            for (let x = bounds.minX + xOffset; x <= bounds.maxX; x += spacing) {
+                let inside = false;
+                for (let i = 0; i < contours.length; i++) {
+                    const b = contourBounds[i];
+                    if (x < b.minX || x > b.maxX || y < b.minY || y > b.maxY) continue;
+                    if (ParametricShapes.pointInPolygon(x, y, contours[i])) {
+                        inside = !inside;
+                    }
+                }
+                if (inside) {
+                    points.push({ x, y });
+                }
+            }
+            rowIndex++;
+        }
+        return points;
+    }
+
+    // ============ DOCUMENT TRAVERSAL ============
+    static collectCommands(element, parentMatrix, commands) {
+        const SKIPPED = ['defs', 'clippath', 'mask', 'symbol', 'marker', 'pattern', 'style', 'title', 'desc', 'metadata'];
+
+        Array.from(element.children).forEach(child => {
+            const tag = child.nodeName.toLowerCase().replace(/^svg:/, '');
+            if (SKIPPED.includes(tag)) return;
+            if (child.getAttribute('display') === 'none') return;
+
+            const matrix = this.multiplyMatrices(parentMatrix, this.parseTransform(child.getAttribute('transform')));
+            const pathData = this.getElementPathData(child, tag);
+
+            if (pathData) {
+                const elementCommands = this.parsePathData(pathData);
+                commands.push(...this.transformCommands(elementCommands, matrix));
+            }
+
+            if (tag === 'g' || tag === 'svg' || tag === 'a' || tag === 'switch') {
+                this.collectCommands(child, matrix, commands);
+            }
+        });
+    }
+
+    // Convert basic shapes to equivalent path data
+    static getElementPathData(el, tag) {
+        const num = (name, fallback = 0) => {
+            const value = parseFloat(el.getAttribute(name));
+            return isNaN(value) ? fallback : value;
+        };
+
+        switch (tag) {
+            case 'path':
+                return el.getAttribute('d');
+
+            case 'rect': {
+                const x = num('x'), y = num('y'), w = num('width'), h = num('height');
+                if (w <= 0 || h <= 0) return null;
+                let rx = num('rx', NaN), ry = num('ry', NaN);
+                if (isNaN(rx)) rx = isNaN(ry) ? 0 : ry;
+                if (isNaN(ry)) ry = rx;
+                rx = Math.min(rx, w / 2);
+                ry = Math.min(ry, h / 2);
+                if (rx === 0 || ry === 0) {
+                    return `M${x} ${y}H${x + w}V${y + h}H${x}Z`;
+                }
+                return `M${x + rx} ${y}H${x + w - rx}A${rx} ${ry} 0 0 1 ${x + w} ${y + ry}` +
+                       `V${y + h - ry}A${rx} ${ry} 0 0 1 ${x + w - rx} ${y + h}` +
+                       `H${x + rx}A${rx} ${ry} 0 0 1 ${x} ${y + h - ry}` +
+                       `V${y + ry}A${rx} ${ry} 0 0 1 ${x + rx} ${y}Z`;
+            }
+
+            case 'circle':
+            case 'ellipse': {
+                const cx = num('cx'), cy = num('cy');
+                const rx = tag === 'circle' ? num('r') : num('rx');
+                const ry = tag === 'circle' ? num('r') : num('ry');
+                if (rx <= 0 || ry <= 0) return null;
+                return `M${cx - rx} ${cy}A${rx} ${ry} 0 1 0 ${cx + rx} ${cy}A${rx} ${ry} 0 1 0 ${cx - rx} ${cy}Z`;
+            }
+
+            case 'line':
+                return `M${num('x1')} ${num('y1')}L${num('x2')} ${num('y2')}`;
+
+            case 'polygon':
+            case 'polyline': {
+                // Only polygons close; a polyline needs two points, a polygon three
+                const coords = (el.getAttribute('points') || '').trim().split(/[\s,]+/).map(parseFloat);
+                if (coords.length < (tag === 'polygon' ? 6 : 4)) return null;
+                let d = `M${coords[0]} ${coords[1]}`;
+                for (let i = 2; i + 1 < coords.length; i += 2) {
+                    d += `L${coords[i]} ${coords[i + 1]}`;
+                }
+                return tag === 'polygon' ? d + 'Z' : d;
+            }
+
+            default:
+                return null;
+        }
+    }
+
+    // ============ PATH DATA ============
+    /**
+     * Parse SVG path data into absolute M/L/Q/C/Z commands
+     * @param {string} d - Path data string
+     * @returns {Array} Commands
+     */
+    static parsePathData(d) {
+        const commands = [];
+        const tokens = this.tokenizePathData(d);
+        let i = 0;
+
+        let cx = 0, cy = 0;          // Current point
+        let sx = 0, sy = 0;          // Subpath start
+        let lastControl = null;      // For S/T reflection
+        let lastType = '';
+        let command = '';
+
+        const next = () => {
+            if (i >= tokens.length || tokens[i].type !== 'number') {
+                throw new Error(`Missing arguments for path command "${command}"`);
+            }
+            return tokens[i++].value;
+        };
+        const hasNumber = () => i < tokens.length && tokens[i].type === 'number';
+
+        while (i < tokens.length) {
+            if (tokens[i].type === 'command') {
+                command = tokens[i++].value;
+            } else if (!command) {
+                throw new Error('Path data must start with a command');
+            }
+
+            const relative = command === command.toLowerCase();
+            const type = command.toUpperCase();
+            const ox = relative ? cx : 0;
+            const oy = relative ? cy : 0;
+
+            switch (type) {
+                case 'M':
+                    cx = ox + next();
+                    cy = oy + next();
+                    sx = cx;
+                    sy = cy;
+                    commands.push({ type: 'M', x: cx, y: cy });
+                    // Subsequent coordinate pairs are implicit lineto
+                    command = relative ? 'l' : 'L';
+                    lastControl = null;
+                    break;
+
+                case 'L':
+                    cx = ox + next();
+                    cy = oy + next();
+                    commands.push({ type: 'L', x: cx, y: cy });
+                    lastControl = null;
+                    break;
+
+                case 'H':
+                    cx = ox + next();
+                    commands.push({ type: 'L', x: cx, y: cy });
+                    lastControl = null;
+                    break;
+
+                case 'V':
+                    cy = oy + next();
+                    commands.push({ type: 'L', x: cx, y: cy });
+                    lastControl = null;
+                    break;
+
+                case 'C': {
+                    const x1 = ox + next(), y1 = oy + next();
+                    const x2 = ox + next(), y2 = oy + next();
+                    cx = ox + next();
+                    cy = oy + next();
+                    commands.push({ type: 'C', x1, y1, x2, y2, x: cx, y: cy });
+                    lastControl = { x: x2, y: y2 };
+                    break;
+                }
+
+                case 'S': {
+                    const reflect = lastControl && (lastType === 'C' || lastType === 'S');
+                    const x1 = reflect ? 2 * cx - lastControl.x : cx;
+                    const y1 = reflect ? 2 * cy - lastControl.y : cy;
+                    const x2 = ox + next(), y2 = oy + next();
+                    cx = ox + next();
+                    cy = oy + next();
+                    commands.push({ type: 'C', x1, y1, x2, y2, x: cx, y: cy });
+                    lastControl = { x: x2, y: y2 };
+                    break;
+                }
+
+                case 'Q': {
+                    const x1 = ox + next(), y1 = oy + next();
+                    cx = ox + next();
+                    cy = oy + next();
+                    commands.push({ type: 'Q', x1, y1, x: cx, y: cy });
+                    lastControl = { x: x1, y: y1 };
+                    break;
+                }
+
+                case 'T': {
+                    const reflect = lastControl && (lastType === 'Q' || lastType === 'T');
+                    const x1 = reflect ? 2 * cx - lastControl.x : cx;
+                    const y1 = reflect ? 2 * cy - lastControl.y : cy;
+                    cx = ox + next();
+                    cy = oy + next();
+                    commands.push({ type: 'Q', x1, y1, x: cx, y: cy });
+                    lastControl = { x: x1, y: y1 };
+                    break;
+                }
+
+                case 'A': {
+                    const rx = next(), ry = next(), rotation = next();
+                    const largeArc = next(), sweep = next();
+                    const x = ox + next(), y = oy + next();
+                    commands.push(...this.arcToCubics(cx, cy, rx, ry, rotation, largeArc, sweep, x, y));
+                    cx = x;
+                    cy = y;
+                    lastControl = null;
+                    break;
+                }
+
+                case 'Z':
+                    commands.push({ type: 'Z' });
+                    cx = sx;
+                    cy = sy;
+                    lastControl = null;
+                    break;
+
+                default:
+                    throw new Error(`Unsupported path command "${command}"`);
+            }
+
+            lastType = type;
+
+            // Z takes no arguments; other commands repeat while numbers follow
+            if (type === 'Z' && hasNumber()) {
+                throw new Error('Unexpected number after Z');
+            }
+        }
+
+        return commands;
+    }
+
+    // Split path data into command letters and numbers (arc flags may be packed, e.g. "a1 1 0 00 1 1")
+    static tokenizePathData(d) {
+        const tokens = [];
+        const numberPattern = /^[+-]?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/;
+        let i = 0;
+        let argIndex = 0;
+        let currentCommand = '';
+
+        while (i < d.length) {
+            const ch = d[i];
+
+            if (/[\s,]/.test(ch)) {
+                i++;
+                continue;
+            }
+
+            if (/[MmLlHhVvCcSsQqTtAaZz]/.test(ch)) {
+                tokens.push({ type: 'command', value: ch });
+                currentCommand = ch.toUpperCase();
+                argIndex = 0;
+                i++;
+                continue;
+            }
+
+            // Arc flags (4th and 5th arguments) are single digits
+            if (currentCommand === 'A' && (argIndex % 7 === 3 || argIndex % 7 === 4) && (ch === '0' || ch === '1')) {
+                tokens.push({ type: 'number', value: ch === '1' ? 1 : 0 });
+                argIndex++;
+                i++;
+                continue;
+            }
+
+            const match = numberPattern.exec(d.slice(i));
+            if (!match) {
+                throw new Error(`Invalid path data near "${d.slice(i, i + 10)}"`);
+            }
+            tokens.push({ type: 'number', value: parseFloat(match[0]) });
+            argIndex++;
+            i += match[0].length;
+        }
+
+        return tokens;
+    }
+
+    // Endpoint arc to cubic Béziers (SVG spec F.6.5 / F.6.6)
+    static arcToCubics(x1, y1, rx, ry, rotationDeg, largeArc, sweep, x2, y2) {
+        if (x1 === x2 && y1 === y2) return [];
+        rx = Math.abs(rx);
+        ry = Math.abs(ry);
+        if (rx === 0 || ry === 0) {
+            return [{ type: 'L', x: x2, y: y2 }];
+        }
+
+        const phi = rotationDeg * Math.PI / 180;
+        const cosPhi = Math.cos(phi);
+        const sinPhi = Math.sin(phi);
+
+        const dx = (x1 - x2) / 2;
+        const dy = (y1 - y2) / 2;
+        const x1p = cosPhi * dx + sinPhi * dy;
+        const y1p = -sinPhi * dx + cosPhi * dy;
+
+        // Scale up radii that are too small
+        const lambda = (x1p * x1p) / (rx * rx) + (y1p * y1p) / (ry * ry);
+        if (lambda > 1) {
+            rx *= Math.sqrt(lambda);
+            ry *= Math.sqrt(lambda);
+        }
+
+        const num = rx * rx * ry * ry - rx * rx * y1p * y1p - ry * ry * x1p * x1p;
+        const den = rx * rx * y1p * y1p + ry * ry * x1p * x1p;
+        let coef = Math.sqrt(Math.max(0, num / den));
+        if (largeArc === sweep) coef = -coef;
+
+        const cxp = coef * (rx * y1p / ry);
+        const cyp = coef * -(ry * x1p / rx);
+        const centerX = cosPhi * cxp - sinPhi * cyp + (x1 + x2) / 2;
+        const centerY = sinPhi * cxp + cosPhi * cyp + (y1 + y2) / 2;
+
+        const angle = (ux, uy, vx, vy) => Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+
+        const theta1 = angle(1, 0, (x1p - cxp) / rx, (y1p - cyp) / ry);
+        let delta = angle((x1p - cxp) / rx, (y1p - cyp) / ry, (-x1p - cxp) / rx, (-y1p - cyp) / ry);
+        if (!sweep && delta > 0) delta -= 2 * Math.PI;
+        if (sweep && delta < 0) delta += 2 * Math.PI;
+
+        // Split into segments of at most 90 degrees
+        const segments = Math.ceil(Math.abs(delta) / (Math.PI / 2));
+        const segDelta = delta / segments;
+        const k = 4 / 3 * Math.tan(segDelta / 4);
+        const commands = [];
+
+        const pointAt = (t) => ({
+            x: centerX + rx * Math.cos(t) * cosPhi - ry * Math.sin(t) * sinPhi,
+            y: centerY + rx * Math.cos(t) * sinPhi + ry * Math.sin(t) * cosPhi
+        });
+        const derivativeAt = (t) => ({
+            x: -rx * Math.sin(t) * cosPhi - ry * Math.cos(t) * sinPhi,
+            y: -rx * Math.sin(t) * sinPhi + ry * Math.cos(t) * cosPhi
+        });
+
+        for (let s = 0; s < segments; s++) {
+            const t1 = theta1 + s * segDelta;
+            const t2 = t1 + segDelta;
+            const p1 = pointAt(t1);
+            const p2 = s === segments - 1 ? { x: x2, y: y2 } : pointAt(t2);
+            const d1 = derivativeAt(t1);
+            const d2 = derivativeAt(t2);
+
+            commands.push({
+                type: 'C',
+                x1: p1.x + k * d1.x,
+                y1: p1.y + k * d1.y,
+                x2: p2.x - k * d2.x,
+                y2: p2.y - k * d2.y,
+                x: p2.x,
+                y: p2.y
+            });
+        }
+
+        return commands;
+    }
+
+    // ============ TRANSFORMS ============
+    /**
+     * Parse a transform attribute into an affine matrix [a, b, c, d, e, f]
+     */
+    static parseTransform(transform) {
+        let matrix = [1, 0, 0, 1, 0, 0];
+        if (!transform) return matrix;
+
+        const pattern = /(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)/g;
+        let match;
+        while ((match = pattern.exec(transform)) !== null) {
+            const args = match[2].trim().split(/[\s,]+/).map(parseFloat);
+            let m;
+
+            switch (match[1]) {
+                case 'matrix':
+                    m = args.slice(0, 6);
+                    break;
+                case 'translate':
+                    m = [1, 0, 0, 1, args[0] || 0, args[1] || 0];
+                    break;
+                case 'scale':
+                    m = [args[0], 0, 0, args.length > 1 ? args[1] : args[0], 0, 0];
+                    break;
+                case 'rotate': {
+                    const a = (args[0] || 0) * Math.PI / 180;
+                    const cos = Math.cos(a);
+                    const sin = Math.sin(a);
+                    m = [cos, sin, -sin, cos, 0, 0];
+                    if (args.length >= 3) {
+                        // rotate(a, cx, cy) = translate(cx, cy) rotate(a) translate(-cx, -cy)
+                        m = this.multiplyMatrices(
+                            this.multiplyMatrices([1, 0, 0, 1, args[1], args[2]], m),
+                            [1, 0, 0, 1, -args[1], -args[2]]
+                        );
+                    }
+                    break;
+                }
+                case 'skewX':
+                    m = [1, 0, Math.tan((args[0] || 0) * Math.PI / 180), 1, 0, 0];
+                    break;
+                case 'skewY':
+                    m = [1, Math.tan((args[0] || 0) * Math.PI / 180), 0, 1, 0, 0];
+                    break;
+            }
+
+            matrix = this.multiplyMatrices(matrix, m);
+        }
+
+        return matrix;
+    }
+
+    static multiplyMatrices(m1, m2) {
+        return [
+            m1[0] * m2[0] + m1[2] * m2[1],
+            m1[1] * m2[0] + m1[3] * m2[1],
+            m1[0] * m2[2] + m1[2] * m2[3],
+            m1[1] * m2[2] + m1[3] * m2[3],
+            m1[0] * m2[4] + m1[2] * m2[5] + m1[4],
+            m1[1] * m2[4] + m1[3] * m2[5] + m1[5]
+        ];
+    }
+
+    // Affine transforms map Bézier control points exactly
+    static transformCommands(commands, m) {
+        const apply = (x, y) => ({
+            x: m[0] * x + m[2] * y + m[4],
+            y: m[1] * x + m[3] * y + m[5]
+        });
+
+        return commands.map(cmd => {
+            const out = { type: cmd.type };
+            if (cmd.x !== undefined) {
+                const p = apply(cmd.x, cmd.y);
+                out.x = p.x;
+                out.y = p.y;
+            }
+            if (cmd.x1 !== undefined) {
+                const p = apply(cmd.x1, cmd.y1);
+                out.x1 = p.x;
+                out.y1 = p.y;
+            }
+            if (cmd.x2 !== undefined) {
+                const p = apply(cmd.x2, cmd.y2);
+                out.x2 = p.x;
+                out.y2 = p.y;
+            }
+            return out;
+        });
+    }
+
+    // Bounds of all end and control points (control hull contains the curve)
+    static getCommandBounds(commands) {
+        let minX = Infinity, minY = Infinity;
+        let maxX = -Infinity, maxY = -Infinity;
+
+        const include = (x, y) => {
+            if (x === undefined) return;
+            minX = Math.min(minX, x);
+            minY = Math.min(minY, y);
+            maxX = Math.max(maxX, x);
+            maxY = Math.max(maxY, y);
+        };
+
+        commands.forEach(cmd => {
+            include(cmd.x, cmd.y);
+            include(cmd.x1, cmd.y1);
+            include(cmd.x2, cmd.y2);
+        });
+
+        return { minX, minY, maxX, maxY };
+    }
+}
+
+// Export for use in main.js
+if (typeof window !== 'undefined') {
+    window.SVGPathParser = SVGPathParser;
+}